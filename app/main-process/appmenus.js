@@ -15,6 +15,7 @@ let theme = null;
 let zoom = null;
 let animationEnabled = null;
 let autoCompleteDisabled = null; // default on
+let hotReloadEnabled = null;
 
 
 let callbacks = {
@@ -182,6 +183,21 @@ function refresh() {
                     accelerator: 'CmdOrCtrl+Alt+N',
                     click: callbacks.newInclude
                 },
+                {
+                    label: i18n._('Rename File...'),
+                    enabled: callbacks.isFocusedWindow,
+                    click: callbacks.renameFile
+                },
+                {
+                    label: i18n._('Move File to Folder...'),
+                    enabled: callbacks.isFocusedWindow,
+                    click: callbacks.moveFile
+                },
+                {
+                    label: i18n._('Delete File'),
+                    enabled: callbacks.isFocusedWindow,
+                    click: callbacks.deleteFile
+                },
                 {
                     type: 'separator'
                 },
@@ -224,6 +240,11 @@ function refresh() {
                     enabled: callbacks.isFocusedWindow,
                     click: callbacks.exportJSOnly
                 },
+                {
+                    label: i18n._('Export Structure...'),
+                    enabled: callbacks.isFocusedWindow,
+                    click: callbacks.exportStructure
+                },
                 {
                     type: 'separator'
                 },
@@ -273,6 +294,12 @@ function refresh() {
                 {
                     type: 'separator'
                 },
+                {
+                    label: i18n._('Find in Project...'),
+                    accelerator: 'Shift+CmdOrCtrl+F',
+                    enabled: callbacks.isFocusedWindow,
+                    click: callbacks.findInProject
+                },
                 {
                     label: i18n._('Useful Keyboard Shortcuts'),
                     enabled: callbacks.isFocusedWindow,
@@ -332,11 +359,85 @@ function refresh() {
                     accelerator: 'CmdOrCtrl+P',
                     click: callbacks.gotoAnything
                 },
+                {
+                    label: i18n._('Rename Symbol...'),
+                    accelerator: 'F2',
+                    click: callbacks.renameSymbol
+                },
+                {
+                    label: i18n._('Find References'),
+                    accelerator: 'Shift+F12',
+                    click: callbacks.findReferences
+                },
                 {
                     label: i18n._('Next Issue'),
                     accelerator: 'CmdOrCtrl+.',
                     click: callbacks.nextIssue
                 },
+                {
+                    label: i18n._('Show Problems'),
+                    accelerator: 'Shift+CmdOrCtrl+M',
+                    click: callbacks.showProblems
+                },
+                {
+                    label: i18n._('Story Graph'),
+                    accelerator: 'CmdOrCtrl+Alt+G',
+                    click: callbacks.storyGraph
+                },
+                {
+                    label: i18n._('Show Variables'),
+                    click: callbacks.showVariables
+                },
+                {
+                    label: i18n._('Show Visit Counts'),
+                    click: callbacks.showVisitCounts
+                },
+                {
+                    label: i18n._('Show Callstack'),
+                    click: callbacks.showCallstack
+                },
+                {
+                    label: i18n._('Show Turn History'),
+                    click: callbacks.showTurnHistory
+                },
+                {
+                    label: i18n._('Undo Rewind'),
+                    accelerator: 'CmdOrCtrl+Alt+Z',
+                    click: callbacks.undoRewind
+                },
+                {
+                    label: i18n._('Play from Here'),
+                    accelerator: 'CmdOrCtrl+Alt+P',
+                    click: callbacks.playFromHere
+                },
+                {
+                    label: i18n._('Toggle Breakpoint'),
+                    accelerator: 'F9',
+                    click: callbacks.toggleBreakpoint
+                },
+                {
+                    label: i18n._('Clear All Breakpoints'),
+                    click: callbacks.clearBreakpoints
+                },
+                {
+                    label: i18n._('Continue'),
+                    accelerator: 'F8',
+                    click: callbacks.debuggerContinue
+                },
+                {
+                    label: i18n._('Step'),
+                    accelerator: 'F10',
+                    click: callbacks.debuggerStep
+                },
+                {
+                    label: i18n._('Step Out'),
+                    accelerator: 'Shift+F11',
+                    click: callbacks.debuggerStepOut
+                },
+                {
+                    label: i18n._('Simulate Playthroughs...'),
+                    click: callbacks.simulatePlaythroughs
+                },
                 {
                     label: i18n._('Add watch expression...'),
                     click: callbacks.addWatchExpression
@@ -347,6 +448,12 @@ function refresh() {
                     checked: true,
                     click: callbacks.toggleTags
                 },
+                {
+                    label: i18n._('Hot-reload playthrough'),
+                    type: "checkbox",
+                    checked: !!hotReloadEnabled,
+                    click: callbacks.toggleHotReload
+                },
                 {
                         label: i18n._('Word count and more'),
                         accelerator: 'CmdOrCtrl+Shift+C',
@@ -513,6 +620,7 @@ exports.AppMenus = {
     setZoom : (z) => zoom = z,
     setAnimationEnabled : (e) => animationEnabled = e,
     setAutoCompleteDisabled : (e) => autoCompleteDisabled = e,
+    setHotReloadEnabled : (e) => hotReloadEnabled = e,
     setCustomSnippetMenus : (snippets) => {customInkSnippets = snippets},
     refresh : refresh
 }
@@ -18,12 +18,15 @@ const electronWindowOptions = {
 
 var assetOverviewWindow = null;
 
-function AssetOverviewWindow(theme) {
+// gameProject is { settings, settingsDir } from the project window it was opened from,
+// or null to look for the game project in the default places
+function AssetOverviewWindow(theme, gameProject) {
     var w = new BrowserWindow(electronWindowOptions);
     w.loadURL("file://" + __dirname + "/../renderer/asset-overview/overview.html");
 
     w.webContents.on("did-finish-load", () => {
         w.webContents.send("change-theme", theme);
+        if (gameProject) w.webContents.send("set-game-project", gameProject);
         w.setMenu(null);
         w.show();
     });
@@ -35,10 +38,11 @@ function AssetOverviewWindow(theme) {
     });
 }
 
-AssetOverviewWindow.openAssetOverview = function (theme) {
+AssetOverviewWindow.openAssetOverview = function (theme, gameProject) {
     if (assetOverviewWindow == null) {
-        assetOverviewWindow = new AssetOverviewWindow(theme);
+        assetOverviewWindow = new AssetOverviewWindow(theme, gameProject);
     } else {
+        if (gameProject) AssetOverviewWindow.setGameProject(gameProject);
         assetOverviewWindow.browserWindow.focus();
     }
     return assetOverviewWindow;
@@ -50,4 +54,10 @@ AssetOverviewWindow.changeTheme = function (theme) {
     }
 };
 
+AssetOverviewWindow.setGameProject = function (gameProject) {
+    if (assetOverviewWindow != null) {
+        assetOverviewWindow.browserWindow.webContents.send("set-game-project", gameProject);
+    }
+};
+
 exports.AssetOverviewWindow = AssetOverviewWindow;
@@ -0,0 +1,289 @@
+const path = require("path");
+const fs = require("fs");
+const mkdirp = require('mkdirp');
+const inkjs = require("inkjs");
+const ProjectSettings = require("./projectSettings.js").ProjectSettings;
+const WebExport = require("./webExport.js").WebExport;
+
+// Headless mode for build pipelines, e.g.
+//   inky --compile main.ink --out story.json
+//   inky --export-web build/web main.ink
+//   inky --export-js main.ink --out story.js
+//   inky --check main.ink
+// Compiles exactly as a project window would: same include resolution,
+// same *.settings.json, same web template.
+
+const usage = `Usage: inky <mode> <main.ink> [--out <path>]
+
+Modes:
+  --compile             Compile to JSON (default output: <main>.json)
+  --export-js           Export inkjs-compatible JS (default output: <main>.js)
+  --export-web <dir>    Export a playable web page into <dir>
+  --check               Compile without writing any output
+
+Issues are printed to stderr as ERROR, WARNING and TODO lines.
+Other switches (e.g. --no-sandbox) are passed on to Electron and otherwise ignored.
+Exits with 1 if there were any errors, or 2 for invalid arguments.`;
+
+const exitCodeSuccess = 0;
+const exitCodeErrors = 1;
+const exitCodeUsage = 2;
+
+const modeFlags = ["--compile", "--export-js", "--export-web", "--check"];
+
+// args excludes the executable (and script path when running unpackaged)
+function isRequested(args) {
+    return args.some(arg => modeFlags.includes(arg) || arg == "--help");
+}
+
+// Returns { mode, mainInkPath, outPath } or { error }
+function parseArgs(args) {
+    var options = { mode: null, mainInkPath: null, outPath: null };
+
+    for(var i=0; i<args.length; i++) {
+        var arg = args[i];
+
+        if( modeFlags.includes(arg) ) {
+            if( options.mode )
+                return { error: `Only one of ${modeFlags.join(", ")} may be given` };
+            options.mode = arg.substring(2);
+
+            if( arg == "--export-web" ) {
+                options.outPath = args[++i];
+                if( !options.outPath )
+                    return { error: "--export-web requires a target directory" };
+            }
+        }
+
+        else if( arg == "--out" ) {
+            options.outPath = args[++i];
+            if( !options.outPath )
+                return { error: "--out requires a path" };
+        }
+
+        // Other switches are left to Chromium and Electron, e.g. --no-sandbox
+        else if( arg.startsWith("-") ) {
+            continue;
+        }
+
+        else if( !options.mainInkPath ) {
+            options.mainInkPath = arg;
+        }
+
+        else {
+            return { error: `Unexpected argument: ${arg}` };
+        }
+    }
+
+    if( !options.mode )
+        return { error: "No mode given" };
+    if( !options.mainInkPath )
+        return { error: "No main ink file given" };
+    if( options.mode == "check" && options.outPath )
+        return { error: "--check doesn't write any output" };
+
+    return options;
+}
+
+// Same as InkProject.refreshIncludes: INCLUDE paths are relative to the main ink's
+// directory, and are followed recursively through included files.
+// Returns a dictionary of relative path -> file content, including the main ink.
+function gatherProjectFiles(projectDir, mainName) {
+    var files = {};
+
+    var addFile = (relPath) => {
+        relPath = path.format(path.parse(relPath));
+        if( files[relPath] !== undefined )
+            return;
+
+        var content;
+        try {
+            content = fs.readFileSync(path.join(projectDir, relPath), "utf8");
+        } catch(e) {
+            // Let the compiler report the missing include
+            return;
+        }
+
+        files[relPath] = content;
+
+        var includeRegex = /^\s*INCLUDE\s+(.+?)\s*$/gm;
+        var match;
+        while( (match = includeRegex.exec(content)) !== null ) {
+            addFile(match[1]);
+        }
+    };
+
+    addFile(mainName);
+
+    return files;
+}
+
+// Same format as inklecate's own output, e.g. "ERROR: 'main.ink' line 3: Unexpected token"
+function formatIssue(issue) {
+    var location = "";
+    if( issue.filename ) location += `'${issue.filename}' `;
+    if( issue.lineNumber ) location += `line ${issue.lineNumber}: `;
+    return `${issue.type}: ${location}${issue.message}`;
+}
+
+// A "# title: My Story" tag in the main ink overrides the web export's title
+function storyTitleFromJson(jsonContent) {
+    try {
+        var story = new inkjs.Story(jsonContent.replace(/^\uFEFF/, ''));
+        for(var tag of story.globalTags || []) {
+            var dictStyleMatches = tag.match(/\s*(\w+)\s*:\s*(.+)/);
+            if( dictStyleMatches && dictStyleMatches[1] == "title" )
+                return dictStyleMatches[2];
+        }
+    } catch(e) {
+        // Fall back to the default title
+    }
+    return null;
+}
+
+// callback(exitCode)
+function run(args, callback) {
+
+    if( args.includes("--help") ) {
+        console.log(usage);
+        callback(exitCodeSuccess);
+        return;
+    }
+
+    var options = parseArgs(args);
+    if( options.error ) {
+        console.error(`${options.error}\n\n${usage}`);
+        callback(exitCodeUsage);
+        return;
+    }
+
+    var mainInkPath = path.resolve(options.mainInkPath);
+    if( !fs.existsSync(mainInkPath) ) {
+        console.error(`Main ink file not found: ${mainInkPath}`);
+        callback(exitCodeUsage);
+        return;
+    }
+
+    var projectDir = path.dirname(mainInkPath);
+    var mainName = path.basename(mainInkPath);
+
+    ProjectSettings.load(mainInkPath, (err, settings) => {
+        if( err ) {
+            console.error(`ERROR: ${err}`);
+            callback(exitCodeErrors);
+            return;
+        }
+        settings = settings || {};
+
+        compileProject(options, projectDir, mainName, settings, callback);
+    });
+}
+
+function compileProject(options, projectDir, mainName, settings, callback) {
+
+    // Required here rather than at the top, since it sets up the windows' IPC handlers,
+    // which need Electron, and the rest of this module (and its tests) don't
+    const Inklecate = require("./inklecate.js").Inklecate;
+
+    var sessionId = `cli_${process.pid}`;
+    var compileInstruction = {
+        mainName: mainName,
+        updatedFiles: gatherProjectFiles(projectDir, mainName),
+        sessionId: sessionId,
+        namespace: sessionId,
+        export: options.mode != "check",
+        inkJsCompatible: options.mode == "export-js" || options.mode == "export-web",
+        compiler: settings.compiler
+    };
+
+    var hadErrors = false;
+    var finished = false;
+
+    var finish = (jsonExportPath) => {
+        if( finished ) return;
+        finished = true;
+
+        if( hadErrors || (compileInstruction.export && !jsonExportPath) ) {
+            callback(exitCodeErrors);
+            return;
+        }
+
+        writeOutput(options, projectDir, mainName, jsonExportPath, callback);
+    };
+
+    // Stands in for a window's webContents, receiving the same messages
+    var requester = {
+        isDestroyed: () => false,
+        send: (channel, ...args) => {
+            if( channel == "play-generated-errors" ) {
+                for(let issue of args[0]) {
+                    console.error(formatIssue(issue));
+                    if( issue.type == "ERROR" || issue.type == "RUNTIME ERROR" )
+                        hadErrors = true;
+                }
+            }
+            else if( channel == "play-story-unexpected-error" ) {
+                console.error(`ERROR: ${args[0]}`);
+                hadErrors = true;
+            }
+            else if( channel == "inklecate-complete" ) {
+                finish(args[1]);
+            }
+            else if( channel == "play-exit-due-to-error" ) {
+                hadErrors = true;
+                finish(null);
+            }
+        }
+    };
+
+    Inklecate.setLogging(false);
+    Inklecate.compile(compileInstruction, requester);
+}
+
+function writeOutput(options, projectDir, mainName, jsonExportPath, callback) {
+
+    var done = (err, outPath) => {
+        if( err ) {
+            console.error(`ERROR: ${err}`);
+            callback(exitCodeErrors);
+        } else {
+            if( outPath ) console.log(`Exported to ${outPath}`);
+            callback(exitCodeSuccess);
+        }
+    };
+
+    var mainRootName = path.basename(mainName, path.extname(mainName));
+
+    if( options.mode == "check" ) {
+        done(null, null);
+    }
+
+    else if( options.mode == "compile" ) {
+        var jsonPath = path.resolve(options.outPath || path.join(projectDir, mainRootName+".json"));
+        mkdirp.sync(path.dirname(jsonPath));
+        WebExport.copyFile(jsonExportPath, jsonPath, null, err => done(err, jsonPath));
+    }
+
+    else if( options.mode == "export-js" ) {
+        var jsPath = path.resolve(options.outPath || path.join(projectDir, WebExport.jsFilename(mainName)));
+        mkdirp.sync(path.dirname(jsPath));
+        WebExport.convertJSONToJS(jsonExportPath, jsPath, err => done(err, jsPath));
+    }
+
+    else if( options.mode == "export-web" ) {
+        var targetDirectory = path.resolve(options.outPath);
+        var storyTitle = storyTitleFromJson(fs.readFileSync(jsonExportPath, "utf8"));
+        WebExport.buildForWeb(jsonExportPath, targetDirectory, {
+            storyTitle: storyTitle,
+            jsFilename: WebExport.jsFilename(mainName)
+        }, err => done(err, targetDirectory));
+    }
+}
+
+exports.CommandLine = {
+    isRequested: isRequested,
+    parseArgs: parseArgs,
+    formatIssue: formatIssue,
+    gatherProjectFiles: gatherProjectFiles,
+    run: run
+};
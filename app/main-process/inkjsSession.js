@@ -0,0 +1,961 @@
+const fs = require('fs');
+const path = require("path");
+const crypto = require("crypto");
+const inkjs = require("inkjs");
+
+// An in-process alternative to spawning inklecate, built on the inkjs compiler and runtime.
+// It deliberately mimics inklecate's "-j" JSON output and its play mode input commands
+// (choice numbers, "expression", DebugSource(offset), DebugPath path) so that inklecate.js
+// can drive either backend through exactly the same response handling. It also takes
+// "~ variable = value" to change a global, which inklecate has no equivalent for.
+function InkjsSession(instruction, events) {
+    this.rootDir = instruction.rootDir;
+    this.mainName = instruction.mainName;
+    this.play = !!instruction.play;
+    this.stats = !!instruction.stats;
+    this.jsonExportPath = instruction.jsonExportPath || null;
+
+    // Play from a knot or stitch rather than the top of the story, and/or with some
+    // globals given different starting values: { name: "ink constant" }
+    this.startPath = instruction.startPath || null;
+    this.startVariables = instruction.startVariables || {};
+
+    // Source lines to pause on, as "filename:lineNumber", and how we're stepping once paused.
+    // stepMode is "continue" (until the next breakpoint), "step" (to the next line)
+    // or "step-out" (to the next line once the current tunnel or function returns).
+    this.breakpoints = new Set();
+    this.setBreakpoints(instruction.breakpoints || []);
+    this.stepMode = "continue";
+    this.stepOutDepth = 0;
+    this.pauseRequested = false;
+    this.paused = false;
+    this.currentLine = null;
+    this.lineAtDepth = [];
+    this.linesBeforeLookahead = null;
+    this.pauseAfterLookahead = false;
+
+    // Passed to ContinueAsync as its time limit, which inkjs checks after every step,
+    // so that we can stop it part way through a line when we reach a breakpoint
+    this.continueLimit = { valueOf: () => this.pauseRequested ? -1 : Number.MAX_VALUE };
+
+    // Hot-reload: rather than the whole playthrough being replayed from the start
+    // choice by choice, we snapshot the story state at the start of every turn.
+    // After a recompile, turns up to the latest compatible snapshot are re-sent
+    // from the previous session's recorded output, and play resumes from there.
+    this.hotReload = !!instruction.hotReload;
+    this.choiceSequence = instruction.choiceSequence || [];
+    this.previousTurns = instruction.previousTurns || [];
+
+    // Until we've successfully compiled, the previous session's turns are still
+    // the best ones available, so keep them around for the next attempt.
+    this.turns = this.previousTurns;
+    this.turnIdx = -1;
+    this.resumeTurnIdx = 0;
+    this.recordingTurn = null;
+    this.knotHashes = {};
+    this.rootJson = null;
+
+    // { response: (jsonResponse) => {}, exit: (code) => {} }
+    this.events = events;
+
+    this.compiler = null;
+    this.story = null;
+    this.runtimeIssues = [];
+    this.ended = false;
+    this.stopped = false;
+}
+
+InkjsSession.prototype.start = function() {
+
+    // Always respond asynchronously, like a child process would, so that
+    // the caller has finished setting up the session before we respond.
+    setImmediate(() => {
+        if( this.stopped ) return;
+
+        if( !this.compile() ) {
+            this.exit(1);
+            return;
+        }
+
+        if( this.play ) {
+            this.watchForBreakpoints();
+            this.countTurnsSinceForAllFlows();
+        }
+
+        if( this.jsonExportPath ) {
+            try {
+                fs.writeFileSync(this.jsonExportPath, this.story.ToJson());
+            } catch(e) {
+                this.respond({issues: [`ERROR: Failed to write compiled JSON: ${e.message}`]});
+                this.exit(1);
+                return;
+            }
+        }
+
+        if( this.stats )
+            this.respond({stats: this.countStats()});
+
+        if( this.play ) {
+            if( this.hotReload )
+                this.resumeTurnIdx = this.findResumeTurnIdx();
+            this.turns = this.previousTurns.slice(0, this.resumeTurnIdx);
+            this.turnIdx = 0;
+
+            if( this.resumeTurnIdx > 0 )
+                this.replayRecordedTurn(this.turns[0]);
+            else if( this.goToStart() )
+                this.startTurn(null);
+        }
+        else
+            this.exit(0);
+    });
+}
+
+InkjsSession.prototype.compile = function() {
+
+    var issues = [];
+
+    // Read from the same temporary directory that inklecate would compile from,
+    // so that INCLUDE lines resolve identically for both backends.
+    var rootDir = this.rootDir;
+    var fileHandler = {
+        ResolveInkFilename: filename => path.resolve(rootDir, filename),
+        LoadInkFileContents: fullFilename => fs.readFileSync(fullFilename, "utf8").replace(/^\uFEFF/, '')
+    };
+
+    var options = new inkjs.CompilerOptions(
+        this.mainName,
+        [],
+        true, // count all visits, equivalent to inklecate's -c
+        (message, type) => issues.push(message),
+        fileHandler
+    );
+
+    var success = false;
+    try {
+        var mainSource = fileHandler.LoadInkFileContents(path.join(rootDir, this.mainName));
+        this.compiler = new inkjs.Compiler(mainSource, options);
+        this.story = this.compiler.Compile();
+        success = !!this.story;
+    } catch(e) {
+        // inkjs throws once compilation has failed, by which time
+        // the actual errors have already been passed to the error handler
+        if( issues.length == 0 )
+            issues.push(`ERROR: ${e.message || e}`);
+    }
+
+    if( issues.length > 0 )
+        this.respond({issues: issues});
+
+    this.respond({"compile-success": success});
+
+    if( success ) {
+        this.story.onError = (message, type) => {
+            this.runtimeIssues.push(message);
+        };
+    }
+
+    return success;
+}
+
+// Applies the starting variables and path, if any. Returns false if
+// the story can't be played because the path doesn't exist.
+InkjsSession.prototype.goToStart = function() {
+    var issues = [];
+
+    for(var name in this.startVariables) {
+        var error = this.assignGlobal(name, this.startVariables[name]);
+        if( error !== null )
+            issues.push(`RUNTIME WARNING: Couldn't set starting value of '${name}': ${error}`);
+    }
+
+    var canStart = true;
+    if( this.startPath ) {
+        try {
+            this.story.ChoosePathString(this.startPath);
+        } catch(e) {
+            issues.push(`RUNTIME ERROR: Can't play from '${this.startPath}': ${e.message || e}`);
+            canStart = false;
+        }
+    }
+
+    if( issues.length > 0 )
+        this.respond({issues: issues});
+
+    if( !canStart )
+        this.exit(1);
+
+    return canStart;
+}
+
+// Starts a new turn from the story's current state, which is
+// either the very beginning or just after a choice was made.
+InkjsSession.prototype.startTurn = function(choiceNumber) {
+    if( this.hotReload ) {
+        var stateJson = this.story.state.toJson();
+        this.recordingTurn = {
+            choiceNumber: choiceNumber,
+            stateJson: stateJson,
+            startKnotHashes: this.knotHashesForState(stateJson),
+            knotHashes: null,
+            responses: [],
+            debugRanges: [],
+            endStateJson: null
+        };
+        this.turns.push(this.recordingTurn);
+    }
+
+    this.turnDebugRangeCount = this.compiler.debugSourceRanges.length;
+    this.continueStory();
+}
+
+// Like story.Continue(), but returns false if it stopped at a breakpoint before finishing the line
+InkjsSession.prototype.continueLine = function() {
+    if( !this.pauseRequested )
+        this.checkForBreakpoint();
+
+    if( this.pauseRequested )
+        return false;
+
+    // If we reach a breakpoint on the last step of a line, the line is
+    // still finished, and we stop before the next one instead
+    this.story.ContinueAsync(this.continueLimit);
+    return this.story.asyncContinueComplete;
+}
+
+InkjsSession.prototype.watchForBreakpoints = function() {
+    var session = this;
+    var story = this.story;
+    var continueSingleStep = story.ContinueSingleStep;
+    story.ContinueSingleStep = function() {
+        var rewound = continueSingleStep.call(this);
+        session.checkForBreakpoint(rewound);
+        return rewound;
+    };
+}
+
+// Called before each step of the story, to see whether we should stop before it.
+// rewound is true when inkjs has just gone back to the end of the line it was looking
+// past, which it does after each line to check there's no glue before outputting it.
+InkjsSession.prototype.checkForBreakpoint = function(rewound) {
+    var story = this.story;
+
+    // A breakpoint reached while looking ahead is reached again once inkjs has rewound and
+    // output the line before it, and it's stopped at then. If instead the lookahead was
+    // kept, because of glue, the story stops straight away, part way through the line.
+    var lookingAhead = story._stateSnapshotAtLastNewline !== null;
+    if( lookingAhead && !this.linesBeforeLookahead ) {
+        this.linesBeforeLookahead = { currentLine: this.currentLine, lineAtDepth: this.lineAtDepth.slice() };
+    } else if( !lookingAhead && this.linesBeforeLookahead ) {
+        if( rewound ) {
+            this.currentLine = this.linesBeforeLookahead.currentLine;
+            this.lineAtDepth = this.linesBeforeLookahead.lineAtDepth;
+        } else if( this.pauseAfterLookahead ) {
+            this.pauseRequested = true;
+        }
+        this.linesBeforeLookahead = null;
+        this.pauseAfterLookahead = false;
+    }
+
+    // Nothing to stop for, or still catching up with the choices made before the recompile
+    if( this.pauseRequested || this.pauseAfterLookahead || this.turnIdx < this.choiceSequence.length )
+        return;
+    if( this.breakpoints.size == 0 && this.stepMode == "continue" )
+        return;
+
+    // Expressions evaluated from the debugger don't count
+    if( story._temporaryEvaluationContainer !== null )
+        return;
+
+    var debugMetadata = nextDebugMetadata(story);
+    if( !debugMetadata ) return;
+
+    // Only stop when arriving at a new line, rather than at every step within it. Coming
+    // back to a line after a function call returns doesn't count as reaching its breakpoint.
+    var line = `${debugMetadata.fileName}:${debugMetadata.startLineNumber}`;
+    var depth = story.state.callStack.depth;
+    var isNewLine = line != this.currentLine;
+    var isNewLineInFlow = line != this.lineAtDepth[depth];
+
+    this.currentLine = line;
+    this.lineAtDepth.length = depth + 1;
+    this.lineAtDepth[depth] = line;
+
+    if( !isNewLine ) return;
+
+    if( (this.breakpoints.has(line) && isNewLineInFlow) ||
+        this.stepMode == "step" ||
+        (this.stepMode == "step-out" && depth < this.stepOutDepth) ) {
+        if( lookingAhead )
+            this.pauseAfterLookahead = true;
+        else
+            this.pauseRequested = true;
+    }
+}
+
+InkjsSession.prototype.pause = function() {
+    this.paused = true;
+    var debugMetadata = nextDebugMetadata(this.story);
+    this.respond({
+        paused: {
+            fileName: debugMetadata ? debugMetadata.fileName : null,
+            lineNumber: debugMetadata ? debugMetadata.startLineNumber : 0,
+            callstack: this.callstackFrames(),
+            variables: this.globalVariableValues()
+        }
+    });
+}
+
+// mode is "continue", "step" or "step-out"
+InkjsSession.prototype.resume = function(mode) {
+    if( !this.paused || this.stopped ) return;
+
+    this.paused = false;
+    this.pauseRequested = false;
+    this.stepMode = mode;
+    this.stepOutDepth = this.story.state.callStack.depth;
+    this.continueStory();
+}
+
+// breakpoints: [{ filename, lineNumber }], with filenames relative to the main ink file
+InkjsSession.prototype.setBreakpoints = function(breakpoints) {
+    this.breakpoints = new Set(breakpoints.map(breakpoint => `${breakpoint.filename}:${breakpoint.lineNumber}`));
+}
+
+// A stack of tunnels and function calls, innermost first, which is the current flow's unless
+// another thread's callstack elements are given: [{ type: "tunnel" | "function" | "root", name, fileName, lineNumber }]
+InkjsSession.prototype.callstackFrames = function(elements) {
+    elements = elements || this.story.state.callStack.elements;
+    return elements.map((element, idx) => {
+        var pointer = element.currentPointer;
+        var debugMetadata = pointerDebugMetadata(this.story, pointer) || (pointer.isNull ? null : pointer.container.debugMetadata);
+        return {
+            type: idx == 0 ? "root" : element.type == 0 ? "tunnel" : "function",
+            name: pointer.isNull ? "" : flowName(pointer.container.path),
+            fileName: debugMetadata ? debugMetadata.fileName : null,
+            lineNumber: debugMetadata ? debugMetadata.startLineNumber : 0
+        };
+    }).reverse();
+}
+
+// Where the story is waiting at the end of a turn: the current flow's callstack, plus
+// the threads that the choices on offer were generated in, each with its own callstack,
+// which is how choices gathered with "<- knot" can be told apart from the flow's own.
+// Returns { frames, threads: [{ frames, choices: [text] }] }
+InkjsSession.prototype.callstackInfo = function() {
+    var threads = [];
+
+    for(var choice of this.story.currentChoices) {
+        var frames = choice.threadAtGeneration ? this.callstackFrames(choice.threadAtGeneration.callstack) : [];
+
+        // Every choice is given its own copy of the thread it came from, so
+        // those with identical callstacks are taken to be from the same one
+        var signature = JSON.stringify(frames.map(frame => frame.name));
+        var thread = threads.find(t => t.signature == signature);
+        if( !thread ) {
+            thread = { signature: signature, frames: frames, choices: [] };
+            threads.push(thread);
+        }
+        thread.choices.push(choice.text);
+    }
+
+    // The flow itself has usually run out of content by now, leaving nowhere to point at
+    return {
+        frames: this.callstackFrames().filter(frame => frame.name),
+        threads: threads.map(thread => ({ frames: thread.frames, choices: thread.choices }))
+    };
+}
+
+// TURNS_SINCE is only tracked for knots that the story uses it on, but
+// we want to be able to show it for every knot and stitch
+InkjsSession.prototype.countTurnsSinceForAllFlows = function() {
+    for(var container of flowContainers(this.story, this.compiler.parsedStory))
+        container.turnIndexShouldBeCounted = true;
+}
+
+// How often every knot and stitch has been visited, and how many turns ago:
+// { "knot.stitch": { visits, turnsSince } }, where turnsSince is -1 if never visited
+InkjsSession.prototype.visitCounts = function() {
+    var state = this.story.state;
+    var counts = {};
+    for(var container of flowContainers(this.story, this.compiler.parsedStory)) {
+        counts[container.path.toString()] = {
+            visits: state.VisitCountForContainer(container),
+            turnsSince: state.TurnsSinceForContainer(container)
+        };
+    }
+    return counts;
+}
+
+// Every global's value, as text: { name: "value" }
+InkjsSession.prototype.globalVariableValues = function() {
+    var variablesState = this.story.variablesState;
+    var values = {};
+    for(var name of variablesState._globalVariables.keys()) {
+        var value = variablesState.GetVariableWithName(name);
+        values[name] = value ? value.toString() : "";
+    }
+    return values;
+}
+
+InkjsSession.prototype.continueStory = function() {
+    var story = this.story;
+    var debugRangeCount = this.turnDebugRangeCount;
+
+    try {
+        while( story.canContinue ) {
+            if( !this.continueLine() ) {
+                this.pause();
+                return;
+            }
+
+            var text = story.currentText;
+            this.compiler.RetrieveDebugSourceForLatestContent();
+
+            this.respond({text: text});
+            if( story.currentTags && story.currentTags.length > 0 )
+                this.respond({tags: story.currentTags.slice()});
+
+            this.sendRuntimeIssues();
+        }
+
+        // A breakpoint reached right at the end of the turn is after its last line
+        this.pauseRequested = false;
+        this.pauseAfterLookahead = false;
+        this.linesBeforeLookahead = null;
+    } catch(e) {
+        this.runtimeIssues.push(`RUNTIME ERROR: ${e.message || e}`);
+        this.sendRuntimeIssues();
+        this.exit(1);
+        return;
+    }
+
+    this.respond({callstack: this.callstackInfo()});
+    this.respond({visitCounts: this.visitCounts()});
+
+    if( story.currentChoices.length > 0 ) {
+        this.respond({
+            choices: story.currentChoices.map(choice => ({
+                text: choice.text,
+                tags: choice.tags || []
+            }))
+        });
+        this.finishRecordingTurn(debugRangeCount);
+        this.respond({needInput: true});
+    }
+
+    // End of story, but like inklecate we stay alive so that
+    // DebugSource lookups still work on the final content.
+    else {
+        this.finishRecordingTurn(debugRangeCount);
+        this.ended = true;
+        this.respond({end: true});
+    }
+}
+
+InkjsSession.prototype.finishRecordingTurn = function(debugRangeCount) {
+    var turn = this.recordingTurn;
+    if( !turn ) return;
+
+    this.recordingTurn = null;
+
+    turn.debugRanges = this.compiler.debugSourceRanges.slice(debugRangeCount).map(range => ({
+        length: range.length,
+        fileName: range.debugMetadata ? range.debugMetadata.fileName : null,
+        startLineNumber: range.debugMetadata ? range.debugMetadata.startLineNumber : 0
+    }));
+    turn.endStateJson = this.story.state.toJson();
+    turn.knotHashes = this.knotHashesForTurn(turn);
+}
+
+InkjsSession.prototype.sendRuntimeIssues = function() {
+    if( this.runtimeIssues.length > 0 ) {
+        this.respond({issues: this.runtimeIssues});
+        this.runtimeIssues = [];
+    }
+}
+
+// Equivalent of writing a line to inklecate's stdin while it's in play mode
+InkjsSession.prototype.write = function(inputLine) {
+    if( this.stopped || !this.story ) return;
+
+    inputLine = inputLine.trim();
+
+    var debugSourceMatch = inputLine.match(/^DebugSource\((\d+)\)$/);
+    var debugPathMatch = inputLine.match(/^DebugPath\s+(.+)$/);
+    var expressionMatch = inputLine.match(/^"(.*)"$/);
+    var assignmentMatch = inputLine.match(/^~\s*(\w+)\s*=\s*(.+)$/);
+
+    if( debugSourceMatch ) {
+        var debugMetadata = this.compiler.DebugMetadataForContentAtOffset(parseInt(debugSourceMatch[1]));
+        this.respond({cmdOutput: debugSourceDescription(debugMetadata)});
+    }
+
+    else if( debugPathMatch ) {
+        this.respond({cmdOutput: debugSourceDescription(this.debugMetadataAtPath(debugPathMatch[1]))});
+    }
+
+    else if( expressionMatch ) {
+        this.evaluateExpression(expressionMatch[1]);
+    }
+
+    else if( assignmentMatch ) {
+        this.setVariable(assignmentMatch[1], assignmentMatch[2]);
+    }
+
+    else if( /^\d+$/.test(inputLine) ) {
+        var choiceNumber = parseInt(inputLine);
+
+        // Still catching up with a hot-reloaded playthrough
+        if( this.turnIdx+1 < this.resumeTurnIdx ) {
+            this.turnIdx++;
+            this.replayRecordedTurn(this.turns[this.turnIdx]);
+            return;
+        }
+
+        // Caught up: continue for real from the snapshot
+        if( this.turnIdx+1 == this.resumeTurnIdx ) {
+            this.turnIdx++;
+            this.story.state.LoadJson(this.previousTurns[this.turnIdx].stateJson);
+            this.startTurn(choiceNumber);
+            return;
+        }
+
+        var choiceIdx = choiceNumber - 1;
+        if( this.ended || choiceIdx < 0 || choiceIdx >= this.story.currentChoices.length ) {
+            this.respond({issues: [`RUNTIME ERROR: Choice out of range: ${inputLine}`]});
+            return;
+        }
+
+        this.turnIdx++;
+        this.story.ChooseChoiceIndex(choiceIdx);
+        this.startTurn(choiceNumber);
+    }
+}
+
+// Re-send a turn's output exactly as it was recorded in the previous session,
+// without running any of the story.
+InkjsSession.prototype.replayRecordedTurn = function(turn) {
+    for(var response of turn.responses)
+        this.respond(response);
+
+    // Keep DebugSource offsets lined up with the text that's been output
+    for(var range of turn.debugRanges) {
+        this.compiler.debugSourceRanges.push({
+            length: range.length,
+            debugMetadata: range.fileName ? { fileName: range.fileName, startLineNumber: range.startLineNumber } : null,
+            text: ""
+        });
+    }
+
+    this.respond({needInput: true});
+}
+
+// Turns can be re-sent exactly as recorded as long as they followed the same choices
+// and nothing they ran through has changed. From the latest of those, we then look
+// for a snapshot that can be restored in the newly compiled story.
+// Returns 0 if we need to play from the start.
+InkjsSession.prototype.findResumeTurnIdx = function() {
+    var previousTurns = this.previousTurns;
+    var maxTurnIdx = Math.min(this.choiceSequence.length, previousTurns.length-1);
+
+    var unchangedTurnIdx = 0;
+    while( unchangedTurnIdx < maxTurnIdx &&
+           previousTurns[unchangedTurnIdx+1].choiceNumber == this.choiceSequence[unchangedTurnIdx] &&
+           this.knotsUnchanged(previousTurns[unchangedTurnIdx].knotHashes) )
+        unchangedTurnIdx++;
+
+    for(var turnIdx = unchangedTurnIdx; turnIdx > 0; turnIdx--) {
+        if( this.canRestoreTurn(previousTurns[turnIdx]) )
+            return turnIdx;
+    }
+
+    return 0;
+}
+
+InkjsSession.prototype.canRestoreTurn = function(turn) {
+
+    if( !this.knotsUnchanged(turn.startKnotHashes) )
+        return false;
+
+    // Finally, make sure the state actually loads cleanly
+    var canLoad = false;
+    try {
+        this.story.state.LoadJson(turn.stateJson);
+        canLoad = !this.story.state.hasWarning;
+    } catch(e) {
+        canLoad = false;
+    }
+    this.story.ResetState();
+
+    return canLoad;
+}
+
+// knotHashes is null for a turn that never completed
+InkjsSession.prototype.knotsUnchanged = function(knotHashes) {
+    if( !knotHashes )
+        return false;
+
+    for(var knotName in knotHashes) {
+        if( this.knotHash(knotName) !== knotHashes[knotName] )
+            return false;
+    }
+    return true;
+}
+
+// Hashes of every top level knot (or the top level weave, as "0") that the
+// snapshot's callstack points into, including the return points of choices.
+InkjsSession.prototype.knotHashesForState = function(stateJson) {
+    var knotHashes = {};
+
+    var collectPaths = (obj) => {
+        if( Array.isArray(obj) ) {
+            obj.forEach(collectPaths);
+        } else if( obj && typeof obj == "object" ) {
+            for(var key in obj) {
+                var value = obj[key];
+                if( (key == "cPath" || key == "^->") && typeof value == "string" ) {
+                    var knotName = value.split(".")[0];
+                    knotHashes[knotName] = this.knotHash(knotName);
+                } else {
+                    collectPaths(value);
+                }
+            }
+        }
+    };
+
+    collectPaths(JSON.parse(stateJson).flows);
+
+    return knotHashes;
+}
+
+// Everything a turn depended on: where it started, every knot it visited
+// (we always count all visits), plus the top level and global declarations.
+InkjsSession.prototype.knotHashesForTurn = function(turn) {
+    var knotHashes = Object.assign({}, turn.startKnotHashes);
+
+    var visitCountsBefore = JSON.parse(turn.stateJson).visitCounts || {};
+    var visitCountsAfter = JSON.parse(turn.endStateJson).visitCounts || {};
+    var knotNames = ["0", "global decl"];
+    for(var containerPath in visitCountsAfter) {
+        if( visitCountsAfter[containerPath] !== visitCountsBefore[containerPath] && containerPath.length > 0 )
+            knotNames.push(containerPath.split(".")[0]);
+    }
+
+    for(var knotName of knotNames)
+        knotHashes[knotName] = this.knotHash(knotName);
+
+    return knotHashes;
+}
+
+InkjsSession.prototype.knotHash = function(knotName) {
+    if( this.knotHashes[knotName] !== undefined )
+        return this.knotHashes[knotName];
+
+    // The JSON form excludes debug metadata, so knots aren't considered to
+    // have changed just because content above them has moved.
+    if( !this.rootJson )
+        this.rootJson = JSON.parse(this.story.ToJson()).root;
+
+    var knotJson;
+    if( /^\d+$/.test(knotName) ) {
+        knotJson = this.rootJson[parseInt(knotName)];
+    } else {
+        var namedContent = this.rootJson[this.rootJson.length-1];
+        knotJson = namedContent ? namedContent[knotName] : undefined;
+    }
+
+    var hash = knotJson === undefined ? null : crypto.createHash("md5").update(JSON.stringify(knotJson)).digest("hex");
+    this.knotHashes[knotName] = hash;
+    return hash;
+}
+
+InkjsSession.prototype.evaluateExpression = function(expressionText) {
+
+    // Watch expressions are written as ink string content, e.g. "x is {x}"
+    var result = null;
+    var error = null;
+
+    // While catching up with a hot-reloaded playthrough, the story itself
+    // hasn't run yet, so borrow the state recorded at the end of that turn.
+    var replayedTurn = this.turnIdx < this.resumeTurnIdx ? this.turns[this.turnIdx] : null;
+    if( replayedTurn ) {
+        try {
+            this.story.state.LoadJson(replayedTurn.endStateJson);
+        } catch(e) {
+            error = "Can't evaluate an expression for this turn since the story has changed";
+        }
+    }
+
+    if( error !== null ) {
+        // Couldn't restore state above
+    } else if( this.ended ) {
+        error = "Can't evaluate an expression after the story has ended";
+    } else if( this.paused ) {
+        // The story is part way through running a line, which evaluating would disturb
+        error = "Can't evaluate an expression while paused at a breakpoint";
+    } else {
+        var parser = new inkjs.InkParser(`"${expressionText}"`);
+        var expression = parser.Expression();
+
+        if( !expression ) {
+            error = `Couldn't parse expression: ${expressionText}`;
+        }
+
+        // inkjs resolves calls to the story's own functions relative to the temporary
+        // evaluation container, which never terminates, so refuse them up front.
+        else if( containsUserFunctionCall(expression) ) {
+            error = "Calling story functions from a watch expression isn't supported by the inkjs compiler";
+        }
+
+        else {
+            var parsedStory = this.compiler.parsedStory;
+            expression.parent = parsedStory;
+            var runtimeContainer = expression.runtimeObject;
+            expression.ResolveReferences(parsedStory);
+
+            try {
+                var evaluated = this.story.EvaluateExpression(runtimeContainer);
+                result = evaluated ? evaluated.toString() : "";
+            } catch(e) {
+                error = e.message || String(e);
+            }
+        }
+    }
+
+    if( replayedTurn )
+        this.story.ResetState();
+
+    if( error !== null || this.runtimeIssues.length > 0 ) {
+        var issues = this.runtimeIssues.length > 0 ? this.runtimeIssues : [`RUNTIME ERROR: ${error}`];
+        this.runtimeIssues = [];
+        this.respond({issues: issues});
+    } else {
+        this.respond({cmdOutput: result});
+    }
+
+    this.respond({needInput: true});
+}
+
+// Gives a global variable a new value from the debugger, e.g. "~ gold = 500".
+// The value can be any constant expression: a number, bool, string, divert target or list.
+InkjsSession.prototype.setVariable = function(name, valueText) {
+    var error = null;
+
+    // While catching up with a hot-reloaded playthrough, the state snapshots we
+    // restore from were taken after any edits were made, so there's nothing to do
+    if( this.turnIdx < this.resumeTurnIdx ) {
+        // Already included
+    } else if( this.ended ) {
+        error = "Can't set a variable after the story has ended";
+    } else if( this.paused ) {
+        error = "Can't set a variable while paused at a breakpoint";
+    } else {
+        error = this.assignGlobal(name, valueText);
+    }
+
+    if( error !== null || this.runtimeIssues.length > 0 ) {
+        var issues = this.runtimeIssues.length > 0 ? this.runtimeIssues : [`RUNTIME ERROR: ${error}`];
+        this.runtimeIssues = [];
+        this.respond({issues: issues});
+    }
+
+    this.respond({needInput: true});
+}
+
+// Returns an error message, or null if the global was set
+InkjsSession.prototype.assignGlobal = function(name, valueText) {
+    if( !this.story.variablesState.GlobalVariableExistsWithName(name) )
+        return `There's no global variable called '${name}'`;
+
+    var expression = null;
+    try {
+        expression = new inkjs.InkParser(String(valueText)).Expression();
+    } catch(e) {
+        // Parse errors are thrown rather than returned
+    }
+
+    if( !expression || containsUserFunctionCall(expression) )
+        return `Couldn't parse value: ${valueText}`;
+
+    var parsedStory = this.compiler.parsedStory;
+    expression.parent = parsedStory;
+    var runtimeContainer = expression.runtimeObject;
+    expression.ResolveReferences(parsedStory);
+
+    try {
+        var value = this.story.EvaluateExpression(runtimeContainer);
+
+        // inkjs would happily store e.g. a string in an int, and the story would go wrong later on
+        var variablesState = this.story.variablesState;
+        var declared = variablesState._defaultGlobalVariables.get(name) || variablesState.GetVariableWithName(name);
+        var declaredKind = declared ? valueKind(declared) : null;
+        var newKind = value ? valueKind(value) : null;
+        if( declaredKind && newKind !== declaredKind )
+            return `${name} holds ${describeKind(declaredKind)}, not ${describeKind(newKind)}`;
+
+        variablesState.SetGlobal(name, value);
+    } catch(e) {
+        return e.message || String(e);
+    }
+
+    return null;
+}
+
+InkjsSession.prototype.debugMetadataAtPath = function(runtimePath) {
+
+    // Construct the Path using the bundle's own class, since inkjs relies on instanceof checks
+    var Path = this.story.mainContentContainer.path.constructor;
+    try {
+        var searchResult = this.story.ContentAtPath(new Path(runtimePath));
+        return searchResult && searchResult.obj ? searchResult.obj.debugMetadata : null;
+    } catch(e) {
+        return null;
+    }
+}
+
+// Same information inklecate gives with its -s flag
+InkjsSession.prototype.countStats = function() {
+    var stats = {
+        words: 0,
+        knots: 0,
+        stitches: 0,
+        functions: 0,
+        choices: 0,
+        gathers: 0,
+        diverts: 0
+    };
+
+    var countParsedObject = (parsedObj) => {
+        switch(parsedObj.typeName) {
+            case "Text":
+                var words = parsedObj.text.match(/\S+/g);
+                if( words ) stats.words += words.length;
+                break;
+            case "Knot":     stats.knots++; break;
+            case "Function": stats.knots++; stats.functions++; break;
+            case "Stitch":   stats.stitches++; break;
+            case "Choice":   stats.choices++; break;
+            case "Gather":   stats.gathers++; break;
+            case "Divert":   stats.diverts++; break;
+        }
+
+        if( parsedObj.content )
+            parsedObj.content.forEach(countParsedObject);
+    };
+
+    countParsedObject(this.compiler.parsedStory);
+
+    return stats;
+}
+
+InkjsSession.prototype.respond = function(jsonResponse) {
+    // Stopping at a breakpoint isn't part of the turn's output when it's replayed
+    if( this.recordingTurn && !jsonResponse.paused )
+        this.recordingTurn.responses.push(jsonResponse);
+
+    if( !this.stopped )
+        this.events.response(jsonResponse);
+}
+
+InkjsSession.prototype.exit = function(code) {
+    if( this.exited ) return;
+    this.exited = true;
+    this.events.exit(code);
+}
+
+// Equivalent of killing the inklecate process
+InkjsSession.prototype.stop = function() {
+    this.stopped = true;
+    setImmediate(() => this.exit(null));
+}
+
+// Debug metadata of the object a pointer points at. Containers such as knots have their
+// own metadata, but it spans the whole container, so only their content's is used.
+function pointerDebugMetadata(story, pointer) {
+    if( pointer.isNull ) return null;
+
+    var obj = pointer.Resolve();
+    var Container = story.mainContentContainer.constructor;
+    return obj && !(obj instanceof Container) ? obj.debugMetadata : null;
+}
+
+// The source line that the story will run next
+function nextDebugMetadata(story) {
+    return pointerDebugMetadata(story, story.state.currentPointer);
+}
+
+// Knots, plus the stitches (and labelled gathers) directly inside them, as long as
+// they're visit counted, which with "count all visits" they are. Functions are left
+// out: they're knots at runtime too, so the parsed story is needed to tell them apart.
+function flowContainers(story, parsedStory) {
+    var functionNames = new Set();
+    for(var [name, flow] of parsedStory.subFlowsByName) {
+        if( flow.isFunction )
+            functionNames.add(name);
+    }
+
+    var Container = story.mainContentContainer.constructor;
+    var containers = [];
+    for(var knot of story.mainContentContainer.namedContent.values()) {
+        if( !(knot instanceof Container) || !knot.visitsShouldBeCounted || functionNames.has(knot.name) ) continue;
+        containers.push(knot);
+        for(var child of knot.namedContent.values()) {
+            if( child instanceof Container && child.visitsShouldBeCounted )
+                containers.push(child);
+        }
+    }
+    return containers;
+}
+
+// e.g. "knot.stitch" for the runtime path "knot.stitch.0.c-1.5"
+function flowName(runtimePath) {
+    var names = [];
+    for(var i=0; i<runtimePath.componentCount; i++) {
+        var component = runtimePath.GetComponent(i);
+        if( !component.isIndex && !/^[cgs]-\d+$/.test(component.name) )
+            names.push(component.name);
+    }
+    return names.join(".");
+}
+
+function debugSourceDescription(debugMetadata) {
+    if( debugMetadata && debugMetadata.fileName )
+        return `DebugSource: line ${debugMetadata.startLineNumber} of ${debugMetadata.fileName}`;
+    else
+        return "DebugSource: Unknown source";
+}
+
+function containsUserFunctionCall(parsedObj) {
+    if( parsedObj.typeName == "FunctionCall" && !parsedObj.constructor.IsBuiltIn(parsedObj.name) )
+        return true;
+
+    return !!parsedObj.content && parsedObj.content.some(containsUserFunctionCall);
+}
+
+// inkjs's ValueType, with ints and floats both counted as numbers
+var valueKindsByType = {
+    "-1": "bool",
+    "0": "number",
+    "1": "number",
+    "2": "list",
+    "3": "string",
+    "4": "divert"
+};
+
+function valueKind(value) {
+    return valueKindsByType[value.valueType] || null;
+}
+
+function describeKind(kind) {
+    switch(kind) {
+        case "bool":   return "true or false";
+        case "number": return "a number";
+        case "list":   return "a list";
+        case "string": return "a string";
+        case "divert": return "a divert target";
+    }
+    return "an unknown kind of value";
+}
+
+exports.InkjsSession = InkjsSession;
@@ -5,6 +5,7 @@ const path = require("path");
 const electron = require('electron');
 const ipc = electron.ipcMain;
 const mkdirp = require('mkdirp');
+const InkjsSession = require("./inkjsSession.js").InkjsSession;
 
 // inklecate is packaged outside of the main asar bundle since it's executable
 const inklecateNames = {
@@ -23,6 +24,15 @@ catch(e) {
     inklecatePath = path.join(inklecateRootPathDev, inklecateNames[process.platform]);
 }
 
+function canExecute(executablePath) {
+    try {
+        fs.accessSync(executablePath, fs.constants.X_OK);
+        return true;
+    } catch(e) {
+        return false;
+    }
+}
+
 var tempInkPath;
 if (process.platform == "darwin" || process.platform == "linux") {
     tempInkPath = process.env.TMPDIR ? path.join(process.env.TMPDIR, "inky_compile") : "/tmp/inky_compile";
@@ -32,18 +42,40 @@ if (process.platform == "darwin" || process.platform == "linux") {
 
 var sessions = {};
 
+// Latest hot-reloading play session for each namespace (i.e. project window),
+// whose recorded turns the next play session can restore from.
+var hotReloadSessions = {};
 
+// Progress of each session is logged for debugging the app, but the command line
+// turns it off so that it doesn't get mixed up with its own output
+var logSessions = true;
+
+function logSession(message) {
+    if( logSessions )
+        console.log(message);
+}
+
+// requester is normally a window's webContents, but anything with
+// send(channel, ...args) and isDestroyed() will do, e.g. the command line.
 function compile(compileInstruction, requester) {
 
     var sessionId = compileInstruction.sessionId;
 
-    console.log(`Launching inklecate for session id '${sessionId}'`);
+    logSession(`Launching inklecate for session id '${sessionId}'`);
 
     var uniqueDirPath = path.join(tempInkPath, compileInstruction.namespace);
 
     // TODO: handle errors
     mkdirp.sync(uniqueDirPath);
 
+    // Remove files that have been renamed or deleted in the project, so that
+    // a stale copy can't still be found by an INCLUDE
+    (compileInstruction.removedFiles || []).forEach(relativePath => {
+        var fullInkPath = path.join(uniqueDirPath, relativePath);
+        if( fs.existsSync(fullInkPath) )
+            fs.unlinkSync(fullInkPath);
+    });
+
     // Write out updated files
     for(var relativePath in compileInstruction.updatedFiles) {
 
@@ -85,15 +117,30 @@ function compile(compileInstruction, requester) {
         inklecatePathToUse = path.resolve(inklecateFolderName, "inkjs-compatible", inklecateName);
     }
 
-    const playProcess = spawn(inklecatePathToUse, inklecateOptions, {
-        "cwd": path.dirname(inklecatePathToUse),
-        "env": {
-            "MONO_BUNDLED_OPTIONS": "--debug"
-        }
-    });
+    // "inklecate", "inkjs", or "auto" (the default), which prefers inklecate but
+    // falls back to inkjs when the binary is missing or can't be launched.
+    var compiler = compileInstruction.compiler || "auto";
+    var useInkjs = compiler == "inkjs" || (compiler == "auto" && !canExecute(inklecatePathToUse));
+
+    // Hot-reloading needs to snapshot the story's state, which only inkjs can do
+    var hotReload = compileInstruction.play && compileInstruction.hotReload && compiler != "inklecate";
+    if( hotReload )
+        useInkjs = true;
+
+    // As does starting somewhere other than the top of the story, or with preset variables.
+    // inklecate can't, so when it's been asked for explicitly the story plays from the top.
+    var playFrom = compileInstruction.play && (compileInstruction.startPath || compileInstruction.startVariables) && compiler != "inklecate";
+    if( playFrom )
+        useInkjs = true;
+
+    // And pausing at breakpoints, which are ignored if inklecate was asked for explicitly
+    var debugging = compileInstruction.play && compileInstruction.breakpoints && compileInstruction.breakpoints.length > 0 && compiler != "inklecate";
+    if( debugging )
+        useInkjs = true;
 
     sessions[sessionId] = {
-        process:playProcess,
+        process: null,
+        inkjs: null,
         requesterWebContents: requester,
         stopped: false,
         ended: false,
@@ -102,18 +149,6 @@ function compile(compileInstruction, requester) {
     };
     var session = sessions[sessionId];
 
-    playProcess.stderr.setEncoding('utf8');
-    playProcess.stderr.on('data', (data) => {
-        // Strip Byte order mark
-        data = data.replace(/^\uFEFF/, '');
-        if( data.length > 0 ) {
-            requester.send('play-story-unexpected-error', data, sessionId);
-        }
-    });
-
-    playProcess.stdin.setEncoding('utf8');
-    playProcess.stdout.setEncoding('utf8');
-
     var inkErrors = [];
 
     var sendAnyErrors = () => {
@@ -141,8 +176,128 @@ function compile(compileInstruction, requester) {
     var issueRegex = /^(ERROR|WARNING|RUNTIME ERROR|RUNTIME WARNING|TODO): ('([^']+)' )?(line (\d+):)?(.*)/;
     var debugSourceRegex = /^DebugSource: (line (\d+) of (.*)|Unknown source)/;
 
+    // Handles a single JSON response, whether it was parsed from inklecate's stdout
+    // or produced directly by an in-process InkjsSession
+    var onJsonResponse = (jsonResponse) => {
+
+        if( requester.isDestroyed() )
+            return;
+
+        // Issues
+        if( jsonResponse.issues !== undefined ) {
+            for(let issue of jsonResponse.issues) {
+                let issueMatches = issue.match(issueRegex);
+                if(issueMatches === null){ //falback if regexp fails
+                    inkErrors.push({
+                        type: "RUNTIME ERROR",
+                        filename: "",
+                        lineNumber: 0,
+                        message: issue
+                    });
+                    continue;
+                }
+                let msg = issueMatches[6].trim();
+                if( session.settingVariable ) {
+                    session.settingVariableError = msg;
+                } else if( session.evaluatingExpression ) {
+                    requester.send('play-evaluated-expression-error', msg, sessionId);
+                } else {
+                    inkErrors.push({
+                        type: issueMatches[1],
+                        filename: issueMatches[3],
+                        lineNumber: parseInt(issueMatches[5] || 0),
+                        message: msg
+                    });
+                }
+            }
+
+            requester.send('play-generated-errors', inkErrors, sessionId);
+            inkErrors = [];
+        }
+        
+        // Compile success?
+        else if( jsonResponse["compile-success"] !== undefined ) {
+            // Whether true or false, it's done
+            requester.send('compile-complete', sessionId);
+        }
+        
+        // Tags
+        else if( jsonResponse.tags !== undefined ) {
+            requester.send('play-generated-tags', jsonResponse.tags, sessionId);
+        }
+
+        // Choices
+        else if ( jsonResponse.choices !== undefined ) {
+            for(let i=0; i<jsonResponse.choices.length; i++) {
+                requester.send("play-generated-choice", {
+                    number: (i+1),
+                    choice: jsonResponse.choices[i]
+                }, sessionId);
+            }
+        }
+
+        // Input prompt
+        else if( jsonResponse.needInput ) {
+            if( session.settingVariable ) {
+                session.settingVariable = false;
+                requester.send('play-set-variable-complete', session.settingVariableError, sessionId);
+            }
+            else if( session.evaluatingExpression )
+                session.evaluatingExpression = false;
+            // else if( session.justRequestedDebugSource )
+            //     session.justRequestedDebugSource = false;
+            else
+                requester.send('play-requires-input', sessionId);
+        }
+        
+        // DebugSource and expression result
+        else if( jsonResponse.cmdOutput !== undefined ) {
+
+            let debugSourceMatches = jsonResponse.cmdOutput.match(debugSourceRegex);
+            if( debugSourceMatches ) {
+                // session.justRequestedDebugSource = true;
+                requester.send('return-location-from-source', sessionId, {
+                    lineNumber: parseInt(debugSourceMatches[2]),
+                    filename: debugSourceMatches[3]
+                });
+            } else if( session.evaluatingExpression ) {
+                requester.send('play-evaluated-expression', jsonResponse.cmdOutput, sessionId);
+            }
+        }
+        
+        // Tunnels, function calls and threads at the end of the turn (inkjs only)
+        else if( jsonResponse.callstack ) {
+            requester.send('play-callstack', jsonResponse.callstack, sessionId);
+        }
+
+        // Read counts and TURNS_SINCE for every knot and stitch (inkjs only)
+        else if( jsonResponse.visitCounts ) {
+            requester.send('play-visit-counts', jsonResponse.visitCounts, sessionId);
+        }
+
+        // Stopped at a breakpoint, or after stepping (inkjs only)
+        else if( jsonResponse.paused ) {
+            requester.send('play-paused', jsonResponse.paused, sessionId);
+        }
+
+        // Story text
+        else if( jsonResponse.text !== undefined ) {
+            requester.send('play-generated-text', jsonResponse.text, sessionId);
+        }
+        
+        // End of story, but keep process running for debug source lookups
+        else if( jsonResponse.end ) {
+            onEndOfStory();
+        }
+        
+        // Stats
+        else if( jsonResponse.stats ) {
+            requester.send('return-stats', jsonResponse.stats, sessionId);
+        }
+    };
+
     var stdoutTextBuffer = "";
-    playProcess.stdout.on('data', (text) => {
+    var onStdoutData = (text) => {
 
         // Strip Byte order mark
         text = text.replace(/^\uFEFF/, '');
@@ -177,102 +332,10 @@ function compile(compileInstruction, requester) {
                 break;
             }
 
-            // Issues
-            if( jsonResponse.issues !== undefined ) {
-                for(let issue of jsonResponse.issues) {
-                    let issueMatches = issue.match(issueRegex);
-                    if(issueMatches === null){ //falback if regexp fails
-                        inkErrors.push({
-                            type: "RUNTIME ERROR",
-                            filename: "",
-                            lineNumber: 0,
-                            message: issue
-                        });
-                        continue;
-                    }
-                    let msg = issueMatches[6].trim();
-                    if( session.evaluatingExpression ) {
-                        requester.send('play-evaluated-expression-error', msg, sessionId);
-                    } else {
-                        inkErrors.push({
-                            type: issueMatches[1],
-                            filename: issueMatches[3],
-                            lineNumber: parseInt(issueMatches[5] || 0),
-                            message: msg
-                        });
-                    }
-                }
-
-                requester.send('play-generated-errors', inkErrors, sessionId);
-                inkErrors = [];
-            }
-            
-            // Compile success?
-            else if( jsonResponse["compile-success"] !== undefined ) {
-                // Whether true or false, it's done
-                requester.send('compile-complete', sessionId);
-            }
-            
-            // Tags
-            else if( jsonResponse.tags !== undefined ) {
-                requester.send('play-generated-tags', jsonResponse.tags, sessionId);
-            }
-
-            // Choices
-            else if ( jsonResponse.choices !== undefined ) {
-                for(let i=0; i<jsonResponse.choices.length; i++) {
-                    requester.send("play-generated-choice", {
-                        number: (i+1),
-                        choice: jsonResponse.choices[i]
-                    }, sessionId);
-                }
-            }
-
-            // Input prompt
-            else if( jsonResponse.needInput ) {
-                if( session.evaluatingExpression )
-                    session.evaluatingExpression = false;
-                // else if( session.justRequestedDebugSource )
-                //     session.justRequestedDebugSource = false;
-                else
-                    requester.send('play-requires-input', sessionId);
-            }
-            
-            // DebugSource and expression result
-            else if( jsonResponse.cmdOutput !== undefined ) {
-
-                let debugSourceMatches = jsonResponse.cmdOutput.match(debugSourceRegex);
-                if( debugSourceMatches ) {
-                    // session.justRequestedDebugSource = true;
-                    requester.send('return-location-from-source', sessionId, {
-                        lineNumber: parseInt(debugSourceMatches[2]),
-                        filename: debugSourceMatches[3]
-                    });
-                } else if( session.evaluatingExpression ) {
-                    requester.send('play-evaluated-expression', jsonResponse.cmdOutput, sessionId);
-                }
-            }
-            
-            // Story text
-            else if( jsonResponse.text !== undefined ) {
-                requester.send('play-generated-text', jsonResponse.text, sessionId);
-            }
-            
-            // End of story, but keep process running for debug source lookups
-            else if( jsonResponse.end ) {
-                onEndOfStory();
-            }
-            
-            // Stats
-            else if( jsonResponse.stats ) {
-                requester.send('return-stats', jsonResponse.stats, sessionId);
-            }
-
-            continue;
-
+            onJsonResponse(jsonResponse);
         }
 
-    })
+    };
 
     var processCloseExit = (code) => {
 
@@ -288,9 +351,83 @@ function compile(compileInstruction, requester) {
 
         delete sessions[sessionId];
 
-        console.log(` - Ended inklecate session id ${sessionId}`);
+        logSession(` - Ended compile session id ${sessionId}`);
     };
 
+    var startInkjsSession = () => {
+        logSession(` - Using inkjs for session id '${sessionId}'`);
+
+        var previousHotReload = hotReloadSessions[compileInstruction.namespace];
+
+        session.inkjs = new InkjsSession({
+            rootDir: uniqueDirPath,
+            mainName: compileInstruction.mainName,
+            play: compileInstruction.play,
+            stats: compileInstruction.stats,
+            jsonExportPath: jsonExportPath,
+            hotReload: hotReload,
+            startPath: compileInstruction.startPath,
+            startVariables: compileInstruction.startVariables,
+            breakpoints: compileInstruction.breakpoints,
+            choiceSequence: compileInstruction.choiceSequence,
+            previousTurns: hotReload && previousHotReload ? previousHotReload.inkjs.turns : null
+        }, {
+            response: onJsonResponse,
+            exit: processCloseExit
+        });
+
+        if( hotReload )
+            hotReloadSessions[compileInstruction.namespace] = session;
+
+        session.inkjs.start();
+    };
+
+    if( useInkjs ) {
+        startInkjsSession();
+        return;
+    }
+
+    const playProcess = spawn(inklecatePathToUse, inklecateOptions, {
+        "cwd": path.dirname(inklecatePathToUse),
+        "env": {
+            "MONO_BUNDLED_OPTIONS": "--debug"
+        }
+    });
+    session.process = playProcess;
+
+    var receivedAnyOutput = false;
+
+    playProcess.stderr.setEncoding('utf8');
+    playProcess.stderr.on('data', (data) => {
+        receivedAnyOutput = true;
+        // Strip Byte order mark
+        data = data.replace(/^\uFEFF/, '');
+        if( data.length > 0 ) {
+            requester.send('play-story-unexpected-error', data, sessionId);
+        }
+    });
+
+    playProcess.stdin.setEncoding('utf8');
+    playProcess.stdout.setEncoding('utf8');
+    playProcess.stdout.on('data', (text) => {
+        receivedAnyOutput = true;
+        onStdoutData(text);
+    });
+
+    // Binary exists but couldn't be launched (e.g. missing runtime, wrong architecture)
+    playProcess.on('error', (err) => {
+        if( compiler == "auto" && !receivedAnyOutput && !session.stopped ) {
+            logSession(` - Couldn't launch inklecate (${err.message}), falling back to inkjs`);
+            playProcess.removeAllListeners('close');
+            playProcess.removeAllListeners('exit');
+            session.process = null;
+            startInkjsSession();
+        } else {
+            requester.send('play-story-unexpected-error', `Couldn't launch inklecate: ${err.message}`, sessionId);
+            processCloseExit(-1);
+        }
+    });
+
     playProcess.on('close', processCloseExit);
     playProcess.on('exit', processCloseExit);
 }
@@ -299,7 +436,10 @@ function stop(sessionId) {
     const processObj = sessions[sessionId];
     if( processObj ) {
         processObj.stopped = true;
-        processObj.process.kill('SIGTERM');
+        if( processObj.inkjs )
+            processObj.inkjs.stop();
+        else if( processObj.process )
+            processObj.process.kill('SIGTERM');
         return true;
     } else {
         return false;
@@ -314,6 +454,13 @@ function killSessions(optionalBrowserWindow) {
             stop(sessionId);
         }
     }
+
+    for(var namespace in hotReloadSessions) {
+        if( !optionalBrowserWindow ||
+            hotReloadSessions[namespace].requesterWebContents == optionalBrowserWindow.webContents ) {
+            delete hotReloadSessions[namespace];
+        }
+    }
 }
 
 ipc.on("compile", (event, compileInstruction) => {
@@ -326,42 +473,70 @@ ipc.on("play-stop-ink", (event, sessionId) => {
         requester.send('play-story-stopped', sessionId);
 });
 
+// Equivalent of typing a line into inklecate's interactive play mode,
+// whichever backend the session is running on
+function sendInput(session, inputLine) {
+    if( session.inkjs )
+        session.inkjs.write(inputLine);
+    else if( session.process )
+        session.process.stdin.write(inputLine+"\n");
+}
+
 ipc.on("play-continue-with-choice-number", (event, choiceNumber, sessionId) => {
-    if( sessions[sessionId] ) {
-        const playProcess = sessions[sessionId].process;
-        if( playProcess )
-            playProcess.stdin.write(""+choiceNumber+"\n");
-    }
+    if( sessions[sessionId] )
+        sendInput(sessions[sessionId], ""+choiceNumber);
 });
 
 ipc.on("evaluate-expression", (event, expressionText, sessionId) => {
     var session = sessions[sessionId];
-    if( session ) {
-        if( session.process ) {
-            session.evaluatingExpression = true;
-            session.process.stdin.write(`"${expressionText}"\n`);
-        }
+    if( session && (session.process || session.inkjs) ) {
+        session.evaluatingExpression = true;
+        sendInput(session, `"${expressionText}"`);
     }
 });
 
-ipc.on("get-location-in-source", (event, offset, sessionId) => {
-    if( sessions[sessionId] ) {
-        const playProcess = sessions[sessionId].process;
-        if( playProcess )
-            playProcess.stdin.write("DebugSource("+offset+")\n");
+// valueText is an ink constant, e.g. 500, true, "text", -> knot or (item1, item2).
+// inklecate's play mode has no way to set a variable, so only inkjs sessions can.
+ipc.on("set-variable", (event, name, valueText, sessionId) => {
+    var session = sessions[sessionId];
+    if( session && session.inkjs ) {
+        session.settingVariable = true;
+        session.settingVariableError = null;
+        sendInput(session, `~ ${name} = ${valueText}`);
+    } else if( session && session.process ) {
+        event.sender.send('play-set-variable-complete', "Changing variables while playing needs inkjs: turn on Story > Hot-reload playthrough, or set \"compiler\" to \"inkjs\" in the project settings", sessionId);
     }
 });
 
+// Breakpoints and stepping have no inklecate equivalent, so they talk to inkjs directly.
+// breakpoints is [{ filename, lineNumber }]
+ipc.on("set-breakpoints", (event, breakpoints, sessionId) => {
+    var session = sessions[sessionId];
+    if( session && session.inkjs )
+        session.inkjs.setBreakpoints(breakpoints);
+});
+
+// mode is "continue", "step" or "step-out"
+ipc.on("debugger-resume", (event, mode, sessionId) => {
+    var session = sessions[sessionId];
+    if( session && session.inkjs )
+        session.inkjs.resume(mode);
+});
+
+ipc.on("get-location-in-source", (event, offset, sessionId) => {
+    if( sessions[sessionId] )
+        sendInput(sessions[sessionId], "DebugSource("+offset+")");
+});
+
 ipc.on("get-runtime-path-in-source", (event, runtimePath, sessionId) => {
-    if( sessions[sessionId] ) {
-        const playProcess = sessions[sessionId].process;
-        if( playProcess )
-            playProcess.stdin.write("DebugPath "+runtimePath+"\n");
-    }
+    if( sessions[sessionId] )
+        sendInput(sessions[sessionId], "DebugPath "+runtimePath);
 });
 
 
 
 exports.Inklecate = {
-    killSessions: killSessions
+    compile: compile,
+    killSessions: killSessions,
+    setLogging: (enabled) => { logSessions = enabled; }
 }
@@ -7,6 +7,7 @@ const {AssetOverviewWindow} = require("./assetOverviewWindow.js");
 const {AppMenus} = require('./appmenus.js');
 const {onForceQuit} = require('./forceQuitDetect');
 const {Inklecate} = require("./inklecate.js");
+const {CommandLine} = require("./commandLine.js");
 const { fstat } = require('original-fs');
 const {fs} = require("fs");
 
@@ -26,8 +27,13 @@ function inkJSNeedsUpdating() {
 let pendingPathToOpen = null;
 let hasFinishedLaunch = false;
 
+// Headless command line mode, e.g. "inky --compile main.ink --out story.json"
+// When running unpackaged, argv also includes the path to this script.
+const commandLineArgs = process.argv.slice(process.defaultApp ? 2 : 1);
+const isCommandLine = CommandLine.isRequested(commandLineArgs);
+
 // main
-ipcMain.on('show-context-menu', (event) => {
+ipcMain.on('show-context-menu', (event, args) => {
     const template = [
         {
             label: 'Cut',
@@ -43,6 +49,34 @@ ipcMain.on('show-context-menu', (event) => {
         },
       { type: 'separator' },
     ]
+
+    // Right clicked on a file in the file list
+    const fileId = args ? args.fileId : null;
+    if( fileId !== null && fileId !== undefined ) {
+        template.push(
+            {
+                label: i18n._('Rename...'),
+                click: () => event.sender.send('project-rename-file', fileId)
+            },
+            {
+                label: i18n._('Move to Folder...'),
+                click: () => event.sender.send('project-move-file', fileId)
+            },
+            {
+                label: i18n._('Delete'),
+                click: () => event.sender.send('project-delete-file', fileId)
+            }
+        );
+    }
+
+    // Right clicked on a knot or stitch in the knot list
+    const flowPath = args ? args.flowPath : null;
+    if( flowPath ) {
+        template.push({
+            label: i18n._('Play from Here'),
+            click: () => event.sender.send('play-from-path', flowPath)
+        });
+    }
     const menu = Menu.buildFromTemplate(template)
     menu.popup(BrowserWindow.fromWebContents(event.sender))
 })
@@ -116,6 +150,15 @@ ipcMain.on("project-cancelled-close", (event) => {
 // initialization and is ready to create browser windows.
 // Some APIs can only be used after this event occurs.
 app.on('ready', function () {
+
+    if( isCommandLine ) {
+        if( process.platform == "darwin" && app.dock ) app.dock.hide();
+        CommandLine.run(commandLineArgs, exitCode => {
+            Inklecate.killSessions();
+            app.exit(exitCode);
+        });
+        return;
+    }
     
     app.on('window-all-closed', function () {
         if (process.platform != 'darwin' || isQuitting) {
@@ -131,6 +174,18 @@ app.on('ready', function () {
             var win = ProjectWindow.focused();
             if (win) win.newInclude();
         },
+        renameFile: () => {
+            var win = ProjectWindow.focused();
+            if (win) win.renameFile();
+        },
+        moveFile: () => {
+            var win = ProjectWindow.focused();
+            if (win) win.moveFile();
+        },
+        deleteFile: () => {
+            var win = ProjectWindow.focused();
+            if (win) win.deleteFile();
+        },
         open: () => {
             console.log("Test!")
             ProjectWindow.open();
@@ -158,15 +213,70 @@ app.on('ready', function () {
             var win = ProjectWindow.focused();
             if (win) win.exportJSOnly();
         },
+        exportStructure: () => {
+            var win = ProjectWindow.focused();
+            if (win) win.exportStructure();
+        },
         toggleTags: (item, focusedWindow, event) => {
             focusedWindow.webContents.send("set-tags-visible", item.checked);
         },
         nextIssue: (item, focusedWindow) => {
             focusedWindow.webContents.send("next-issue");
         },
+        showProblems: (item, focusedWindow) => {
+            focusedWindow.webContents.send("show-problems");
+        },
+        storyGraph: (item, focusedWindow) => {
+            focusedWindow.webContents.send("story-graph");
+        },
+        simulatePlaythroughs: (item, focusedWindow) => {
+            focusedWindow.webContents.send("simulate-playthroughs");
+        },
+        showVariables: (item, focusedWindow) => {
+            focusedWindow.webContents.send("show-variables");
+        },
+        showVisitCounts: (item, focusedWindow) => {
+            focusedWindow.webContents.send("show-visit-counts");
+        },
+        showCallstack: (item, focusedWindow) => {
+            focusedWindow.webContents.send("show-callstack");
+        },
+        showTurnHistory: (item, focusedWindow) => {
+            focusedWindow.webContents.send("show-turn-history");
+        },
+        undoRewind: (item, focusedWindow) => {
+            focusedWindow.webContents.send("undo-rewind");
+        },
+        playFromHere: (item, focusedWindow) => {
+            focusedWindow.webContents.send("play-from-here");
+        },
+        toggleBreakpoint: (item, focusedWindow) => {
+            focusedWindow.webContents.send("toggle-breakpoint");
+        },
+        clearBreakpoints: (item, focusedWindow) => {
+            focusedWindow.webContents.send("clear-breakpoints");
+        },
+        debuggerContinue: (item, focusedWindow) => {
+            focusedWindow.webContents.send("debugger-resume", "continue");
+        },
+        debuggerStep: (item, focusedWindow) => {
+            focusedWindow.webContents.send("debugger-resume", "step");
+        },
+        debuggerStepOut: (item, focusedWindow) => {
+            focusedWindow.webContents.send("debugger-resume", "step-out");
+        },
         gotoAnything: (item, focusedWindow) => {
             focusedWindow.webContents.send("goto-anything");
         },
+        findInProject: (item, focusedWindow) => {
+            focusedWindow.webContents.send("find-in-project");
+        },
+        renameSymbol: (item, focusedWindow) => {
+            focusedWindow.webContents.send("rename-symbol");
+        },
+        findReferences: (item, focusedWindow) => {
+            focusedWindow.webContents.send("find-references");
+        },
         addWatchExpression: (item, focusedWindow) => {
             focusedWindow.webContents.send("add-watch-expression");
         },
@@ -177,7 +287,8 @@ app.on('ready', function () {
             AboutWindow.showAboutWindow(ProjectWindow.getViewSettings().theme);
         },
         openAssetOverview: () => {
-            AssetOverviewWindow.openAssetOverview(ProjectWindow.getViewSettings().theme);
+            var projectWindow = ProjectWindow.lastFocused();
+            AssetOverviewWindow.openAssetOverview(ProjectWindow.getViewSettings().theme, projectWindow ? projectWindow.gameProjectConfig() : null);
         },
         keyboardShortcuts: () => {
             var win = ProjectWindow.focused();
@@ -233,6 +344,15 @@ app.on('ready', function () {
                 eachWindow.browserWindow.webContents.send("set-autocomplete-disabled", autoCompleteDisabled);
             }
         },
+        toggleHotReload: () => {
+            let hotReloadEnabled = !ProjectWindow.getViewSettings().hotReloadEnabled;
+            ProjectWindow.addOrChangeViewSetting('hotReloadEnabled', hotReloadEnabled)
+
+            for(let i=0; i<ProjectWindow.all().length; i++) {
+                let eachWindow = ProjectWindow.all()[i];
+                eachWindow.browserWindow.webContents.send("set-hot-reload-enabled", hotReloadEnabled);
+            }
+        },
         insertSnippet: (focussedWindow, snippet) => {
             if( focussedWindow )
             focussedWindow.webContents.send('insertSnippet', snippet);
@@ -251,6 +371,7 @@ app.on('ready', function () {
     AppMenus.setZoom(ProjectWindow.getViewSettings().zoom);
     AppMenus.setAnimationEnabled(ProjectWindow.getViewSettings().animationEnabled);
     AppMenus.setAutoCompleteDisabled(ProjectWindow.getViewSettings().autoCompleteDisabled)
+    AppMenus.setHotReloadEnabled(ProjectWindow.getViewSettings().hotReloadEnabled)
 
     AppMenus.refresh();
     ProjectWindow.setEvents({
@@ -262,12 +383,18 @@ app.on('ready', function () {
             settings = settings || {};
             AppMenus.setCustomSnippetMenus(settings.customInkSnippets || []);
             AppMenus.refresh();
+
+            // The Asset Overview shows the game project of the last focused project
+            var projectWindow = ProjectWindow.lastFocused();
+            if( projectWindow )
+                AssetOverviewWindow.setGameProject(projectWindow.gameProjectConfig());
         },
         onViewSettingsChanged: (viewSettings) => {
             AppMenus.setTheme(viewSettings.theme);
             AppMenus.setZoom(viewSettings.zoom);
             AppMenus.setAnimationEnabled(viewSettings.animationEnabled);
             AppMenus.setAutoCompleteDisabled(viewSettings.autoCompleteDisabled);
+            AppMenus.setHotReloadEnabled(viewSettings.hotReloadEnabled);
             AppMenus.refresh();
         }
     });
@@ -0,0 +1,80 @@
+const path = require("path");
+const fs = require("fs");
+
+// Project settings live in an optional <ink_root_file_name>.settings.json file,
+// next to the main ink file. Shared by project windows and the command line.
+function settingsPathForInk(rootInkFilePath) {
+    let basePath = path.resolve(rootInkFilePath);
+    if( path.extname(basePath) == ".ink" ) {
+        basePath = basePath.substring(0, basePath.length-4);
+    }
+    return basePath + ".settings.json";
+}
+
+// callback(err, settings)
+//  - settings is null if there's simply no settings file
+//  - err is a human readable description if the file exists but couldn't be loaded
+function load(rootInkFilePath, callback) {
+
+    const settingsPath = settingsPathForInk(rootInkFilePath);
+
+    fs.stat(settingsPath, (err, stats) => {
+        if( err || !stats.isFile() ) {
+            callback(null, null);
+            return;
+        }
+
+        fs.readFile(settingsPath, "utf8", (err, fileContent) => {
+
+            if( err ) {
+                callback("File read error - failed to load project settings file at: "+settingsPath, null);
+                return;
+            }
+            if( !fileContent ) {
+                callback("Project settings file appeared to be empty: "+settingsPath, null);
+                return;
+            }
+
+            let settings = {};
+            try {
+                settings = JSON.parse(fileContent);
+            } catch(error) {
+                callback("Project settings file appeared to be invalid JSON: "+settingsPath+": "+error, null);
+                return;
+            }
+
+            callback(null, settings);
+        });
+
+    });
+}
+
+// Merges changes into the settings file, creating it if there isn't one yet.
+// callback(err) - err is a human readable description if it couldn't be saved
+function update(rootInkFilePath, changes, callback) {
+
+    const settingsPath = settingsPathForInk(rootInkFilePath);
+
+    load(rootInkFilePath, (err, settings) => {
+        if( err ) {
+            callback(err);
+            return;
+        }
+
+        settings = Object.assign(settings || {}, changes);
+
+        fs.writeFile(settingsPath, JSON.stringify(settings, null, 4), "utf8", (err) => {
+            if( err ) {
+                callback("File write error - failed to save project settings file at: "+settingsPath);
+                return;
+            }
+            callback(null);
+        });
+    });
+}
+
+exports.ProjectSettings = {
+    settingsPathForInk: settingsPathForInk,
+    load: load,
+    update: update
+};
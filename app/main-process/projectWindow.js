@@ -5,6 +5,7 @@ const BrowserWindow = electron.BrowserWindow;
 const path = require("path");
 const fs = require("fs");
 const Inklecate = require("./inklecate.js").Inklecate;
+const ProjectSettings = require("./projectSettings.js").ProjectSettings;
 const Menu = electron.Menu;
 const i18n = require("./i18n/i18n.js");
 
@@ -29,6 +30,10 @@ if( process.platform == "darwin" ) {
 
 var windows = [];
 
+// The project window that was focused most recently, which other
+// windows such as the Asset Overview act on behalf of
+var lastFocusedWindow = null;
+
 const recentFilesPath = path.join(electron.app.getPath("userData"), "recent-files.json");
 
 const viewSettingsPath = path.join(electron.app.getPath("userData"), "view-settings.json");
@@ -78,6 +83,7 @@ function ProjectWindow(filePath) {
     }
 
     windows.push(this);
+    lastFocusedWindow = this;
 
     this.browserWindow.on("close", (event) => {
         if( !this.safeToClose ) {
@@ -90,6 +96,8 @@ function ProjectWindow(filePath) {
         var idx = windows.indexOf(this);
         if( idx != -1 )
             windows.splice(idx, 1);
+        if( lastFocusedWindow == this )
+            lastFocusedWindow = windows.length > 0 ? windows[windows.length-1] : null;
     });
 
     // Set up theme/zoom from settings
@@ -100,11 +108,13 @@ function ProjectWindow(filePath) {
         this.zoom(settings.zoom);
         this.browserWindow.webContents.send('set-animation-enabled', settings.animationEnabled);
         this.browserWindow.webContents.send('set-autocomplete-disabled', !!settings.autoCompleteDisabled);
+        this.browserWindow.webContents.send('set-hot-reload-enabled', !!settings.hotReloadEnabled);
     });
 
     // Project settings may affect menus etc, so we refresh that
     // when changing focus between different windows
     this.browserWindow.on("focus", () => {
+        lastFocusedWindow = this;
         if( events.onProjectSettingsChanged )
             events.onProjectSettingsChanged(this.settings);
     });
@@ -114,6 +124,19 @@ ProjectWindow.prototype.newInclude = function() {
     this.browserWindow.webContents.send('project-new-include');
 }
 
+// The following act on the file that's currently open
+ProjectWindow.prototype.renameFile = function() {
+    this.browserWindow.webContents.send('project-rename-file');
+}
+
+ProjectWindow.prototype.moveFile = function() {
+    this.browserWindow.webContents.send('project-move-file');
+}
+
+ProjectWindow.prototype.deleteFile = function() {
+    this.browserWindow.webContents.send('project-delete-file');
+}
+
 ProjectWindow.prototype.save = function() {
     this.browserWindow.webContents.send('project-save');
 }
@@ -130,6 +153,10 @@ ProjectWindow.prototype.exportJSOnly = function() {
     this.browserWindow.webContents.send('project-export-js-only');
 }
 
+ProjectWindow.prototype.exportStructure = function() {
+    this.browserWindow.webContents.send('project-export-structure');
+}
+
 ProjectWindow.prototype.tryClose = function() {
     this.browserWindow.webContents.send('project-tryClose');
 }
@@ -161,15 +188,6 @@ ProjectWindow.prototype.refreshProjectSettings = function(rootInkFilePath) {
     
     let self = this;
 
-
-    const resolvedRootPath = path.resolve(rootInkFilePath);
-    let basePath = rootInkFilePath;
-    if( path.extname(resolvedRootPath) == ".ink" ) {
-        basePath = rootInkFilePath.substring(0, resolvedRootPath.length-4)
-    }
-    const settingsPath = basePath + ".settings.json";
-
-
     function completeSettings(settings, err) {
         if( events.onProjectSettingsChanged ) {
             events.onProjectSettingsChanged(settings);
@@ -182,42 +200,69 @@ ProjectWindow.prototype.refreshProjectSettings = function(rootInkFilePath) {
         }
     }
 
-    fs.stat(settingsPath, (err, stats) => {
-        if( err || !stats.isFile() ) { 
-            events.onProjectSettingsChanged({});
+    ProjectSettings.load(rootInkFilePath, (err, settings) => {
+        if( err ) {
+            completeSettings({}, err);
             return;
         }
 
-        fs.readFile(settingsPath, "utf8", (err, fileContent) => {
+        // No settings file
+        if( !settings ) {
+            events.onProjectSettingsChanged({});
+            return;
+        }
 
-            if( err ) {
-                completeSettings({}, "File read error - failed to load project settings file at: "+settingsPath);
-                return;
-            }
-            if( !fileContent ) {
-                completeSettings({}, "Project settings file appeared to be empty: "+settingsPath);
-                return;
-            }
+        self.settings = settings;
 
-            let settings = {};
-            try {
-                settings = JSON.parse(fileContent);
-            } catch(error) {
-                completeSettings({}, "Project settings file appeared to be invalid JSON: "+settingsPath+": "+error);
-                return;
-            }
+        completeSettings(settings);
+    });
+}
 
-            self.settings = settings;
+// The settings that say where the game project is (see renderer/gameProject.js),
+// along with the folder that relative paths in them are relative to
+ProjectWindow.prototype.gameProjectConfig = function() {
+    return {
+        settings: this.settings || {},
+        settingsDir: this.mainInkAbsPath ? path.dirname(path.resolve(this.mainInkAbsPath)) : null
+    };
+}
 
-            completeSettings(settings);
+// Ask for the game project folder, and save it as "gameRoot" in the project settings
+ProjectWindow.prototype.chooseGameRoot = function() {
+    if( !this.mainInkAbsPath ) {
+        dialog.showMessageBox(this.browserWindow, {
+            type: "info",
+            message: i18n._("Save the project first"),
+            detail: i18n._("The game project folder is stored in the project's settings file, next to the main ink file.")
         });
+        return;
+    }
 
+    const settingsDir = this.gameProjectConfig().settingsDir;
+    var chosenPaths = dialog.showOpenDialogSync(this.browserWindow, {
+        title: i18n._("Choose game project folder"),
+        defaultPath: settingsDir,
+        properties: ['openDirectory']
     });
-}
+    if( !chosenPaths || chosenPaths.length == 0 )
+        return;
+
+    // Relative, with forward slashes, so the settings file works on other machines
+    var gameRoot = path.relative(settingsDir, chosenPaths[0]).split(path.sep).join("/") || ".";
 
+    ProjectSettings.update(this.mainInkAbsPath, { gameRoot: gameRoot }, (err) => {
+        if( err ) {
+            dialog.showErrorBox("Project Settings Error", err);
+            return;
+        }
+        this.refreshProjectSettings(this.mainInkAbsPath);
+    });
+}
 
 ProjectWindow.all = () => windows;
 
+ProjectWindow.lastFocused = () => lastFocusedWindow;
+
 ProjectWindow.setEvents = function(newEvents) {
     events = newEvents
 }
@@ -370,6 +415,13 @@ ipc.on("project-settings-needs-reload", (event, rootInkFilePath) => {
     win.refreshProjectSettings(rootInkFilePath);
 });
 
+// From a project window, or from the Asset Overview on behalf of the last focused one
+ipc.on("choose-game-root", (event) => {
+    var win = ProjectWindow.withWebContents(event.sender) || ProjectWindow.lastFocused();
+    if( win )
+        win.chooseGameRoot();
+});
+
 ipc.on("set-native-window-title", (event, newWindowTitle) => {
     var win = ProjectWindow.withWebContents(event.sender);
     win.browserWindow.title = newWindowTitle;
@@ -0,0 +1,108 @@
+const path = require("path");
+const fs = require("fs");
+const mkdirp = require('mkdirp');
+
+// Building of JS and web exports from a compiled JSON story.
+// Shared by the project window's File menu exports and the command line.
+
+const templateDir = path.join(__dirname, "../export-for-web-template");
+const inkjsRuntimePath = path.join(__dirname, "../node_modules/inkjs/dist/ink.js");
+
+// Derive story content js filename from root ink filename
+function jsFilename(mainInkFilename) {
+
+    // Remove .ink extension if it's ".ink"
+    var mainInkRootName = path.basename(mainInkFilename);
+    if( path.extname(mainInkRootName) == ".ink" )
+        mainInkRootName = path.basename(mainInkRootName, ".ink");
+    var jsContentFilename = mainInkRootName+".js";
+
+    // Avoid naming collision with our own main.js
+    // (if user chose "main.ink" for their root ink)
+    if( jsContentFilename == "main.js" ) {
+        jsContentFilename = "story.js";
+    }
+
+    return jsContentFilename;
+}
+
+// Helper to copy a file whilst optionally transforming the content
+// callback(err) is optional
+function copyFile(source, destination, transform, callback) {
+    callback = callback || (() => {});
+
+    fs.readFile(source, "utf8", (err, fileContent) => {
+        if( err || !fileContent ) {
+            callback(`Failed to read file '${source}'`);
+            return;
+        }
+
+        if( transform ) fileContent = transform(fileContent);
+        if( fileContent.length < 1 ) {
+            callback(`Trying to write (copy) empty file '${destination}'`);
+            return;
+        }
+
+        fs.writeFile(destination, fileContent, "utf8", err => {
+            callback(err ? `Failed to save file '${destination}'` : null);
+        });
+    });
+}
+
+// Convert JSON to JS file with "var storyContent = "
+function convertJSONToJS(jsonFilePath, targetJSPath, callback) {
+    copyFile(jsonFilePath, targetJSPath, (jsonContent) => {
+        return `var storyContent = ${jsonContent};`;
+    }, callback);
+}
+
+// options: { storyTitle, jsFilename }
+// callback(err) is called once all files have been written, with the first error if any
+function buildForWeb(jsonFilePath, targetDirectory, options, callback) {
+    callback = callback || (() => {});
+
+    var storyTitle = options.storyTitle || path.basename(targetDirectory);
+    var jsContentFilename = options.jsFilename;
+
+    // Create target directory name
+    mkdirp.sync(targetDirectory);
+
+    var remaining = 5;
+    var firstError = null;
+    var fileDone = (err) => {
+        if( err && !firstError ) firstError = err;
+        remaining--;
+        if( remaining == 0 ) callback(firstError);
+    };
+
+    // Create JS story file with correct name
+    convertJSONToJS(jsonFilePath, path.join(targetDirectory, jsContentFilename), fileDone);
+
+    // Copy index.html:
+    //  - inserting the filename as the <title> and <h1>
+    //  - Inserting the correct name of the javascript file
+    copyFile(path.join(templateDir, "index.html"),
+             path.join(targetDirectory, "index.html"),
+             (fileContent) => {
+        fileContent = fileContent.replace(/##STORY TITLE##/g, storyTitle);
+        fileContent = fileContent.replace(/##JAVASCRIPT FILENAME##/g, jsContentFilename);
+        return fileContent;
+    }, fileDone);
+
+    // Copy other files verbatim
+    copyFile(inkjsRuntimePath,
+             path.join(targetDirectory, "ink.js"), null, fileDone);
+
+    copyFile(path.join(templateDir, "style.css"),
+             path.join(targetDirectory, "style.css"), null, fileDone);
+
+    copyFile(path.join(templateDir, "main.js"),
+             path.join(targetDirectory, "main.js"), null, fileDone);
+}
+
+exports.WebExport = {
+    jsFilename: jsFilename,
+    copyFile: copyFile,
+    convertJSONToJS: convertJSONToJS,
+    buildForWeb: buildForWeb
+};
@@ -13,30 +13,14 @@ const { ipcRenderer } = require("electron");
 const chokidar = require("chokidar");
 const fuzzaldrinPlus = require("fuzzaldrin-plus");
 
+const GameProject = require("../gameProject.js").GameProject;
+
 // ============================================================
-// Path resolution (same logic as assetRegistry.js)
+// Game project (shared with the scene preview via gameProject.js)
 // ============================================================
 
-function findTggRoot() {
-    var candidates = [];
-    // __dirname is .../inkytgg/app/renderer/asset-overview
-    candidates.push(path.resolve(__dirname, "..", "..", "..", "..", "tgg"));
-
-    if (process.execPath) {
-        var exeDir = path.dirname(process.execPath);
-        candidates.push(path.join(exeDir, "tgg"));
-        candidates.push(path.resolve(exeDir, "..", "tgg"));
-    }
-
-    for (var i = 0; i < candidates.length; i++) {
-        if (fs.existsSync(candidates[i])) return candidates[i];
-    }
-    return candidates[0];
-}
-
-var tggRoot = findTggRoot();
-var registryPath = path.join(tggRoot, "scripts", "asset_registry.gd");
-var assetsDir = path.join(tggRoot, "assets");
+// Until the project window sends its settings, use the default search locations
+var gameProject = GameProject.resolve(null, null);
 
 // ============================================================
 // Image file extensions
@@ -49,21 +33,20 @@ var IMAGE_EXTENSIONS = new Set([".png", ".jpg", ".jpeg", ".webp"]);
 // ============================================================
 
 /**
- * Parse asset_registry.gd and return { assetId: resPath } map.
+ * Parse the game project's registry files and return { assetId: resPath } map.
  * resPath is the part after "res://", e.g. "assets/backgrounds/locations/foo.png"
+ * Later registry files override asset IDs from earlier ones.
  */
 function parseRegistry() {
     var map = {};
-    if (!fs.existsSync(registryPath)) return map;
-    try {
-        var content = fs.readFileSync(registryPath, "utf8");
-        var regex = /"([^"]+)"\s*:\s*"res:\/\/([^"]+)"/g;
-        var match;
-        while ((match = regex.exec(content)) !== null) {
-            map[match[1]] = match[2];
+    for (var i = 0; i < gameProject.registryPaths.length; i++) {
+        var registryPath = gameProject.registryPaths[i];
+        if (!fs.existsSync(registryPath)) continue;
+        try {
+            Object.assign(map, GameProject.parseRegistry(fs.readFileSync(registryPath, "utf8")));
+        } catch (e) {
+            console.warn("AssetOverview: Failed to parse registry:", e.message);
         }
-    } catch (e) {
-        console.warn("AssetOverview: Failed to parse registry:", e.message);
     }
     return map;
 }
@@ -102,7 +85,8 @@ function scanImagesRecursive(dir) {
  *
  * Each asset: {
  *   absPath:      string,   // absolute filesystem path
- *   relPath:      string,   // path relative to assets/ (e.g. "backgrounds/locations/foo.png")
+ *   relPath:      string,   // path relative to the assets dir (e.g. "backgrounds/locations/foo.png"),
+ *                           // or to the game root when there are several assets dirs
  *   assetId:      string|null, // registry ID if registered, null if not
  *   registered:   boolean,
  *   displayName:  string,   // assetId for registered, filename for unregistered
@@ -110,11 +94,12 @@ function scanImagesRecursive(dir) {
  * }
  */
 function loadAssets() {
-    if (!fs.existsSync(tggRoot)) {
-        return { assets: [], error: "TGG project not found at: " + tggRoot };
+    if (gameProject.error) {
+        return { assets: [], error: gameProject.error };
     }
-    if (!fs.existsSync(assetsDir)) {
-        return { assets: [], error: "Assets directory not found at: " + assetsDir };
+    var assetDirs = gameProject.assetDirs.filter(function (dir) { return fs.existsSync(dir); });
+    if (assetDirs.length === 0) {
+        return { assets: [], error: "Assets directory not found at: " + gameProject.assetDirs.join(", ") };
     }
 
     // 1. Parse registry: assetId -> resPath
@@ -127,20 +112,25 @@ function loadAssets() {
     for (var i = 0; i < ids.length; i++) {
         var id = ids[i];
         var resPath = idToRes[id]; // e.g. "assets/backgrounds/locations/foo.png"
-        var absPath = path.join(tggRoot, resPath);
+        var absPath = GameProject.resPathToAbsolute(gameProject, resPath);
         // Normalize to handle any OS path differences
         pathToId[path.normalize(absPath)] = id;
     }
 
     // 3. Scan disk
-    var diskFiles = scanImagesRecursive(assetsDir);
+    var diskFiles = [];
+    for (var i = 0; i < assetDirs.length; i++) {
+        diskFiles = diskFiles.concat(scanImagesRecursive(assetDirs[i]));
+    }
+    // With several assets dirs, keep the dir's own name in the category tree
+    var relativeTo = assetDirs.length === 1 ? assetDirs[0] : gameProject.root;
 
     // 4. Build asset list
     var assets = [];
     for (var i = 0; i < diskFiles.length; i++) {
         var absPath = diskFiles[i];
         var normalizedPath = path.normalize(absPath);
-        var relPath = path.relative(assetsDir, absPath);
+        var relPath = path.relative(relativeTo, absPath);
         // Use forward slashes for consistency
         var relPathFwd = relPath.replace(/\\/g, "/");
         var dirParts = path.dirname(relPathFwd).split("/").filter(function (p) { return p && p !== "."; });
@@ -524,9 +514,9 @@ var reloadDebounce = null;
 
 function setupWatcher() {
     try {
-        var watchPaths = [];
-        if (fs.existsSync(registryPath)) watchPaths.push(registryPath);
-        if (fs.existsSync(assetsDir)) watchPaths.push(assetsDir);
+        var watchPaths = gameProject.registryPaths.concat(gameProject.assetDirs).filter(function (p) {
+            return fs.existsSync(p);
+        });
         if (watchPaths.length === 0) return;
 
         watcher = chokidar.watch(watchPaths, {
@@ -553,7 +543,16 @@ function setupWatcher() {
     }
 }
 
+function stopWatcher() {
+    if (reloadDebounce) clearTimeout(reloadDebounce);
+    reloadDebounce = null;
+    if (watcher) watcher.close();
+    watcher = null;
+}
+
 function reloadData() {
+    renderGameRoot();
+
     var result = loadAssets();
     allAssets = result.assets;
 
@@ -574,6 +573,35 @@ function reloadData() {
     renderGrid();
 }
 
+// ============================================================
+// Game project root
+// ============================================================
+
+function renderGameRoot() {
+    var rootEl = document.getElementById("game-root-path");
+    rootEl.textContent = gameProject.root + (gameProject.configured ? "" : " (auto-detected)");
+    rootEl.title = gameProject.root;
+}
+
+function setupGameRoot() {
+    // The project window asks for the folder and saves it into its settings,
+    // which then come back here through "set-game-project"
+    document.getElementById("choose-game-root").addEventListener("click", function () {
+        ipcRenderer.send("choose-game-root");
+    });
+}
+
+// config is { settings, settingsDir } from the project window the overview belongs to
+ipcRenderer.on("set-game-project", function (event, config) {
+    var newGameProject = GameProject.resolve(config.settings, config.settingsDir);
+    if (JSON.stringify(newGameProject) === JSON.stringify(gameProject)) return;
+
+    gameProject = newGameProject;
+    stopWatcher();
+    reloadData();
+    setupWatcher();
+});
+
 // ============================================================
 // Helpers
 // ============================================================
@@ -597,6 +625,8 @@ window.addEventListener("DOMContentLoaded", function () {
     setupSidebar();
     setupSearch();
     setupClickToCopy();
+    setupGameRoot();
+    renderGameRoot();
 
     // Defer heavy work (disk scan + rendering) so the window paints first
     setTimeout(function () {
@@ -0,0 +1,113 @@
+// Breakpoints set in the editor gutter, which pause the play session
+// when it reaches that line. Kept as rows per InkFile, which move
+// along with the text when lines are added or removed above them.
+
+// InkFile -> { rows: Set of rows, onChange }
+var filesWithBreakpoints = new Map();
+
+var events = {
+    changed: () => {}
+};
+
+// Only lines that produce content or run logic can be paused on, so
+// not blank lines, comments, knot/stitch headers or declarations
+function canBreakOnLine(line) {
+    var trimmed = line.trim();
+    if( trimmed.length == 0 ) return false;
+    if( trimmed.startsWith("//") || trimmed.startsWith("/*") || trimmed.startsWith("*/") ) return false;
+    if( /^=/.test(trimmed) ) return false;
+    if( /^(VAR|CONST|LIST|INCLUDE|EXTERNAL)\b/.test(trimmed) ) return false;
+    return true;
+}
+
+function updateGutter(inkFile) {
+    var entry = filesWithBreakpoints.get(inkFile);
+    inkFile.getAceSession().setBreakpoints(entry ? Array.from(entry.rows) : []);
+}
+
+// Moves the rows after an edit so they stay on the same lines of text
+function shiftRows(inkFile, delta) {
+    var entry = filesWithBreakpoints.get(inkFile);
+    var startRow = delta.start.row;
+    var lineCount = delta.end.row - startRow;
+    if( lineCount == 0 ) return;
+
+    var newRows = new Set();
+    entry.rows.forEach(row => {
+        if( delta.action == "insert" ) {
+            // Text inserted at the very start of a line pushes that line down too
+            var pushedDown = row > startRow || (row == startRow && delta.start.column == 0);
+            newRows.add(pushedDown ? row + lineCount : row);
+        } else {
+            if( row <= startRow )
+                newRows.add(row);
+            else if( row > delta.end.row )
+                newRows.add(row - lineCount);
+            // Rows in between have been deleted, along with their breakpoints
+        }
+    });
+
+    var changed = newRows.size != entry.rows.size || Array.from(newRows).some(row => !entry.rows.has(row));
+    if( !changed ) return;
+
+    entry.rows = newRows;
+    updateGutter(inkFile);
+    events.changed();
+}
+
+// Returns false if the line can't have a breakpoint
+function toggle(inkFile, row) {
+    var entry = filesWithBreakpoints.get(inkFile);
+
+    if( entry && entry.rows.has(row) ) {
+        entry.rows.delete(row);
+        if( entry.rows.size == 0 ) {
+            inkFile.aceDocument.removeListener("change", entry.onChange);
+            filesWithBreakpoints.delete(inkFile);
+        }
+    } else {
+        if( !canBreakOnLine(inkFile.aceDocument.getLine(row)) )
+            return false;
+
+        if( !entry ) {
+            entry = { rows: new Set() };
+            entry.onChange = delta => shiftRows(inkFile, delta);
+            inkFile.aceDocument.on("change", entry.onChange);
+            filesWithBreakpoints.set(inkFile, entry);
+        }
+        entry.rows.add(row);
+    }
+
+    updateGutter(inkFile);
+    events.changed();
+    return true;
+}
+
+function clearAll() {
+    var inkFiles = Array.from(filesWithBreakpoints.keys());
+    filesWithBreakpoints.forEach((entry, inkFile) => inkFile.aceDocument.removeListener("change", entry.onChange));
+    filesWithBreakpoints = new Map();
+    inkFiles.forEach(updateGutter);
+    if( inkFiles.length > 0 )
+        events.changed();
+}
+
+// Every breakpoint as [{ filename, lineNumber }], where the filename has forward slashes
+// and lineNumber is 1-based, to match the compiler's debug metadata on every platform
+function all() {
+    var breakpoints = [];
+    filesWithBreakpoints.forEach((entry, inkFile) => {
+        var filename = inkFile.relativePath().replace(/\\/g, "/");
+        Array.from(entry.rows).sort((a, b) => a - b).forEach(row => {
+            breakpoints.push({ filename: filename, lineNumber: row + 1 });
+        });
+    });
+    return breakpoints;
+}
+
+exports.Breakpoints = {
+    setEvents: e => events = e,
+    toggle: toggle,
+    clearAll: clearAll,
+    all: all
+}
@@ -0,0 +1,117 @@
+const $ = window.jQuery = require('./jquery-2.2.3.min.js');
+const _ = require("lodash");
+
+const i18n = require("./i18n.js");
+
+// Sidebar panel showing the tunnels, function calls and threads that the
+// story is in at the end of each turn, according to the inkjs runtime
+
+var $panel = null;
+var $status = null;
+var $results = null;
+
+// The latest callstack sent by LiveCompiler, as { frames, threads: [{ frames, choices }] }
+var callstack = null;
+var receivedThisSession = false;
+
+var events = {
+    gotoLocation: () => {},
+    close: () => {}
+};
+
+$(document).ready(() => {
+    $panel = $("#callstack-wrapper");
+    $status = $panel.find(".callstack-status");
+    $results = $panel.find(".callstack-results");
+
+    $panel.on("click", ".close-callstack", (e) => {
+        e.preventDefault();
+        events.close();
+    });
+
+    $results.on("click", ".callstack-frame[data-filename]", function(event) {
+        event.preventDefault();
+        var $frame = $(event.currentTarget);
+        $results.find(".callstack-frame.active").removeClass("active");
+        $frame.addClass("active");
+        events.gotoLocation($frame.attr("data-filename"), parseInt($frame.attr("data-line-number")));
+    });
+
+    render();
+});
+
+function frameHtml(frame, typeNames, lineLabel) {
+    var where = frame.fileName ? `${frame.fileName} ${lineLabel} ${frame.lineNumber}` : "";
+    var sourceAttributes = frame.fileName ? `data-filename="${_.escape(frame.fileName)}" data-line-number="${frame.lineNumber}"` : "";
+
+    return `<span class="nav-group-item callstack-frame" ${sourceAttributes}>
+              <span class="callstack-frame-name">${_.escape(frame.name || i18n._("(top of story)"))}</span>
+              <span class="callstack-frame-type">${typeNames[frame.type]}</span>
+              <span class="callstack-meta">${_.escape(where)}</span>
+            </span>`;
+}
+
+function groupHtml(title, itemsHtml) {
+    return `<nav class="nav-group">
+              <h5 class="nav-group-title">${_.escape(title)}</h5>
+              ${itemsHtml}
+            </nav>`;
+}
+
+function render() {
+    if( !$panel ) return;
+
+    $results.empty();
+
+    if( !callstack ) {
+        $status.text(receivedThisSession ? "" : i18n._("Waiting for the story..."));
+        return;
+    }
+
+    $status.text("");
+
+    var lineLabel = i18n._("line");
+    var typeNames = {
+        "root": i18n._("knot"),
+        "tunnel": i18n._("tunnel"),
+        "function": i18n._("function")
+    };
+
+    var flowHtml = callstack.frames.length > 0 ?
+        callstack.frames.map(frame => frameHtml(frame, typeNames, lineLabel)).join("") :
+        `<p class="callstack-empty">${i18n._("Not in any tunnels or functions.")}</p>`;
+    $results.append(groupHtml(i18n._("Flow"), flowHtml));
+
+    var threadLabel = i18n._("Thread");
+    callstack.threads.forEach((thread, idx) => {
+        var choicesHtml = thread.choices.map(text => `<span class="callstack-choice">* ${_.escape(text)}</span>`).join("");
+        var framesHtml = thread.frames.map(frame => frameHtml(frame, typeNames, lineLabel)).join("");
+        $results.append(groupHtml(`${threadLabel} ${idx + 1}`, `<div class="callstack-choices">${choicesHtml}</div>${framesHtml}`));
+    });
+}
+
+// Called at the start of every play session
+function sessionStarted() {
+    callstack = null;
+    receivedThisSession = false;
+    render();
+}
+
+function setCallstack(newCallstack) {
+    callstack = newCallstack;
+    receivedThisSession = true;
+    render();
+}
+
+// Only inkjs sends the callstack, so if a turn ends without one, the story is running in inklecate
+function turnEnded() {
+    if( !receivedThisSession && $status )
+        $status.text(i18n._("The callstack is only available when the story is played with inkjs. Set \"compiler\" to \"inkjs\" in the project settings, or turn on Story > Hot-reload playthrough."));
+}
+
+exports.CallstackView = {
+    setEvents: e => events = e,
+    sessionStarted: sessionStarted,
+    setCallstack: setCallstack,
+    turnEnded: turnEnded
+}
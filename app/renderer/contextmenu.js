@@ -3,5 +3,14 @@ const {ipcRenderer} = require("electron")
 // renderer
 window.addEventListener('contextmenu', (e) => {
     e.preventDefault()
-    ipcRenderer.send('show-context-menu')
+
+    // Right clicking a file in the file list gives extra options for that file
+    var fileItem = e.target.closest("#file-nav-wrapper .nav-group-item[data-file-id]");
+    var fileId = fileItem ? parseInt(fileItem.getAttribute("data-file-id")) : null;
+
+    // Right clicking a knot or stitch in the knot list lets you play from it
+    var flowItem = e.target.closest("#knot-stitch-wrapper .nav-group-item[data-path]");
+    var flowPath = flowItem ? flowItem.getAttribute("data-path") : null;
+
+    ipcRenderer.send('show-context-menu', { fileId: fileId, flowPath: flowPath })
 });
@@ -25,18 +25,44 @@ const LiveCompiler = require("./liveCompiler.js").LiveCompiler;
 const InkProject = require("./inkProject.js").InkProject;
 const NavHistory = require("./navHistory.js").NavHistory;
 const GotoAnything = require("./goto.js").GotoAnything;
+const FindInProject = require("./findInProject.js").FindInProject;
+const SymbolReferences = require("./symbolReferences.js").SymbolReferences;
+const RenameSymbol = require("./renameSymbol.js").RenameSymbol;
+const ReferencesView = require("./referencesView.js").ReferencesView;
+const ProblemsView = require("./problemsView.js").ProblemsView;
+const StoryGraphView = require("./storyGraphView.js").StoryGraphView;
+const SimulationView = require("./simulationView.js").SimulationView;
+const VariablesView = require("./variablesView.js").VariablesView;
+const PlayFromView = require("./playFromView.js").PlayFromView;
+const TurnHistoryView = require("./turnHistoryView.js").TurnHistoryView;
+const Breakpoints = require("./breakpoints.js").Breakpoints;
+const DebuggerView = require("./debuggerView.js").DebuggerView;
+const CallstackView = require("./callstackView.js").CallstackView;
+const VisitCountsView = require("./visitCountsView.js").VisitCountsView;
 const SceneStateEvaluator = require("./sceneStateEvaluator.js").SceneStateEvaluator;
+const SceneView = require("./sceneView.js").SceneView;
+const SceneLayers = require("./sceneLayers.js").SceneLayers;
+const AssetRegistry = require("./assetRegistry.js").AssetRegistry;
 const i18n = require("./i18n.js");
 
 InkProject.setEvents({
     "newProject": (project) => {
         EditorView.focus();
+        Breakpoints.clearAll();
         LiveCompiler.setProject(project);
         var filename = project.activeInkFile.filename();
         ToolbarView.setTitle(filename);
         NavView.setMainInkFilename(filename);
         NavHistory.reset();
         NavHistory.addStep();
+        FindInProject.refresh();
+        StoryGraphView.reset();
+        SimulationView.reset();
+        VariablesView.reset();
+        PlayFromView.refresh(LiveCompiler.getPlayFrom());
+        TurnHistoryView.refresh(LiveCompiler.getTurnHistory(), LiveCompiler.canUndoRewind());
+        SceneStateEvaluator.resetPlayerTurns();
+        configureGameProject(project);
     },
     "didSave": () => {
         var activeInk = InkProject.currentProject.activeInkFile;
@@ -44,6 +70,22 @@ InkProject.setEvents({
         NavView.setMainInkFilename(InkProject.currentProject.mainInk.filename());
         NavView.highlightRelativePath(activeInk.relativePath());
     },
+    "didRenameInkFile": (inkFile) => {
+        var activeInk = InkProject.currentProject.activeInkFile;
+        ToolbarView.setTitle(activeInk.filename());
+        NavView.setMainInkFilename(InkProject.currentProject.mainInk.filename());
+        NavView.highlightRelativePath(activeInk.relativePath());
+        StoryGraphView.scheduleRefresh();
+    },
+    "didParseSymbols": (inkFile) => {
+        StoryGraphView.scheduleRefresh();
+    },
+    "playPresetsChanged": () => {
+        PlayFromView.refresh(LiveCompiler.getPlayFrom());
+    },
+    "gameProjectChanged": () => {
+        configureGameProject(InkProject.currentProject);
+    },
     "didSwitchToInkFile": (inkFile) => {
         var filename = inkFile.filename();
         ToolbarView.setTitle(filename);
@@ -77,6 +119,27 @@ $(document).ready(() => {
     }
 });
 
+// Point the scene preview at the game project and layer stack from the
+// project settings, and redraw the scene with its images
+function configureGameProject(project) {
+    AssetRegistry.configure(project.gameProjectSettings, project.mainInk.projectDir);
+    SceneView.showGameRoot(AssetRegistry.getGameProject());
+    SceneView.setLayers(SceneLayers.fromSettings(project.gameProjectSettings));
+
+    if (SceneStateEvaluator.getMode() == "player") {
+        SceneStateEvaluator.redrawPlayerScene();
+        return;
+    }
+    var pos = EditorView.getCurrentCursorPos();
+    if (pos) SceneStateEvaluator.evaluateAtCursor(pos.row + 1, project);
+}
+
+// Reading every global's value costs an expression evaluation at the end of each
+// turn, so it's only done when the Variables panel or the scene's Player mode shows them
+function variableValuesNeeded() {
+    return VariablesView.isShown() || SceneStateEvaluator.getMode() == "player";
+}
+
 function gotoIssue(issue) {
     InkProject.currentProject.showInkFile(issue.filename);
     EditorView.gotoLine(issue.lineNumber);
@@ -93,12 +156,17 @@ NavHistory.setEvents({
 
 LiveCompiler.setEvents({
     resetting: (sessionId) => {
-        
+        VariablesView.sessionStarted();
+        CallstackView.sessionStarted();
+        VisitCountsView.sessionStarted();
+        SceneStateEvaluator.playerSessionStarted();
     },
     compileComplete: (sessionId) => {
         PlayerView.prepareForNewPlaythrough(sessionId);
         EditorView.clearErrors();
         ToolbarView.clearIssueSummary();
+        NavView.refreshFiles();
+        ProblemsView.compileComplete(sessionId);
     },
     selectIssue: gotoIssue,
     textAdded: (text) => {
@@ -114,7 +182,7 @@ LiveCompiler.setEvents({
             });
         }
     },
-    errorsAdded: (errors) => {
+    errorsAdded: (errors, sessionId) => {
         for(var i=0; i<errors.length; i++) {
             var error = errors[i];
             if( error.filename == InkProject.currentProject.activeInkFile.relativePath() )
@@ -124,21 +192,45 @@ LiveCompiler.setEvents({
                 PlayerView.addLineError(error, () => gotoIssue(error));
         }
 
-        ToolbarView.updateIssueSummary(errors);
+        ToolbarView.updateIssueSummary(LiveCompiler.getIssues());
+        ProblemsView.addIssues(errors, sessionId);
+    },
+    // The file badges are refreshed once the compiler's issues are in, and again after the linter's
+    lintComplete: (sessionId) => {
+        NavView.refreshFiles();
     },
     playerPrompt: (replaying, doneCallback) => {
 
         var expressionIdx = 0;
         var tryEvaluateNextExpression = () => {
 
-            // Finished evaluating expressions? End of this turn.
+            // Finished evaluating expressions? End of this turn, once the variables are up to date.
             if( expressionIdx >= ExpressionWatchView.numberOfExpressions() ) {
-                if( replaying ) {
-                    PlayerView.addHorizontalDivider();
-                } else {
-                    PlayerView.contentReady();
+                CallstackView.turnEnded();
+                VisitCountsView.turnEnded();
+
+                var finishTurn = () => {
+                    if( replaying ) {
+                        PlayerView.addHorizontalDivider();
+                    } else {
+                        PlayerView.contentReady();
+                    }
+                    doneCallback();
+                };
+
+                // Replayed turns are only read for the scene's Player mode, whose
+                // earlier turns would otherwise be left as they were before an edit
+                var valuesNeeded = replaying ? SceneStateEvaluator.getMode() == "player" : variableValuesNeeded();
+                if( !valuesNeeded ) {
+                    VariablesView.valuesOutOfDate();
+                    finishTurn();
+                    return;
                 }
-                doneCallback();
+
+                VariablesView.refreshValues(() => {
+                    SceneStateEvaluator.playerTurnEnded(LiveCompiler.getCurrentTurn(), VariablesView.getValues(), replaying);
+                    finishTurn();
+                });
                 return;
             }
 
@@ -156,7 +248,24 @@ LiveCompiler.setEvents({
     replayComplete: (sessionId) => {
         PlayerView.showSessionView(sessionId);
     },
+    variableSet: (name, valueText, error) => {
+        // Edits from the debugger are shown in the transcript, including when they're replayed
+        var text = `~ ${name} = ${valueText}`;
+        if( error )
+            PlayerView.addEvaluationResult(null, $("<span>").text(`${i18n._("Couldn't replay")} ${text}: ${error}`).html());
+        else
+            PlayerView.addEvaluationResult($("<span>").text(text).html());
+    },
     storyCompleted: () => {
+        CallstackView.turnEnded();
+        VisitCountsView.turnEnded();
+        if( variableValuesNeeded() ) {
+            VariablesView.refreshValues(() => {
+                SceneStateEvaluator.playerTurnEnded(LiveCompiler.getCurrentTurn(), VariablesView.getValues());
+            });
+        } else {
+            VariablesView.valuesOutOfDate();
+        }
         PlayerView.addTerminatingMessage(i18n._("End of story"), "end");
     },
     exitDueToError: () => {
@@ -181,6 +290,26 @@ LiveCompiler.setEvents({
     },
     compilerBusyChanged: (busy) => {
         ToolbarView.setBusySpinnerVisible(busy);
+    },
+    turnHistoryChanged: () => {
+        TurnHistoryView.refresh(LiveCompiler.getTurnHistory(), LiveCompiler.canUndoRewind());
+    },
+    paused: (pauseInfo) => {
+        DebuggerView.paused(pauseInfo);
+        NavView.reveal("#debugger-wrapper");
+        if( pauseInfo.fileName ) {
+            InkProject.currentProject.showInkFile(pauseInfo.fileName);
+            EditorView.gotoLine(pauseInfo.lineNumber);
+        }
+    },
+    resumed: () => {
+        DebuggerView.resumed();
+    },
+    callstackChanged: (callstack) => {
+        CallstackView.setCallstack(callstack);
+    },
+    visitCountsChanged: (visitCounts) => {
+        VisitCountsView.setCounts(visitCounts);
     }
 });
 
@@ -218,8 +347,17 @@ ipc.on("keyboard-shortcuts", (event, visible) => {
     messageLines.push("");
     messageLines.push(`${i18n._("Find")}: Ctrl+F ${i18n._("or")} Cmd+F`);
     messageLines.push("");
+    messageLines.push(`${i18n._("Find in Project")}: Ctrl+Shift+F ${i18n._("or")} Cmd+Shift+F`);
+    messageLines.push("");
     messageLines.push(`${i18n._("Go to Anything")}: Ctrl+P ${i18n._("or")} Cmd+P`);
     messageLines.push("");
+    messageLines.push(`${i18n._("Rename Symbol")}: F2`);
+    messageLines.push("");
+    messageLines.push(`${i18n._("Find References")}: Shift+F12`);
+    messageLines.push("");
+    messageLines.push(`${i18n._("Show Problems")}: Ctrl+Shift+M ${i18n._("or")} Cmd+Shift+M`);
+    messageLines.push(`${i18n._("Story Graph")}: Ctrl+Alt+G ${i18n._("or")} Cmd+Alt+G`);
+    messageLines.push("");
     messageLines.push(`${i18n._("Toggle Comment")}: Ctrl+/ ${i18n._("or")} Cmd+/`);
     messageLines.push("");
     messageLines.push(`${i18n._("Add Multicursor Above")}: Ctrl+Alt+Up ${i18n._("or")} Ctrl+Option+Up`);
@@ -236,6 +374,7 @@ EditorView.setEvents({
     "change": () => {
         LiveCompiler.setEdited();
         NavView.setKnots(InkProject.currentProject.activeInkFile);
+        FindInProject.documentChanged();
         // Re-evaluate scene on content changes (e.g. writer adds a new ~ bg = "..." line)
         if (InkProject.currentProject && InkProject.currentProject.activeInkFile) {
             var pos = EditorView.getCurrentCursorPos();
@@ -255,6 +394,9 @@ EditorView.setEvents({
         NavHistory.addStep();
     },
     "navigate": () => NavHistory.addStep(),
+    "toggleBreakpoint": (row) => {
+        Breakpoints.toggle(InkProject.currentProject.activeInkFile, row);
+    },
     "changedLine": (pos) => {
         if (InkProject.currentProject && InkProject.currentProject.activeInkFile) {
             NavView.updateCurrentKnot(InkProject.currentProject.activeInkFile, pos);
@@ -263,7 +405,13 @@ EditorView.setEvents({
     }
 });
 
+function rewindToTurn(turnIdx) {
+    PlayerView.previewRewindToTurn(turnIdx);
+    LiveCompiler.rewindToTurn(turnIdx);
+}
+
 PlayerView.setEvents({
+    "rewindToTurn": rewindToTurn,
     "jumpToSource": (outputTextOffset) => {
         LiveCompiler.getLocationInSource(outputTextOffset, (result) => {
             if( result && result.filename && result.lineNumber ) {
@@ -282,7 +430,15 @@ ExpressionWatchView.setEvents({
 });
 
 ToolbarView.setEvents({
-    toggleSidebar: (id, buttonId) => { NavView.toggle(id, buttonId); },
+    toggleSidebar: (id, buttonId) => {
+        NavView.toggle(id, buttonId);
+        if( id == "#find-in-project-wrapper" && !$(id).hasClass("hidden") )
+            FindInProject.focus();
+        if( id == "#problems-wrapper" && !$(id).hasClass("hidden") )
+            ProblemsView.refresh();
+        if( id == "#visit-counts-wrapper" && !$(id).hasClass("hidden") )
+            VisitCountsView.refresh();
+    },
     navigateBack: () => NavHistory.back(),
     navigateForward: () => NavHistory.forward(),
     selectIssue: gotoIssue,
@@ -336,6 +492,235 @@ GotoAnything.setEvents({
     }
 });
 
+FindInProject.setEvents({
+    gotoResult: (file, row, column) => {
+        InkProject.currentProject.showInkFile(file);
+        EditorView.gotoLine(row+1, column);
+        NavHistory.addStep();
+    }
+});
+
+ipc.on("find-in-project", (event) => {
+    NavView.reveal("#find-in-project-wrapper", ".find-toggle.button");
+    FindInProject.focus();
+});
+
+ipc.on("rename-symbol", (event) => {
+    var project = InkProject.currentProject;
+    var target = SymbolReferences.targetAtPos(project, project.activeInkFile, EditorView.getCurrentCursorPos());
+    if( target )
+        RenameSymbol.show(target);
+    else
+        alert(i18n._("Place the cursor on the name of a knot, stitch, label or variable to rename it."));
+});
+
+ReferencesView.setEvents({
+    gotoReference: (file, row, column) => {
+        InkProject.currentProject.showInkFile(file);
+        EditorView.gotoLine(row+1, column);
+        NavHistory.addStep();
+    },
+    close: () => NavView.toggle("#references-wrapper")
+});
+
+ipc.on("find-references", (event) => {
+    var project = InkProject.currentProject;
+    var target = SymbolReferences.targetAtPos(project, project.activeInkFile, EditorView.getCurrentCursorPos());
+    if( target ) {
+        NavView.reveal("#references-wrapper");
+        ReferencesView.show(target);
+    } else {
+        alert(i18n._("Place the cursor on the name of a knot, stitch, function, label or variable to find its references."));
+    }
+});
+
+ProblemsView.setEvents({
+    gotoIssue: (issue) => {
+        gotoIssue(issue);
+        NavHistory.addStep();
+    },
+    close: () => NavView.toggle("#problems-wrapper", ".issuesSummary")
+});
+
+ipc.on("show-problems", (event) => {
+    NavView.reveal("#problems-wrapper", ".issuesSummary");
+    ProblemsView.focus();
+});
+
+StoryGraphView.setEvents({
+    gotoNode: (file, row) => {
+        InkProject.currentProject.showInkFile(file);
+        EditorView.gotoLine(row+1);
+        NavHistory.addStep();
+    },
+    close: () => StoryGraphView.hide()
+});
+
+ipc.on("story-graph", (event) => {
+    StoryGraphView.toggle();
+});
+
+SimulationView.setEvents({
+    gotoLocation: (file, row) => {
+        InkProject.currentProject.showInkFile(file);
+        EditorView.gotoLine(row+1);
+        NavHistory.addStep();
+    },
+    close: () => NavView.toggle("#simulation-wrapper")
+});
+
+ipc.on("simulate-playthroughs", (event) => {
+    NavView.reveal("#simulation-wrapper");
+    SimulationView.focus();
+});
+
+VariablesView.setEvents({
+    gotoDeclaration: (file, row) => {
+        InkProject.currentProject.showInkFile(file);
+        EditorView.gotoLine(row+1);
+        NavHistory.addStep();
+    },
+    close: () => NavView.toggle("#variables-wrapper")
+});
+
+ipc.on("show-variables", (event) => {
+    NavView.reveal("#variables-wrapper");
+    VariablesView.focus();
+});
+
+function playFrom(path, presetName) {
+    if( (path || presetName) && InkProject.currentProject.compiler == "inklecate" ) {
+        alert(i18n._("Playing from a knot or with a preset needs the inkjs compiler, but the project settings choose inklecate."));
+        PlayFromView.refresh(LiveCompiler.getPlayFrom());
+        return;
+    }
+
+    LiveCompiler.setPlayFrom(path, presetName);
+    PlayFromView.refresh(LiveCompiler.getPlayFrom());
+}
+
+// Plays from a knot or stitch, keeping whichever preset of starting values is chosen
+function playFromPath(path) {
+    var current = LiveCompiler.getPlayFrom();
+    playFrom(path, current ? current.preset : null);
+}
+
+PlayFromView.setEvents({
+    playFrom: playFrom
+});
+
+ipc.on("play-from-path", (event, path) => {
+    playFromPath(path);
+});
+
+ipc.on("play-from-here", (event) => {
+    var project = InkProject.currentProject;
+    var flows = project.activeInkFile.symbols.flowAtPos(EditorView.getCurrentCursorPos()) || {};
+    var knot = flows["Knot"];
+    var stitch = flows["Stitch"];
+
+    if( (!knot && !stitch) || (knot && knot.isfunc) ) {
+        alert(i18n._("Place the cursor inside a knot or stitch to play from it."));
+        return;
+    }
+
+    if( knot && stitch )
+        playFromPath(`${knot.name}.${stitch.name}`);
+    else
+        playFromPath((knot || stitch).name);
+});
+
+TurnHistoryView.setEvents({
+    rewindToTurn: rewindToTurn,
+    showScene: (turnIdx) => SceneStateEvaluator.showPlayerTurn(turnIdx),
+    undoRewind: () => LiveCompiler.undoRewind(),
+    close: () => NavView.toggle("#turn-history-wrapper", ".turn-history-toggle.button")
+});
+
+ipc.on("show-turn-history", (event) => {
+    NavView.reveal("#turn-history-wrapper", ".turn-history-toggle.button");
+});
+
+ipc.on("undo-rewind", (event) => {
+    LiveCompiler.undoRewind();
+});
+
+SceneView.setEvents({
+    chooseGameRoot: () => ipc.send("choose-game-root"),
+    modeChanged: (mode) => {
+        SceneStateEvaluator.setMode(mode);
+        var pos = EditorView.getCurrentCursorPos();
+        if( mode == "cursor" && pos )
+            SceneStateEvaluator.evaluateAtCursor(pos.row + 1, InkProject.currentProject);
+    },
+    showLatestTurn: () => SceneStateEvaluator.showPlayerTurn(null),
+    pinChoice: (depth, index, text) => SceneStateEvaluator.pinChoice(depth, index, text),
+    unpinChoice: (depth) => SceneStateEvaluator.unpinChoice(depth),
+    clearPins: () => SceneStateEvaluator.clearPins()
+});
+
+VisitCountsView.setEvents({
+    gotoNode: (file, row) => {
+        InkProject.currentProject.showInkFile(file);
+        EditorView.gotoLine(row+1);
+        NavHistory.addStep();
+    },
+    close: () => NavView.toggle("#visit-counts-wrapper", ".visit-counts-toggle.button")
+});
+
+ipc.on("show-visit-counts", (event) => {
+    NavView.reveal("#visit-counts-wrapper", ".visit-counts-toggle.button");
+    VisitCountsView.refresh();
+});
+
+CallstackView.setEvents({
+    gotoLocation: (filename, lineNumber) => {
+        InkProject.currentProject.showInkFile(filename);
+        EditorView.gotoLine(lineNumber);
+        NavHistory.addStep();
+    },
+    close: () => NavView.toggle("#callstack-wrapper")
+});
+
+ipc.on("show-callstack", (event) => {
+    NavView.reveal("#callstack-wrapper");
+});
+
+Breakpoints.setEvents({
+    changed: () => {
+        var hadBreakpoints = LiveCompiler.hasBreakpoints();
+        LiveCompiler.setBreakpoints(Breakpoints.all());
+
+        // Only worth saying when the first one is set, rather than for every one
+        if( !hadBreakpoints && LiveCompiler.hasBreakpoints() && InkProject.currentProject.compiler == "inklecate" )
+            alert(i18n._("Breakpoints need the inkjs compiler, but the project settings choose inklecate, so the story won't stop at them."));
+    }
+});
+
+DebuggerView.setEvents({
+    resume: (mode) => LiveCompiler.resume(mode),
+    gotoLocation: (filename, lineNumber) => {
+        InkProject.currentProject.showInkFile(filename);
+        EditorView.gotoLine(lineNumber);
+        NavHistory.addStep();
+    },
+    close: () => NavView.toggle("#debugger-wrapper")
+});
+
+ipc.on("toggle-breakpoint", (event) => {
+    var row = EditorView.getCurrentCursorPos().row;
+    if( !Breakpoints.toggle(InkProject.currentProject.activeInkFile, row) )
+        alert(i18n._("Breakpoints can only be set on lines of content or logic."));
+});
+
+ipc.on("clear-breakpoints", (event) => {
+    Breakpoints.clearAll();
+});
+
+ipc.on("debugger-resume", (event, mode) => {
+    LiveCompiler.resume(mode);
+});
+
 ipc.on("set-tags-visible", (event, visible) => {
     if( visible )
         $("#main").removeClass("hideTags");
@@ -349,6 +734,9 @@ ipc.on("set-animation-enabled", (event, animationEnabled) => {
 ipc.on("set-autocomplete-disabled", (event, autoCompleteDisabled) => {
     EditorView.setAutoCompleteDisabled(autoCompleteDisabled)
 });
+ipc.on("set-hot-reload-enabled", (event, hotReloadEnabled) => {
+    LiveCompiler.setHotReloadEnabled(hotReloadEnabled)
+});
 
 
 
@@ -0,0 +1,161 @@
+const $ = window.jQuery = require('./jquery-2.2.3.min.js');
+const _ = require("lodash");
+const Range = ace.require("ace/range").Range;
+
+const InkProject = require("./inkProject.js").InkProject;
+const i18n = require("./i18n.js");
+
+// Sidebar panel shown while the play session is stopped at a breakpoint, with
+// the callstack and variables at that point, and buttons to carry on
+
+const pausedLineClass = "ace-paused-line";
+
+var $panel = null;
+var $location = null;
+var $results = null;
+var $buttons = null;
+
+// Where the session is paused, as sent with LiveCompiler's paused event
+var pausedAt = null;
+
+// The editor marker on the paused line: { session, markerId }
+var pausedLineMarker = null;
+
+var events = {
+    resume: () => {},
+    gotoLocation: () => {},
+    close: () => {}
+};
+
+$(document).ready(() => {
+    $panel = $("#debugger-wrapper");
+    $location = $panel.find(".debugger-location");
+    $results = $panel.find(".debugger-results");
+    $buttons = $panel.find(".debugger-resume");
+
+    $panel.on("click", ".close-debugger", (e) => {
+        e.preventDefault();
+        events.close();
+    });
+
+    $buttons.on("click", (e) => {
+        e.preventDefault();
+        events.resume($(e.currentTarget).attr("data-mode"));
+    });
+
+    $panel.on("click", ".debugger-source-link", function(event) {
+        event.preventDefault();
+        var $link = $(event.currentTarget);
+        events.gotoLocation($link.attr("data-filename"), parseInt($link.attr("data-line-number")));
+    });
+
+    render();
+});
+
+// inkjs writes out divert targets as "DivertTargetValue(knot)"
+function displayValue(text) {
+    return text.trim().replace(/^DivertTargetValue\((.*)\)$/, "-> $1");
+}
+
+function sourceLinkAttributes(fileName, lineNumber) {
+    if( !fileName ) return "";
+    return `data-filename="${_.escape(fileName)}" data-line-number="${lineNumber}"`;
+}
+
+function frameHtml(frame, lineLabel) {
+    var typeNames = {
+        "root": i18n._("story"),
+        "tunnel": i18n._("tunnel"),
+        "function": i18n._("function")
+    };
+    var name = frame.name || i18n._("(top of story)");
+    var where = frame.fileName ? `${frame.fileName} ${lineLabel} ${frame.lineNumber}` : "";
+    var linkClass = frame.fileName ? "debugger-source-link" : "";
+
+    return `<span class="nav-group-item debugger-frame ${linkClass}" ${sourceLinkAttributes(frame.fileName, frame.lineNumber)}>
+              <span class="debugger-frame-name">${_.escape(name)}</span>
+              <span class="debugger-frame-type">${typeNames[frame.type] || ""}</span>
+              <span class="debugger-meta">${_.escape(where)}</span>
+            </span>`;
+}
+
+function variableHtml(name, value) {
+    return `<span class="nav-group-item debugger-variable">
+              <span class="debugger-variable-name">${_.escape(name)}</span>
+              <span class="debugger-variable-value">${_.escape(displayValue(value))}</span>
+            </span>`;
+}
+
+function render() {
+    if( !$panel ) return;
+
+    $buttons.prop("disabled", !pausedAt);
+    $results.empty();
+
+    if( !pausedAt ) {
+        $location.html(_.escape(i18n._("Not paused. Click a line number in the editor to set a breakpoint.")));
+        return;
+    }
+
+    var lineLabel = i18n._("line");
+    if( pausedAt.fileName ) {
+        $location.html(`${i18n._("Paused at")} <a href="#" class="debugger-source-link" ${sourceLinkAttributes(pausedAt.fileName, pausedAt.lineNumber)}>${_.escape(pausedAt.fileName)} ${lineLabel} ${pausedAt.lineNumber}</a>`);
+    } else {
+        $location.text(i18n._("Paused"));
+    }
+
+    $results.append(`<nav class="nav-group">
+                       <h5 class="nav-group-title">${i18n._("Callstack")}</h5>
+                       ${pausedAt.callstack.map(frame => frameHtml(frame, lineLabel)).join("")}
+                     </nav>`);
+
+    var names = _.sortBy(Object.keys(pausedAt.variables), n => n.toLowerCase());
+    var variablesHtml = names.length > 0 ?
+        names.map(name => variableHtml(name, pausedAt.variables[name])).join("") :
+        `<p class="debugger-empty">${i18n._("No global variables.")}</p>`;
+    $results.append(`<nav class="nav-group">
+                       <h5 class="nav-group-title">${i18n._("Globals")}</h5>
+                       ${variablesHtml}
+                     </nav>`);
+}
+
+function clearPausedLine() {
+    if( pausedLineMarker ) {
+        pausedLineMarker.session.removeMarker(pausedLineMarker.markerId);
+        pausedLineMarker = null;
+    }
+}
+
+function showPausedLine() {
+    clearPausedLine();
+
+    var project = InkProject.currentProject;
+    var inkFile = project && pausedAt.fileName ? project.inkFileWithRelativePath(pausedAt.fileName) : null;
+    if( !inkFile ) return;
+
+    var session = inkFile.getAceSession();
+    var row = pausedAt.lineNumber - 1;
+    pausedLineMarker = {
+        session: session,
+        markerId: session.addMarker(new Range(row, 0, row, 1), pausedLineClass, "fullLine", false)
+    };
+}
+
+// pauseInfo is { fileName, lineNumber, callstack, variables }
+function paused(pauseInfo) {
+    pausedAt = pauseInfo;
+    showPausedLine();
+    render();
+}
+
+function resumed() {
+    pausedAt = null;
+    clearPausedLine();
+    render();
+}
+
+exports.DebuggerView = {
+    setEvents: e => events = e,
+    paused: paused,
+    resumed: resumed
+}
@@ -17,7 +17,8 @@ var events = {
     change:         () => {},
     jumpToInclude:  () => {},
     jumpToSymbol:   () => {},
-    changedLine:    () => {}
+    changedLine:    () => {},
+    toggleBreakpoint: () => {}
 };
 
 editor.setShowPrintMargin(false);
@@ -55,6 +56,23 @@ editor.on("click", function(e){
     }
 });
 
+// Width of the strip at the left of the gutter where clicking toggles a breakpoint
+const breakpointAreaWidth = 16;
+
+// Clicking the breakpoint strip toggles a breakpoint on that line. Clicks on the
+// line numbers themselves (which select lines) and the fold widgets are let through.
+editor.on("guttermousedown", function(e){
+    var target = e.domEvent.target;
+    if( target.className.indexOf("ace_gutter-cell") == -1 || e.domEvent.button != 0 )
+        return;
+
+    if( e.domEvent.clientX > target.getBoundingClientRect().left + breakpointAreaWidth )
+        return;
+
+    events.toggleBreakpoint(e.getDocumentPosition().row);
+    e.stop();
+});
+
 function tryClickCodeLink(event) {
     var editor = event.editor;
     var pos = editor.getCursorPosition();
@@ -0,0 +1,346 @@
+const $ = window.jQuery = require('./jquery-2.2.3.min.js');
+const _ = require("lodash");
+const Range = ace.require("ace/range").Range;
+
+const InkProject = require("./inkProject.js").InkProject;
+const i18n = require("./i18n.js");
+
+// Stop collecting matches beyond this so that searching for "e" in a
+// big project doesn't lock up the UI. Replace All searches again without it.
+const maxResults = 1000;
+
+var $panel = null;
+var $query = null;
+var $replace = null;
+var $summary = null;
+var $results = null;
+
+var options = {
+    regex: false,
+    caseSensitive: false,
+    wholeWord: false
+};
+
+var results = [];
+var resultsRegex = null;
+var searchTimeout = null;
+
+var events = {
+    gotoResult: () => {}
+};
+
+$(document).ready(() => {
+    $panel = $("#find-in-project-wrapper");
+    $query = $panel.find("input.find-query");
+    $replace = $panel.find("input.replace-text");
+    $summary = $panel.find(".find-summary");
+    $results = $panel.find(".find-results");
+
+    $query.on("input", scheduleSearch);
+
+    // Only affects the previews, the matches themselves stay the same
+    $replace.on("input", () => render());
+
+    $panel.on("change", ".find-options input", function(event) {
+        var $option = $(event.currentTarget);
+        options[$option.attr("data-option")] = $option.get(0).checked;
+        search();
+    });
+
+    $panel.on("keydown", "input[type='text']", function(event) {
+        const returnKey = 13;
+        if( event.which == returnKey ) {
+            search();
+            event.preventDefault();
+        }
+    });
+
+    $panel.on("click", ".replace-all", function(event) {
+        event.preventDefault();
+        replaceAll();
+    });
+
+    $results.on("click", ".find-result .replace-one", function(event) {
+        event.preventDefault();
+        event.stopPropagation();
+        var resultIdx = parseInt($(event.currentTarget).closest(".find-result").attr("data-result-idx"));
+        replaceResults([results[resultIdx]]);
+    });
+
+    $results.on("click", ".find-result", function(event) {
+        event.preventDefault();
+        var $result = $(event.currentTarget);
+        $results.find(".find-result.active").removeClass("active");
+        $result.addClass("active");
+
+        var result = results[parseInt($result.attr("data-result-idx"))];
+        events.gotoResult(result.inkFile, result.row, result.column);
+    });
+});
+
+function scheduleSearch() {
+    if( searchTimeout )
+        clearTimeout(searchTimeout);
+
+    searchTimeout = setTimeout(() => {
+        searchTimeout = null;
+        search();
+    }, 200);
+}
+
+// Throws a SyntaxError for an invalid regex
+function buildSearchRegex(query) {
+    var source = options.regex ? query : _.escapeRegExp(query);
+    if( options.wholeWord )
+        source = "\\b(?:" + source + ")\\b";
+    return new RegExp(source, options.caseSensitive ? "g" : "gi");
+}
+
+// Supports the same $&, $1 and $<name> substitutions as String.replace
+function expandReplacement(replaceText, captures) {
+    return replaceText.replace(/\$(\$|&|\d{1,2}|<([^>]*)>)/g, (token, what, groupName) => {
+        if( what == "$" ) return "$";
+        if( what == "&" ) return captures[0];
+        if( groupName !== undefined ) return (captures.groups && captures.groups[groupName]) || "";
+        var groupIdx = parseInt(what);
+        return groupIdx < captures.length ? (captures[groupIdx] || "") : token;
+    });
+}
+
+function replacementFor(result) {
+    var replaceText = $replace.val();
+    return options.regex ? expandReplacement(replaceText, result.captures) : replaceText;
+}
+
+// Searches the documents rather than the files on disk,
+// so that unsaved changes are included
+function findMatchesInFile(inkFile, regex, matches, limit) {
+    var lines = inkFile.aceDocument.getAllLines();
+    for(var row=0; row<lines.length && matches.length < limit; row++) {
+        var line = lines[row];
+        regex.lastIndex = 0;
+
+        var match;
+        while( (match = regex.exec(line)) !== null && matches.length < limit ) {
+
+            // Nothing to show or replace for empty matches such as "^",
+            // and they'd otherwise never advance
+            if( match[0].length == 0 ) {
+                regex.lastIndex++;
+                continue;
+            }
+
+            matches.push({
+                inkFile: inkFile,
+                row: row,
+                column: match.index,
+                length: match[0].length,
+                lineContent: line,
+                captures: match
+            });
+        }
+    }
+}
+
+function search() {
+    if( !$panel || !InkProject.currentProject )
+        return;
+
+    results = [];
+
+    var query = $query.val();
+    if( !query ) {
+        render();
+        return;
+    }
+
+    var regex;
+    try {
+        regex = buildSearchRegex(query);
+    } catch(e) {
+        render(e.message);
+        return;
+    }
+
+    results = findMatches(regex, maxResults);
+    resultsRegex = regex;
+    render();
+}
+
+function findMatches(regex, limit) {
+    var matches = [];
+
+    // Main ink first, then the includes in the same order as the file browser
+    var files = _.sortBy(InkProject.currentProject.files, [f => f.isMain() ? 0 : 1, f => f.relativePath()]);
+    for(var i=0; i<files.length && matches.length < limit; i++) {
+        findMatchesInFile(files[i], regex, matches, limit);
+    }
+
+    return matches;
+}
+
+function knotNameForResult(result) {
+    var flow = result.inkFile.symbols.flowAtPos({row: result.row, column: result.column});
+    if( flow && flow.Knot ) {
+        var name = flow.Knot.name;
+        if( flow.Stitch ) name += "." + flow.Stitch.name;
+        return name;
+    }
+    return "";
+}
+
+function previewHtml(result) {
+    var line = result.lineContent;
+    var before = line.substring(0, result.column);
+    var matchText = line.substring(result.column, result.column + result.length);
+    var after = line.substring(result.column + result.length);
+
+    // Indentation just wastes space in a narrow sidebar
+    before = before.replace(/^\s+/, "");
+
+    var html = _.escape(before);
+    if( $replace.val() ) {
+        html += `<span class="find-match removed">${_.escape(matchText)}</span>`;
+        html += `<span class="find-replacement">${_.escape(replacementFor(result))}</span>`;
+    } else {
+        html += `<span class="find-match">${_.escape(matchText)}</span>`;
+    }
+    html += _.escape(after);
+    return html;
+}
+
+function render(errorMessage) {
+    $results.empty();
+
+    if( errorMessage ) {
+        $summary.text(errorMessage).addClass("error");
+        return;
+    }
+    $summary.removeClass("error");
+
+    if( !$query.val() ) {
+        $summary.text("");
+        return;
+    }
+
+    if( results.length == 0 ) {
+        $summary.text(i18n._("No results."));
+        return;
+    }
+
+    var fileCount = _.uniqBy(results, r => r.inkFile.id).length;
+    var summary = `${results.length} ${i18n._("results in")} ${fileCount} ${i18n._("files")}`;
+    if( results.length >= maxResults )
+        summary += ` (${i18n._("showing first")} ${maxResults})`;
+    $summary.text(summary);
+
+    var replaceTitle = i18n._("Replace");
+
+    // Results are already in file order, and in row order within each file
+    var resultIdx = 0;
+    var fileGroups = _.groupBy(results, r => r.inkFile.id);
+    var fileIds = _.uniq(results.map(r => r.inkFile.id));
+    fileIds.forEach(fileId => {
+        var fileResults = fileGroups[fileId];
+        var inkFile = fileResults[0].inkFile;
+
+        var $fileGroup = $(`<nav class="nav-group find-file-group">
+                              <h5 class="nav-group-title">
+                                <span class="filename">${_.escape(inkFile.relativePath())}</span>
+                                <span class="find-count">${fileResults.length}</span>
+                              </h5>
+                            </nav>`);
+
+        var lastKnotName = null;
+        fileResults.forEach(result => {
+            var knotName = knotNameForResult(result);
+            if( knotName !== lastKnotName ) {
+                if( knotName )
+                    $fileGroup.append(`<span class="find-knot"><span class="icon ink-icon icon-knot-scaled"></span>${_.escape(knotName)}</span>`);
+                lastKnotName = knotName;
+            }
+
+            $fileGroup.append(`<span class="nav-group-item find-result" data-result-idx="${resultIdx}">
+                                 <span class="find-line-no">${result.row+1}</span>
+                                 <span class="find-preview">${previewHtml(result)}</span>
+                                 <span class="replace-one icon icon-switch" title="${replaceTitle}"></span>
+                               </span>`);
+            resultIdx++;
+        });
+
+        $results.append($fileGroup);
+    });
+}
+
+// Each file's replacements are grouped into a single step in that file's own
+// undo history, so they can be undone from the editor like any other edit.
+function replaceResults(resultsToReplace) {
+    var replacedCount = 0;
+
+    var byFile = _.groupBy(resultsToReplace, r => r.inkFile.id);
+    _.each(byFile, fileResults => {
+        var inkFile = fileResults[0].inkFile;
+
+        // Files that haven't been shown yet don't have a session,
+        // and so wouldn't have an undo manager to record the change
+        var session = inkFile.getAceSession();
+        session.markUndoGroup();
+
+        // Work backwards so that earlier positions on the same line stay valid
+        var sortedResults = _.sortBy(fileResults, ["row", "column"]).reverse();
+        sortedResults.forEach(result => {
+            var range = new Range(result.row, result.column, result.row, result.column + result.length);
+
+            // Skip anything that's been edited since the search was run
+            if( inkFile.aceDocument.getTextRange(range) != result.captures[0] )
+                return;
+
+            inkFile.aceDocument.replace(range, replacementFor(result));
+            replacedCount++;
+        });
+
+        session.markUndoGroup();
+    });
+
+    search();
+
+    return replacedCount;
+}
+
+function replaceAll() {
+    if( results.length == 0 )
+        return;
+
+    // The results shown may have stopped at maxResults, so find every match to replace
+    var allMatches = results;
+    if( results.length >= maxResults )
+        allMatches = findMatches(resultsRegex, Infinity);
+
+    var fileCount = _.uniqBy(allMatches, r => r.inkFile.id).length;
+    var message = `${i18n._("Replace all matches?")}\n\n`
+        + `${allMatches.length} ${i18n._("results in")} ${fileCount} ${i18n._("files")}: "${$query.val()}" → "${$replace.val()}"`;
+    if( !confirm(message) )
+        return;
+
+    replaceResults(allMatches.slice());
+}
+
+// Keep the results in step with edits while they're on screen. When hidden,
+// they're searched for again as the panel is shown.
+function documentChanged() {
+    if( $panel && !$panel.hasClass("hidden") && $query.val() )
+        scheduleSearch();
+}
+
+function focus() {
+    search();
+    $query.focus();
+    $query.select();
+}
+
+exports.FindInProject = {
+    setEvents: e => events = e,
+    focus: focus,
+    refresh: search,
+    documentChanged: documentChanged
+}
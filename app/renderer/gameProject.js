@@ -0,0 +1,131 @@
+/**
+ * Works out where the game project (the Godot project the scene preview and
+ * Asset Overview draw their images from) lives, and which registry files and
+ * asset directories in it to use. Shared by assetRegistry.js and the
+ * Asset Overview window so that they always agree.
+ *
+ * All of it can be set in the project's .settings.json:
+ *
+ *   "gameRoot":      "../tgg",                        relative to the settings file
+ *   "assetRegistry": "scripts/asset_registry.gd",     relative to gameRoot, or a list of them
+ *   "assetDirs":     ["assets"]                       relative to gameRoot
+ *
+ * Without a gameRoot, a "tgg" folder is searched for in these places (in order):
+ *   1. Dev mode:  ../../../tgg  relative to app/renderer/
+ *   2. Packaged:  tgg/ inside the exe's directory  (e.g. Inky-win32-x64/tgg/)
+ *   3. Packaged:  tgg/ adjacent to the exe's directory (e.g. alongside Inky-win32-x64/)
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+var DEFAULT_REGISTRY_PATHS = [path.join("scripts", "asset_registry.gd")];
+var DEFAULT_ASSET_DIRS = ["assets"];
+
+/**
+ * Search for a tgg folder next to Inky.
+ * Returns the first path that exists, or a fallback (for error reporting).
+ */
+function findDefaultRoot() {
+    var candidates = [];
+
+    // 1. Dev mode: __dirname is .../inkytgg/app/renderer
+    candidates.push(path.resolve(__dirname, "..", "..", "..", "tgg"));
+
+    // 2–3. Packaged mode: relative to the Electron executable
+    if (process.execPath) {
+        var exeDir = path.dirname(process.execPath);
+        candidates.push(path.join(exeDir, "tgg"));
+        candidates.push(path.resolve(exeDir, "..", "tgg"));
+    }
+
+    for (var i = 0; i < candidates.length; i++) {
+        if (fs.existsSync(candidates[i])) return candidates[i];
+    }
+
+    // None found — return first candidate so the error message is useful
+    return candidates[0];
+}
+
+/**
+ * Settings values may be a single path or a list of them.
+ */
+function pathList(value, defaults) {
+    if (value === undefined || value === null || value === "") return defaults.slice();
+    return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Resolve the game project from the project settings.
+ * @param {Object} settings - the project's .settings.json contents (may be null)
+ * @param {string} settingsDir - folder the settings file is in, which a relative
+ *                               gameRoot is resolved against (null if unsaved)
+ * @returns {Object} {
+ *   root:          string,    // absolute path to the game project
+ *   configured:    boolean,   // true if root came from the settings rather than being searched for
+ *   registryPaths: string[],  // absolute paths to the asset registry files
+ *   assetDirs:     string[],  // absolute paths to the asset directories
+ *   error:         string|null
+ * }
+ */
+function resolve(settings, settingsDir) {
+    settings = settings || {};
+
+    var configured = !!settings.gameRoot;
+    var root;
+    if (configured) {
+        root = path.resolve(settingsDir || process.cwd(), settings.gameRoot);
+    } else {
+        root = findDefaultRoot();
+    }
+
+    var registryPaths = pathList(settings.assetRegistry, DEFAULT_REGISTRY_PATHS).map(function (p) {
+        return path.resolve(root, p);
+    });
+    var assetDirs = pathList(settings.assetDirs, DEFAULT_ASSET_DIRS).map(function (p) {
+        return path.resolve(root, p);
+    });
+
+    var error = null;
+    if (!fs.existsSync(root)) {
+        error = configured ?
+            "Game project not found at: " + root :
+            "Game project not found at: " + root + " (choose one, or set \"gameRoot\" in the project settings)";
+    }
+
+    return {
+        root: root,
+        configured: configured,
+        registryPaths: registryPaths,
+        assetDirs: assetDirs,
+        error: error
+    };
+}
+
+/**
+ * Parse the ASSETS dictionary from an asset_registry.gd file.
+ * Matches lines like: "bg_bridge_airship_02": "res://assets/backgrounds/locations/bridge-airship-02.png",
+ * Returns { assetId: resPath }, where resPath is the part after "res://".
+ */
+function parseRegistry(content) {
+    var map = {};
+    var regex = /"([^"]+)"\s*:\s*"res:\/\/([^"]+)"/g;
+    var match;
+    while ((match = regex.exec(content)) !== null) {
+        map[match[1]] = match[2];
+    }
+    return map;
+}
+
+/**
+ * Turn a res:// path into an absolute path, since res:// is the game project's root.
+ */
+function resPathToAbsolute(gameProject, resPath) {
+    return path.join(gameProject.root, resPath);
+}
+
+exports.GameProject = {
+    resolve: resolve,
+    parseRegistry: parseRegistry,
+    resPathToAbsolute: resPathToAbsolute
+};
@@ -9,6 +9,7 @@ const InkFileSymbols = require("./inkFileSymbols.js").InkFileSymbols;
 
 const Document = ace.require('ace/document').Document;
 const EditSession = ace.require('ace/edit_session').EditSession;
+const Range = ace.require('ace/range').Range;
 
 var fileIdCounter = 0;
 
@@ -82,7 +83,8 @@ function InkFile(anyPath, mainInkFile, isBrandNew, inkMode, events) {
         includesChanged: (includes) => {
             this.includes = includes.slice();
             this.events.includesChanged();
-        }
+        },
+        parsed: () => this.events.symbolsParsed()
     });
 
     // Assume it's new by default. We then attempt to load below
@@ -203,10 +205,11 @@ InkFile.prototype.save = function(afterSaveCallback) {
     }
 }
 
+// Throws if the file exists but couldn't be removed
 InkFile.prototype.deleteFromDisk = function() {
     var absPath = this.absolutePath();
-    if( absPath )
-        fs.exists(absPath, (exists) => { if( exists ) fs.unlink(absPath) });
+    if( absPath && fs.existsSync(absPath) )
+        fs.unlinkSync(absPath);
 }
 
 InkFile.prototype.tryLoadFromDisk = function(loadCallback) {
@@ -288,6 +291,52 @@ InkFile.prototype.addIncludeLine = function(relativePath) {
     }
 }
 
+// Points any INCLUDE lines for oldRelativePath at newRelativePath instead,
+// or removes them entirely if newRelativePath is null. All the edits are a
+// single step in the undo history. Returns true if anything was changed.
+InkFile.prototype.replaceIncludeLines = function(oldRelativePath, newRelativePath) {
+
+    // Same normalisation as InkProject.refreshIncludes, but always with
+    // forward slashes so that paths written either way will match
+    var normalise = p => path.format(path.parse(p)).replace(/\\/g, "/");
+    var oldPath = normalise(oldRelativePath);
+
+    var matches = [];
+    var lines = this.aceDocument.getAllLines();
+    for(var row=0; row<lines.length; row++) {
+        var match = lines[row].match(/^(\s*INCLUDE\s+)(.*?)\s*$/);
+        if( match && normalise(match[2]) == oldPath )
+            matches.push({ row: row, column: match[1].length, length: match[2].length });
+    }
+
+    if( matches.length == 0 )
+        return false;
+
+    // As in addIncludeLine, update the includes straight away rather than
+    // waiting for InkFileSymbols to parse them
+    this.includes = this.includes
+        .map(inc => normalise(inc) == oldPath ? newRelativePath : inc)
+        .filter(inc => inc !== null);
+    this.events.includesChanged();
+
+    var session = this.getAceSession();
+    session.markUndoGroup();
+
+    // Work backwards so that removing lines doesn't affect the rows still to do
+    matches.reverse().forEach(match => {
+        if( newRelativePath === null ) {
+            this.aceDocument.removeFullLines(match.row, match.row);
+        } else {
+            var range = new Range(match.row, match.column, match.row, match.column + match.length);
+            this.aceDocument.replace(range, newRelativePath.replace(/\\/g, "/"));
+        }
+    });
+
+    session.markUndoGroup();
+
+    return true;
+}
+
 InkFile.prototype.setInkMode = function(newInkMode)
 {
     this.inkMode = newInkMode;
@@ -68,6 +68,12 @@ InkFileSymbols.prototype.parse = function() {
     var externals = new Set();
     var vocabWords = new Set();
 
+    // Every place a knot, stitch, label or variable name is used,
+    // for find references and renaming. See collectLogicReferences.
+    var references = [];
+    var variableDeclarations = {};
+    var lastDivertReference = null;
+
     var it = new TokenIterator(session, 0, 0);
 
     // this shouldn't be necessary should it?!
@@ -81,6 +87,41 @@ InkFileSymbols.prototype.parse = function() {
         //Flag, if triggered, the next "name" is a function. 
         if (tok.type.endsWith("function"))
         isfunc = true
+
+        var tokRow = it.getCurrentTokenRow();
+        var tokColumn = it.getCurrentTokenColumn();
+
+        // "-> knot ->" is a tunnel rather than a plain divert
+        if( lastDivertReference && tok.type != "divert" ) {
+            if( tok.type == "divert.operator" && tok.value.trim() == "->" && tokRow == lastDivertReference.row )
+                lastDivertReference.kind = "tunnel";
+            lastDivertReference = null;
+        }
+
+        if( tok.type == "divert.target" && tok.value.trim().length > 0 ) {
+            var divertOperator = previousDivertOperator(session, tokRow, tokColumn);
+            lastDivertReference = {
+                name: tok.value.trim().split(/\s+/)[0],
+                row: tokRow,
+                column: tokColumn,
+                kind: divertOperator == "<-" ? "thread" : "divert"
+            };
+            references.push(lastDivertReference);
+        }
+        else if( isLogicToken(tok.type) ) {
+            collectLogicReferences(tok.value, tokRow, tokColumn, references);
+        }
+        else if( tok.type == "var-decl.keyword" || tok.type == "list-decl.keyword" ) {
+            collectDeclarationReferences(session.getLine(tokRow), tokRow, references, variableDeclarations, this.inkFile);
+        }
+        else if( tok.type == "external.declaration.name" ) {
+            references.push({ name: tok.value, row: tokRow, column: tokColumn, kind: "external" });
+        }
+        else if( tok.type.endsWith(".declaration.parameters") ) {
+            var flowSymbol = symbolStack.currentElement();
+            if( flowSymbol.flowType && flowSymbol.row == tokRow )
+                flowSymbol.parameters = parameterNames(tok.value);
+        }
         
         // Token is some kind of name?
         if( tok.type.indexOf(".name") != -1 ) {
@@ -194,6 +235,9 @@ InkFileSymbols.prototype.parse = function() {
     this.variables = variables;
     this.externals = externals;
     this.vocabWords = vocabWords;
+    this.references = references;
+    this.tempNamesByFlow = null;
+    this.variableDeclarations = variableDeclarations;
     // Detect whether the includes actually changed at all
     var oldIncludes = this.includes || [];
     this.includes = includes;
@@ -211,6 +255,109 @@ InkFileSymbols.prototype.parse = function() {
         this.events.includesChanged(this.includes);
 
     this.dirty = false;
+
+    this.events.parsed();
+}
+
+// Divert targets don't include their operator, so look back along the line for it
+function previousDivertOperator(session, row, column) {
+    var match = session.getLine(row).substring(0, column).match(/(->->|->|<-)\s*$/);
+    return match ? match[1] : null;
+}
+
+// Tokens that contain expressions rather than prose
+function isLogicToken(type) {
+    return type == "logic.tilda" 
+        || type == "logic.inline" 
+        || type == "divert.parameter"
+        || type.endsWith(".condition");
+}
+
+// Finds the names used within an expression, such as "~ x = f(y) + knot.stitch",
+// skipping over string literals. Each reference gets a kind:
+//  - call:       f(...)
+//  - assignment: x = ..., x += ..., x++
+//  - temp:       temp x = ... (a local, not a reference to anything global)
+//  - divert:     -> knot, used as a value
+//  - read:       anything else, i.e. a variable or a read count
+function collectLogicReferences(text, row, startColumn, references) {
+    var nameRegex = /"(?:[^"\\]|\\.)*"|\b(temp\s+)?([A-Za-z_]\w*(?:\.[A-Za-z_]\w*)*)/g;
+    var match;
+    while( (match = nameRegex.exec(text)) !== null ) {
+        var name = match[2];
+        if( !name || name == "temp" ) continue;
+
+        var rest = text.substring(match.index + match[0].length);
+        var kind = "read";
+        if( match[1] )
+            kind = "temp";
+        else if( /->\s*$/.test(text.substring(0, match.index)) )
+            kind = "divert";
+        else if( /^\s*\(/.test(rest) )
+            kind = "call";
+        else if( /^\s*(?:=(?!=)|\+=|-=|\+\+|--)/.test(rest) )
+            kind = "assignment";
+
+        references.push({
+            name: name,
+            row: row,
+            column: startColumn + match.index + (match[1] ? match[1].length : 0),
+            kind: kind
+        });
+    }
+}
+
+// VAR, CONST and LIST lines are parsed from the raw line, since the syntax
+// highlighter marks up every word on them as a name, even within strings.
+function collectDeclarationReferences(line, row, references, declarations, inkFile) {
+
+    // Ignore trailing comments
+    var content = line.replace(/\/\/.*$/, "");
+
+    var declMatch = content.match(/^(\s*(VAR|CONST|LIST)\s+)(\w+)(\s*=\s*)?/);
+    if( !declMatch ) return;
+
+    var varType = declMatch[2];
+    var name = declMatch[3];
+    var nameColumn = declMatch[1].length;
+
+    references.push({ name: name, row: row, column: nameColumn, kind: "declaration" });
+    declarations[name] = { name: name, varType: varType, row: row, column: nameColumn, inkFile: inkFile };
+
+    var valueColumn = declMatch[0].length;
+    var value = content.substring(valueColumn);
+
+    // Initial value is an expression
+    if( varType != "LIST" ) {
+        collectLogicReferences(value, row, valueColumn, references);
+        return;
+    }
+
+    // List items, e.g. LIST colours = (red), green, blue = 5
+    var expectingItem = true;
+    for(var i=0; i<value.length; i++) {
+        var ch = value[i];
+        if( ch == "," ) { expectingItem = true; continue; }
+        if( !expectingItem || !/[A-Za-z_]/.test(ch) ) continue;
+
+        var itemName = value.substring(i).match(/^\w+/)[0];
+        var itemColumn = valueColumn + i;
+        references.push({ name: itemName, row: row, column: itemColumn, kind: "declaration", listName: name });
+
+        var itemDecl = { name: itemName, varType: "LIST item", listName: name, row: row, column: itemColumn, inkFile: inkFile };
+        declarations[name + "." + itemName] = itemDecl;
+        if( !declarations[itemName] ) declarations[itemName] = itemDecl;
+
+        expectingItem = false;
+        i += itemName.length - 1;
+    }
+}
+
+// e.g. "(x, ref y, -> target)"
+function parameterNames(paramsText) {
+    return paramsText.replace(/[()]/g, "").split(",")
+        .map(param => param.replace(/^\s*(?:ref\s+|->\s*)?/, "").trim())
+        .filter(param => param.length > 0);
 }
 
 InkFileSymbols.prototype.flowAtPos =function(pos){
@@ -302,6 +449,38 @@ InkFileSymbols.prototype.getLastIncludeRow = function() {
     return this.lastIncludeRow;
 }
 
+// Each reference is { name, row, column, kind }, where the name may be a
+// dotted path like "knot.stitch". See collectLogicReferences for the kinds.
+InkFileSymbols.prototype.getReferences = function() {
+    if( this.dirty ) this.parse();
+    return this.references;
+}
+
+// The names of the temps declared in each knot or stitch, as a Map from
+// the innermost flow symbol to a Set of names. Built from the references.
+InkFileSymbols.prototype.getTempNamesByFlow = function() {
+    if( this.dirty ) this.parse();
+    if( !this.tempNamesByFlow ) {
+        var byFlow = new Map();
+        this.references.forEach(ref => {
+            if( ref.kind != "temp" ) return;
+            var flows = this.flowAtPos({row: ref.row, column: 0});
+            var flow = flows ? (flows.Stitch || flows.Knot) : null;
+            if( !flow ) return;
+            if( !byFlow.has(flow) ) byFlow.set(flow, new Set());
+            byFlow.get(flow).add(ref.name);
+        });
+        this.tempNamesByFlow = byFlow;
+    }
+    return this.tempNamesByFlow;
+}
+
+// VAR, CONST and LIST declarations, plus list items by both "item" and "list.item"
+InkFileSymbols.prototype.getVariableDeclarations = function() {
+    if( this.dirty ) this.parse();
+    return this.variableDeclarations;
+}
+
 InkFileSymbols.prototype.getCachedDivertTargets = function() {
     return this.divertTargets;
 }
@@ -318,4 +497,85 @@ InkFileSymbols.prototype.getCachedVocabWords = function() {
     return this.vocabWords;
 }
 
+// Finds a knot, stitch or label by name or dotted path, as seen from posContext
+// within contextInkFile, looking through the given project files
+InkFileSymbols.findSymbol = function(files, name, posContext, contextInkFile) {
+
+    // Name components
+    var nameComps = name.split(".");
+    var baseName = nameComps[0];
+    var tailNameComps = nameComps.slice(1);
+
+    // Find starting symbol based on the context
+    var symbolContext = contextInkFile.symbols.symbolAtPos(posContext);
+
+    // Helper function to search downward into a symbol to find a single name
+    function findWithinSymbolDeep(withinSymbol, targetName) {
+        if( withinSymbol.innerSymbols ) {
+            var foundSym = withinSymbol.innerSymbols[targetName];
+            if( foundSym ) {
+                return foundSym;
+            } else {
+                for(var innerSymName in withinSymbol.innerSymbols) {
+                    foundSym = findWithinSymbolDeep(withinSymbol.innerSymbols[innerSymName], targetName);
+                    if( foundSym )
+                        return foundSym;
+                }
+            }
+        }
+    }
+
+    // Try searching towards leaves first
+    var baseSymbol = symbolContext ? findWithinSymbolDeep(symbolContext, baseName) : null;
+
+    // Otherwise, work our way up to a broader and broader scope to
+    // find the a symbol that contains the base name we're looking for
+    if( !baseSymbol ) {
+        while(symbolContext) {
+            if( symbolContext.innerSymbols ) {
+                var found = symbolContext.innerSymbols[baseName];
+                if( found ) {
+                    baseSymbol = found;
+                    break;
+                }
+            }
+            symbolContext = symbolContext.parent;
+        }
+    }
+
+    // Finally, try to search within all files scope
+    if( !baseSymbol ) {
+
+        // Collect all symbols
+        var allSymbols = {};
+        for(var i=0; i<files.length; i++) {
+            var file = files[i];
+            var fileSymbols = file.symbols.getSymbols();
+            var found = fileSymbols[baseName];
+            if( found ) {
+                baseSymbol = found;
+                break;
+            }
+        }
+    }
+    
+    if( !baseSymbol ) {
+        return null;
+    }
+
+    // Resolve the rest of the path
+    var symbol = baseSymbol;
+    for(var i=0; i<tailNameComps.length; i++) {
+        var tailComp = tailNameComps[i];
+        var tailSymbol = findWithinSymbolDeep(symbol, tailComp);
+        if( !tailSymbol ) {
+            return symbol;
+        }
+        
+        symbol = tailSymbol;
+    }
+
+    return symbol;
+}
+
 exports.InkFileSymbols = InkFileSymbols;
@@ -7,12 +7,19 @@ const mkdirp = require('mkdirp');
 const i18n = require('./i18n.js');
 const { InkMode } = require('./ace-ink-mode/ace-ink.js');
 const { PlayerView } = require('./playerView.js');
+const { PromptView } = require('./promptView.js');
+const { StructureExportView } = require('./structureExportView.js');
 
 const EditorView = require("./editorView.js").EditorView;
 const NavView = require("./navView.js").NavView;
 
 const InkFile = require("./inkFile.js").InkFile;
+const InkFileSymbols = require("./inkFileSymbols.js").InkFileSymbols;
+const StoryGraph = require("./storyGraph.js").StoryGraph;
+const StructureExport = require("./structureExport.js").StructureExport;
 const LiveCompiler = require("./liveCompiler.js").LiveCompiler;
+const WebExport = require("../main-process/webExport.js").WebExport;
+const ProjectSettings = require("../main-process/projectSettings.js").ProjectSettings;
 
 // -----------------------------------------------------------------
 // InkProject
@@ -32,6 +39,16 @@ function InkProject(mainInkFilePath) {
     // the user has a project settings file that customises the instructionPrefix
     this.inkMode = new InkMode("");
 
+    // Which compiler backend to use: "auto", "inklecate" or "inkjs".
+    // May be overridden by the project settings file.
+    this.compiler = "auto";
+    this.lintRules = {};
+    this.playPresets = {};
+
+    // Where the game project and its assets are, and how its scene layers stack up,
+    // for the scene preview (see gameProject.js and sceneLayers.js)
+    this.gameProjectSettings = {};
+
     this.mainInk = null;
     this.mainInk = this.createInkFile(mainInkFilePath || null, isBrandNew = mainInkFilePath === undefined);
 
@@ -68,6 +85,9 @@ InkProject.prototype.createInkFile = function(anyPath, isBrandNew, loadErrorCall
                 NavView.initialShow();
         },
 
+        // Called whenever the file's symbols are reparsed after a change
+        symbolsParsed: () => InkProject.events.didParseSymbols(inkFile),
+
         loadError: err => {
             if( loadErrorCallback )
                 loadErrorCallback(err);
@@ -359,15 +379,8 @@ InkProject.prototype.save = function() {
 
 // Helper to copy a file whilst optionally transforming the content
 function copyFile(source, destination, transform) {
-    fs.readFile(source, "utf8", (err, fileContent) => {
-        if( !err && fileContent ) {
-            if( transform ) fileContent = transform(fileContent);
-            if( fileContent.length < 1 ) throw "Trying to write (copy) empty file!";
-            
-            fs.writeFile(destination, fileContent, "utf8", err => {
-                if( err ) alert(`Failed to save file '${destination}'`);
-            });
-        }
+    WebExport.copyFile(source, destination, transform, err => {
+        if( err ) alert(err);
     });
 }
 
@@ -481,34 +494,53 @@ InkProject.prototype.exportJSOnly = function() {
     this.export("js");
 }
 
-InkProject.prototype.jsFilename = function() {
-    // Derive story content js file from root ink filename
-    // Remove .ink extension if it's ".ink"
-    var mainInkRootName = this.mainInk.filename();
-    if( path.extname(mainInkRootName) == ".ink" )
-        mainInkRootName = path.basename(mainInkRootName, ".ink");
-    var jsContentFilename = mainInkRootName+".js";
-
-    // Avoid naming collision with our own main.js
-    // (if user chose "main.ink" for their root ink)
-    if( jsContentFilename == "main.js" ) {
-        jsContentFilename = "story.js";
-    }
+// Knots, stitches and the diverts between them, as a DOT or Mermaid file
+InkProject.prototype.exportStructure = function() {
+    StructureExportView.show(options => {
+        var graph = StoryGraph.build(this, options);
+        if( options.collapseStitches )
+            graph = StoryGraph.collapseStitches(graph);
+
+        var title = path.basename(this.mainInk.filename(), ".ink");
+        var content = StructureExport.exportString(graph, options.format, title);
+
+        var format = StructureExport.formats[options.format];
+        var saveOptions = {
+            filters: [
+                { name: format.name, extensions: format.extensions }
+            ]
+        };
+
+        var mainInkPath = this.mainInk.absolutePath();
+        if( mainInkPath ) {
+            var pathObj = path.parse(mainInkPath);
+            saveOptions.defaultPath = path.join(pathObj.dir, `${pathObj.name}.${format.extensions[0]}`);
+        }
+
+        ipcRenderer.invoke('showSaveDialog', saveOptions).then((result) => {
+            let targetSavePath = result.filePath;
+            if( !targetSavePath ) return;
 
-    return jsContentFilename;
+            fs.writeFile(targetSavePath, content, "utf8", err => {
+                if( err ) alert(`${i18n._("Sorry, could not save to")} ${targetSavePath}`);
+            });
+        });
+    });
+}
+
+InkProject.prototype.jsFilename = function() {
+    return WebExport.jsFilename(this.mainInk.filename());
 }
 
 // Convert JSON to JS file with "var storyContent = "
 InkProject.prototype.convertJSONToJS = function(jsonFilePath, targetJSPath) {
-    copyFile(jsonFilePath, targetJSPath, (jsonContent) => {
-        return `var storyContent = ${jsonContent};`;
+    WebExport.convertJSONToJS(jsonFilePath, targetJSPath, err => {
+        if( err ) alert(err);
     });
 }
 
 InkProject.prototype.buildForWeb = function(jsonFilePath, targetDirectory) {
 
-    var templateDir = path.join(__dirname, "../export-for-web-template");
-
     // Derive story title from save name
     var storyTitle = path.basename(targetDirectory);
     
@@ -518,33 +550,12 @@ InkProject.prototype.buildForWeb = function(jsonFilePath, targetDirectory) {
         storyTitle = mainInkTagDict["title"];
     }
 
-    // Create target directory name
-    mkdirp.sync(targetDirectory);
-
-    // Create JS story file with correct name
-    var jsFullPath = path.join(targetDirectory, this.jsFilename());
-    this.convertJSONToJS(jsonFilePath, jsFullPath);
-
-    // Copy index.html:
-    //  - inserting the filename as the <title> and <h1>
-    //  - Inserting the correct name of the javascript file
-    copyFile(path.join(templateDir, "index.html"), 
-             path.join(targetDirectory, "index.html"), 
-             (fileContent) => {
-        fileContent = fileContent.replace(/##STORY TITLE##/g, storyTitle);
-        fileContent = fileContent.replace(/##JAVASCRIPT FILENAME##/g, this.jsFilename());
-        return fileContent;
+    WebExport.buildForWeb(jsonFilePath, targetDirectory, {
+        storyTitle: storyTitle,
+        jsFilename: this.jsFilename()
+    }, err => {
+        if( err ) alert(err);
     });
-
-    // Copy other files verbatim
-    copyFile(path.join(__dirname, "../node_modules/inkjs/dist/ink.js"),
-             path.join(targetDirectory, "ink.js"));
-
-    copyFile(path.join(templateDir, "style.css"), 
-             path.join(targetDirectory, "style.css"));
-
-    copyFile(path.join(templateDir, "main.js"), 
-         path.join(targetDirectory, "main.js"));
 }
 
 InkProject.prototype.tryClose = function() {
@@ -597,91 +608,138 @@ InkProject.prototype.deleteInkFile = function(inkFile) {
     inkFile.deleteFromDisk();
 
     this.files.remove(inkFile);
+    this.unsavedFiles.remove(inkFile);
+    LiveCompiler.setFileRemoved(inkFile.relativePath());
 
-    NavView.setFiles(this.mainInk, this.files);
+    this.refreshUnsavedChanges();
     EditorView.setFiles(this.files);
 }
 
-InkProject.prototype.findSymbol = function(name, posContext) {
+// Saves a single file that was edited on the writer's behalf, such as when
+// its INCLUDE lines are updated, so that it doesn't become unexpectedly unsaved
+InkProject.prototype.saveInkFile = function(inkFile) {
+    inkFile.save(success => {
+        if( success ) {
+            this.unsavedFiles.remove(inkFile);
+            this.refreshUnsavedChanges();
+        }
+    });
+}
 
-    // Name components
-    var nameComps = name.split(".");
-    var baseName = nameComps[0];
-    var tailNameComps = nameComps.slice(1);
+// Rewrites (or removes, if newRelPath is null) the INCLUDE lines that refer to
+// oldRelPath in every file. Files that were saved beforehand are saved again.
+InkProject.prototype.replaceIncludeLines = function(oldRelPath, newRelPath) {
+    this.files.forEach(f => {
+        var wasSaved = !f.hasUnsavedChanges;
+        if( f.replaceIncludeLines(oldRelPath, newRelPath) && wasSaved )
+            this.saveInkFile(f);
+    });
+}
 
-    // Find starting symbol based on the context
-    var symbolContext = this.activeInkFile.symbols.symbolAtPos(posContext);
+// Tidies up a path typed by the writer, for renaming or moving a file
+InkProject.prototype.normaliseNewRelativePath = function(typedPath) {
+    typedPath = typedPath.trim();
+    if( !typedPath )
+        return "";
 
-    // Helper function to search downward into a symbol to find a single name
-    function findWithinSymbolDeep(withinSymbol, targetName) {
-        if( withinSymbol.innerSymbols ) {
-            var foundSym = withinSymbol.innerSymbols[targetName];
-            if( foundSym ) {
-                return foundSym;
-            } else {
-                for(var innerSymName in withinSymbol.innerSymbols) {
-                    foundSym = findWithinSymbolDeep(withinSymbol.innerSymbols[innerSymName])
-                    if( foundSym )
-                        return foundSym;
-                }
-            }
+    var relPath = path.normalize(typedPath);
+    if( path.extname(relPath) == "" )
+        relPath += ".ink";
+    return relPath;
+}
+
+// Returns a reason why inkFile can't be renamed or moved to newRelPath, or null if it's fine
+InkProject.prototype.problemWithNewRelativePath = function(inkFile, newRelPath) {
+    if( !newRelPath || path.basename(newRelPath, path.extname(newRelPath)) == "" )
+        return i18n._("Please enter a file name.");
+
+    if( path.isAbsolute(newRelPath) || newRelPath.split(path.sep)[0] == ".." )
+        return i18n._("Ink files need to be inside the project's folder.");
+
+    if( inkFile.isMain() && path.dirname(newRelPath) != "." )
+        return i18n._("The main ink file needs to stay in the project's folder.");
+
+    // Only changing the case, e.g. act1.ink to Act1.ink, finds the file itself
+    // on disk when the file system is case-insensitive (macOS, Windows)
+    var forwardSlashed = relPath => relPath.replace(/\\/g, "/");
+    var sameFileOnDisk = forwardSlashed(newRelPath).toLowerCase() == forwardSlashed(inkFile.relativePath()).toLowerCase();
+
+    var existingFile = this.inkFileWithRelativePath(forwardSlashed(newRelPath));
+    var existsOnDisk = !sameFileOnDisk && this.mainInk.projectDir && fs.existsSync(path.join(this.mainInk.projectDir, newRelPath));
+    if( (existingFile && existingFile != inkFile) || (!existingFile && existsOnDisk) )
+        return `${i18n._("There's already a file at")} ${newRelPath}`;
+
+    return null;
+}
+
+// Renames or moves a file within the project, including on disk if it's been saved, and
+// updates the INCLUDE lines that refer to it. For the main ink file, its settings
+// file is renamed to match.
+InkProject.prototype.renameInkFile = function(inkFile, newRelPath) {
+
+    var oldRelPath = inkFile.relativePath();
+    if( newRelPath == oldRelPath )
+        return;
+
+    var oldAbsPath = inkFile.absolutePath();
+    if( oldAbsPath && fs.existsSync(oldAbsPath) ) {
+        var projectDir = this.mainInk.projectDir;
+        var newAbsPath = path.join(projectDir, newRelPath);
+
+        // Move it on disk first, so that nothing has changed if it fails
+        try {
+            mkdirp.sync(path.dirname(newAbsPath));
+            fs.renameSync(oldAbsPath, newAbsPath);
+        } catch(e) {
+            alert(`${i18n._("Could not rename")} ${oldRelPath}: ${e.message}`);
+            return;
         }
-    }
 
-    // Try searching towards leaves first
-    var baseSymbol = findWithinSymbolDeep(symbolContext, baseName);
-
-    // Otherwise, work our way up to a broader and broader scope to
-    // find the a symbol that contains the base name we're looking for
-    if( !baseSymbol ) {
-        while(symbolContext) {
-            if( symbolContext.innerSymbols ) {
-                var found = symbolContext.innerSymbols[baseName];
-                if( found ) {
-                    baseSymbol = found;
-                    break;
+        if( inkFile.isMain() ) {
+            var oldSettingsPath = ProjectSettings.settingsPathForInk(oldAbsPath);
+            if( fs.existsSync(oldSettingsPath) ) {
+                try {
+                    fs.renameSync(oldSettingsPath, ProjectSettings.settingsPathForInk(newAbsPath));
+                } catch(e) {
+                    alert(`${i18n._("Could not rename")} ${path.basename(oldSettingsPath)}: ${e.message}`);
                 }
             }
-            symbolContext = symbolContext.parent;
         }
     }
 
-    // Finally, try to search within all files scope
-    if( !baseSymbol ) {
-
-        // Collect all symbols
-        var allSymbols = {};
-        for(var i=0; i<this.files.length; i++) {
-            var file = this.files[i];
-            var fileSymbols = file.symbols.getSymbols();
-            var found = fileSymbols[baseName];
-            if( found ) {
-                baseSymbol = found;
-                break;
-            }
-        }
-    }
-    
-    if( !baseSymbol ) {
-        console.log("Failed to find base symbol: "+baseName);
-        return null;
-    }
+    // The file watcher will see the old file disappear and the new one appear,
+    // which it ignores as long as the relative path is already up to date by then
+    inkFile.relPath = newRelPath;
+    inkFile.compilerVersionDirty = true;
+    LiveCompiler.setFileRemoved(oldRelPath);
 
-    // Resolve the rest of the path
-    var symbol = baseSymbol;
-    for(var i=0; i<tailNameComps.length; i++) {
-        var tailComp = tailNameComps[i];
-        var tailSymbol = findWithinSymbolDeep(symbol, tailComp);
-        if( !tailSymbol ) {
-            console.log("Failed to find complete path due to not finding: "+tailComp);
-            return symbol;
-        }
-        
-        symbol = tailSymbol;
+    this.replaceIncludeLines(oldRelPath, newRelPath);
+
+    // Recent files, window title and project settings all follow the main ink's path
+    if( inkFile.isMain() && inkFile.absolutePath() )
+        ipcRenderer.send("main-file-saved", inkFile.absolutePath());
+
+    this.refreshIncludes();
+    InkProject.events.didRenameInkFile(inkFile);
+}
+
+// Deletes an include file from disk, removing any INCLUDE lines for it
+InkProject.prototype.deleteIncludeFile = function(inkFile) {
+    try {
+        inkFile.deleteFromDisk();
+    } catch(e) {
+        alert(`${i18n._("Could not delete")} ${inkFile.relativePath()}: ${e.message}`);
+        return;
     }
 
-    console.log("Found "+symbol.name);
-    return symbol;
+    this.replaceIncludeLines(inkFile.relativePath(), null);
+    this.deleteInkFile(inkFile);
+    this.refreshIncludes();
+}
+
+// posContext is a position within contextInkFile, which defaults to the active file
+InkProject.prototype.findSymbol = function(name, posContext, contextInkFile) {
+    return InkFileSymbols.findSymbol(this.files, name, posContext, contextInkFile || this.activeInkFile);
 }
 
 
@@ -700,6 +758,34 @@ InkProject.prototype.refreshProjectSettings = function(newProjectSettings) {
             inkFile.setInkMode(this.inkMode);
         }
     }
+
+    var compiler = newProjectSettings.compiler || "auto";
+    if( this.compiler != compiler ) {
+        this.compiler = compiler;
+
+        // Recompile with the newly chosen backend
+        LiveCompiler.setEdited();
+    }
+
+    var playPresets = newProjectSettings.playPresets || {};
+    if( !_.isEqual(this.playPresets, playPresets) ) {
+        this.playPresets = playPresets;
+        InkProject.events.playPresetsChanged();
+    }
+
+    var gameProjectSettings = _.pick(newProjectSettings, ["gameRoot", "assetRegistry", "assetDirs", "sceneLayers"]);
+    if( !_.isEqual(this.gameProjectSettings, gameProjectSettings) ) {
+        this.gameProjectSettings = gameProjectSettings;
+        InkProject.events.gameProjectChanged();
+    }
+
+    var lintRules = newProjectSettings.lint === undefined ? {} : newProjectSettings.lint;
+    if( !_.isEqual(this.lintRules, lintRules) ) {
+        this.lintRules = lintRules;
+
+        // Linting happens after each compile
+        LiveCompiler.setEdited();
+    }
 }
 
 
@@ -737,6 +823,77 @@ ipcRenderer.on("project-new-include", () => {
     }
 });
 
+// fileId is given when coming from the file list's context menu,
+// otherwise it's the file that's currently open
+function inkFileForAction(fileId) {
+    var project = InkProject.currentProject;
+    if( !project )
+        return null;
+    if( fileId === undefined || fileId === null )
+        return project.activeInkFile;
+    return project.inkFileWithId(fileId);
+}
+
+ipcRenderer.on("project-rename-file", (event, fileId) => {
+    var project = InkProject.currentProject;
+    var inkFile = inkFileForAction(fileId);
+    if( !inkFile ) return;
+
+    // Select just the name, so it's quick to type over
+    var relPath = inkFile.relativePath();
+    var nameStart = relPath.length - inkFile.filename().length;
+    var nameEnd = relPath.length - path.extname(relPath).length;
+
+    PromptView.show({
+        title: `${i18n._("Rename")} ${inkFile.filename()}`,
+        value: relPath,
+        selection: [nameStart, nameEnd],
+        confirmTitle: i18n._("Rename"),
+        validate: value => project.problemWithNewRelativePath(inkFile, project.normaliseNewRelativePath(value))
+    }, value => {
+        project.renameInkFile(inkFile, project.normaliseNewRelativePath(value));
+    });
+});
+
+ipcRenderer.on("project-move-file", (event, fileId) => {
+    var project = InkProject.currentProject;
+    var inkFile = inkFileForAction(fileId);
+    if( !inkFile ) return;
+
+    if( inkFile.isMain() ) {
+        alert(i18n._("The main ink file needs to stay in the project's folder."));
+        return;
+    }
+
+    var folder = path.dirname(inkFile.relativePath());
+    var newRelPathInFolder = value => project.normaliseNewRelativePath(path.join(value, inkFile.filename()));
+
+    PromptView.show({
+        title: `${i18n._("Move")} ${inkFile.filename()} ${i18n._("to folder")}`,
+        value: folder == "." ? "" : folder,
+        confirmTitle: i18n._("Move"),
+        validate: value => project.problemWithNewRelativePath(inkFile, newRelPathInFolder(value))
+    }, value => {
+        project.renameInkFile(inkFile, newRelPathInFolder(value));
+    });
+});
+
+ipcRenderer.on("project-delete-file", (event, fileId) => {
+    var project = InkProject.currentProject;
+    var inkFile = inkFileForAction(fileId);
+    if( !inkFile ) return;
+
+    if( inkFile.isMain() ) {
+        alert(i18n._("The main ink file can't be deleted."));
+        return;
+    }
+
+    var message = `${i18n._("Are you sure you want to delete")} ${inkFile.relativePath()}?\n\n`
+        + i18n._("Any INCLUDE lines for it will also be removed.");
+    if( confirm(message) )
+        project.deleteIncludeFile(inkFile);
+});
+
 ipcRenderer.on("project-save", (event) => {
     if( InkProject.currentProject ) {
         InkProject.currentProject.save();
@@ -761,6 +918,12 @@ ipcRenderer.on("project-export-js-only", (event) => {
     }
 });
 
+ipcRenderer.on("project-export-structure", (event) => {
+    if( InkProject.currentProject ) {
+        InkProject.currentProject.exportStructure();
+    }
+});
+
 ipcRenderer.on("project-tryClose", (event) => {
     if( InkProject.currentProject ) {
         InkProject.currentProject.tryClose();
@@ -2,6 +2,7 @@ const ipc = require("electron").ipcRenderer;
 const _ = require("lodash");
 const randomstring = require("randomstring");
 const i18n = require('./i18n.js');
+const StoryLinter = require("./storyLinter.js").StoryLinter;
 
 var namespace = null;
 var sessionIdx = 0;
@@ -16,17 +17,49 @@ var reloadPending = false;
 
 var choiceSequence = [];
 var currentTurnIdx = -1;
+
+// The text of each choice in choiceSequence, for the turn history
+var choiceTexts = [];
+
+// Playthroughs from before each rewind, so that they can be undone: { choiceSequence, choiceTexts, variableEdits }
+var rewindUndoStack = [];
+const maxRewindUndos = 50;
 var replaying = false;
+var hotReloadEnabled = false;
+
+// Where play sessions start if not at the top of the story, and the name
+// of the preset of starting variable values to use: { path, preset }
+var playFrom = null;
 
 var issues = [];
+var lintIssues = [];
 var selectedIssueIdx = -1;
 
+// Linting the whole project on every compile would slow down typing, so it waits
+// until the story has compiled and been left alone for a little while
+const lintDelayMs = 1500;
+var lintTimeout = null;
+
+// Variables edited from the debugger, so that they can be set again at the same
+// point when the playthrough is replayed: { turnIdx, name, valueText }
+var variableEdits = [];
+
+// Source lines to pause the play session at, as [{ filename, lineNumber }], and
+// where it's currently paused, as sent with "play-paused", or null while running
+var breakpoints = [];
+var pausedAt = null;
+
 var locationInSourceCallbackObj = null;
 var expressionEvaluationObj = null;
+var setVariableObj = null;
 
 var project = null;
 var events = {};
 
+// Relative paths of files that have been renamed or deleted since the last
+// compile, that need removing from the compiler's temporary directory
+var removedFiles = [];
+
 var compilerBusy = false;
 
 function setProject(p) {
@@ -36,15 +69,24 @@ function setProject(p) {
     // otherwise when the name changes, the temp folder could go out of sync
     var namespaceCode = randomstring.generate(7);
     namespace = project.mainInk.filename().replace(/\./g, "_") + "_" + namespaceCode;
+    removedFiles = [];
+    playFrom = null;
+    rewindUndoStack = [];
 
     reloadPending = true;
 }
 
 function resetErrors() {
     issues = [];
+    lintIssues = [];
     selectedIssueIdx = -1;
 }
 
+// Compiler issues followed by the linter's
+function getIssues() {
+    return issues.concat(lintIssues);
+}
+
 function buildCompileInstruction() {
 
     sessionIdx += 1;
@@ -53,8 +95,10 @@ function buildCompileInstruction() {
     var compileInstruction = {
         mainName: project.mainInk.filename(),
         updatedFiles: {},
+        removedFiles: removedFiles,
         sessionId: `${namespace}_${sessionIdx}`,
-        namespace: namespace
+        namespace: namespace,
+        compiler: project.compiler
     };
 
     project.files.forEach((inkFile) => {
@@ -66,6 +110,8 @@ function buildCompileInstruction() {
         }
     });
 
+    removedFiles = [];
+
     return compileInstruction;
 }
 
@@ -100,6 +146,22 @@ function reloadInklecateSession() {
     var instr = buildCompileInstruction();
     instr.play = true;
 
+    // Lets the compiler skip straight to the latest compatible snapshot
+    // rather than re-running every choice in the playthrough
+    instr.hotReload = hotReloadEnabled;
+    instr.choiceSequence = choiceSequence.slice();
+    instr.breakpoints = breakpoints.slice();
+
+    if( playFrom ) {
+        instr.startPath = playFrom.path;
+        instr.startVariables = presetVariables(playFrom.preset);
+    }
+
+    if( pausedAt ) {
+        pausedAt = null;
+        events.resumed();
+    }
+
     events.resetting(instr.sessionId);
 
     resetErrors();
@@ -112,6 +174,29 @@ function reloadInklecateSession() {
     updateCompilerIsBusy(true);
 }
 
+// Values from a "playPresets" entry in the project settings, as ink constants.
+// Strings starting with "->" are divert targets and ones in brackets are lists.
+function presetVariables(presetName) {
+    var preset = presetName && project.playPresets ? project.playPresets[presetName] : null;
+    if( !preset ) return null;
+
+    return _.mapValues(preset, value => {
+        if( typeof value != "string" ) return String(value);
+        if( /^\s*(->|\()/.test(value) ) return value.trim();
+        return `"${value}"`;
+    });
+}
+
+// Restarts the playthrough from a knot or stitch path, or the top of the story if path is
+// null, optionally with a preset of starting values. It stays that way across recompiles.
+function setPlayFrom(path, presetName) {
+    playFrom = path || presetName ? { path: path || null, preset: presetName || null } : null;
+
+    // Earlier playthroughs started somewhere else, so they can't be gone back to
+    rewindUndoStack = [];
+    rewindToTurn(0, false, false);
+}
+
 function exportJson(inkJsCompatible, callback) {
     exportCompleteCallback = callback;
 
@@ -157,20 +242,85 @@ function stopInklecateSession(idToStop) {
 
 function choose(choice) {
     ipc.send("play-continue-with-choice-number", choice.number, choice.sourceSessionId);
+    choiceTexts[choiceSequence.length] = choice.choice.text;
     choiceSequence.push(choice.number);
     currentTurnIdx++;
+    events.turnHistoryChanged();
 }
 
-function rewind() {
-    choiceSequence = [];
-    currentTurnIdx = -1;
+// Goes back to the start of the given turn, so that its choice can be made again.
+// Turn 0 is the start of the playthrough. Variable edits made before the turn's
+// choice are kept, unless keepEdits is false.
+function rewindToTurn(turnIdx, undoable=true, keepEdits=true) {
+    turnIdx = Math.max(0, Math.min(turnIdx, choiceSequence.length));
+
+    var losesEdits = !keepEdits && variableEdits.length > 0;
+    if( undoable && (turnIdx < choiceSequence.length || losesEdits) ) {
+        rewindUndoStack.push({
+            choiceSequence: choiceSequence.slice(),
+            choiceTexts: choiceTexts.slice(),
+            variableEdits: variableEdits.slice()
+        });
+        if( rewindUndoStack.length > maxRewindUndos )
+            rewindUndoStack.shift();
+    }
+
+    choiceSequence = choiceSequence.slice(0, turnIdx);
+    choiceTexts = choiceTexts.slice(0, turnIdx);
+
+    variableEdits = keepEdits ? variableEdits.filter(edit => edit.turnIdx <= turnIdx) : [];
+
     reloadInklecateSession();
+    events.turnHistoryChanged();
+}
+
+// Restarting is a fresh playthrough, without even the edits made before the first choice
+function rewind() {
+    rewindToTurn(0, true, false);
 }
 
 function stepBack() {
-    if( choiceSequence.length > 0 )
-        choiceSequence.splice(-1, 1);
+    rewindToTurn(choiceSequence.length-1);
+}
+
+// Returns to the playthrough as it was before the last rewind
+function undoRewind() {
+    var previous = rewindUndoStack.pop();
+    if( !previous ) return false;
+
+    choiceSequence = previous.choiceSequence;
+    choiceTexts = previous.choiceTexts;
+    variableEdits = previous.variableEdits;
     reloadInklecateSession();
+    events.turnHistoryChanged();
+    return true;
+}
+
+// The choice made at each turn of the playthrough so far: [{ turnIdx, text }]
+function getTurnHistory() {
+    return choiceSequence.map((choiceNumber, turnIdx) => ({ turnIdx: turnIdx, text: choiceTexts[turnIdx] || null }));
+}
+
+function setBreakpoints(newBreakpoints) {
+    var hadBreakpoints = breakpoints.length > 0;
+    breakpoints = newBreakpoints;
+
+    if( !currentPlaySessionId ) return;
+
+    // Only inkjs can stop at breakpoints, so the session may need restarting to use it
+    if( !hadBreakpoints && breakpoints.length > 0 && !pausedAt )
+        reloadInklecateSession();
+    else
+        ipc.send("set-breakpoints", breakpoints, currentPlaySessionId);
+}
+
+// mode is "continue", "step" (to the next line) or "step-out" (of the current tunnel or function)
+function resume(mode) {
+    if( !pausedAt ) return;
+
+    pausedAt = null;
+    events.resumed();
+    ipc.send("debugger-resume", mode, currentPlaySessionId);
 }
 
 function getLocationInSource(offset, callback) {
@@ -188,6 +338,52 @@ function evaluateExpression(expressionText, callback) {
     expressionEvaluationObj = { callback: callback,  sessionId: currentPlaySessionId };
 }
 
+function sendSetVariable(name, valueText, sessionId, callback) {
+    ipc.send("set-variable", name, valueText, sessionId);
+    setVariableObj = { callback: callback, sessionId: sessionId };
+}
+
+// valueText is an ink constant such as 500, true, "text", -> knot or (item1, item2).
+// The edit is recorded so that it's made again when the playthrough is replayed.
+function setVariable(name, valueText, callback) {
+    if( !currentPlaySessionId || replaying ) {
+        callback(i18n._("Variables can only be changed while the story is waiting for a choice."));
+        return;
+    }
+
+    var turnIdx = choiceSequence.length;
+    sendSetVariable(name, valueText, currentPlaySessionId, (error) => {
+        if( !error ) {
+            variableEdits.push({ turnIdx: turnIdx, name: name, valueText: valueText });
+            events.variableSet(name, valueText, null);
+        }
+        callback(error);
+    });
+}
+
+// Makes the edits that were recorded for a turn again, one at a time. Any that no
+// longer work after the story has been edited are dropped from the playthrough.
+function replayVariableEdits(turnIdx, sessionId, done) {
+    var edits = variableEdits.filter(edit => edit.turnIdx == turnIdx);
+
+    var replayNextEdit = () => {
+        var edit = edits.shift();
+        if( !edit || sessionId != currentPlaySessionId ) {
+            done();
+            return;
+        }
+
+        sendSetVariable(edit.name, edit.valueText, sessionId, (error) => {
+            if( error )
+                variableEdits = variableEdits.filter(e => e !== edit);
+            events.variableSet(edit.name, edit.valueText, error);
+            replayNextEdit();
+        });
+    };
+
+    replayNextEdit();
+}
+
 // --------------------------------------------------------
 // Live re-compile loop
 // --------------------------------------------------------
@@ -210,12 +406,13 @@ setInterval(() => {
 // --------------------------------------------------------
 
 ipc.on("next-issue", () => {
-    if( issues.length > 0 ) {
+    var allIssues = getIssues();
+    if( allIssues.length > 0 ) {
         selectedIssueIdx++;
-        if( selectedIssueIdx >= issues.length )
+        if( selectedIssueIdx >= allIssues.length )
             selectedIssueIdx = 0;
 
-        events.selectIssue(issues[selectedIssueIdx]);
+        events.selectIssue(allIssues[selectedIssueIdx]);
     }
 });
 
@@ -229,6 +426,19 @@ ipc.on("compile-complete", (event, fromSessionId) => {
     updateCompilerIsBusy(false);
 
     events.compileComplete(fromSessionId);
+
+    // Linter issues are added after the compiler's, once the compile has cleared the old ones
+    if( lintTimeout )
+        clearTimeout(lintTimeout);
+    lintTimeout = setTimeout(() => {
+        lintTimeout = null;
+        if( fromSessionId != currentPlaySessionId ) return;
+
+        lintIssues = StoryLinter.lint(project, project.lintRules);
+        if( lintIssues.length > 0 )
+            events.errorsAdded(lintIssues, fromSessionId);
+        events.lintComplete(fromSessionId);
+    }, lintDelayMs);
 });
 
 
@@ -250,7 +460,7 @@ ipc.on("play-generated-errors", (event, errors, fromSessionId) => {
     updateCompilerIsBusy(false);
 
     issues = errors;
-    events.errorsAdded(errors);
+    events.errorsAdded(errors, fromSessionId);
 });
 
 ipc.on("play-generated-tags", (event, tags, fromSessionId) => {
@@ -269,6 +479,12 @@ ipc.on("play-generated-choice", (event, choice, fromSessionId) => {
 
     choice.sourceSessionId = fromSessionId;
 
+    // Replayed turns don't go through choose(), so pick up the chosen text here
+    if( currentTurnIdx < choiceSequence.length && choiceSequence[currentTurnIdx] == choice.number && choiceTexts[currentTurnIdx] !== choice.choice.text ) {
+        choiceTexts[currentTurnIdx] = choice.choice.text;
+        events.turnHistoryChanged();
+    }
+
     // May have finished compiling
     updateCompilerIsBusy(false);
 
@@ -292,18 +508,43 @@ ipc.on("play-requires-input", (event, fromSessionId) => {
         justCompletedReplay = true;
     }
 
-    events.playerPrompt(replaying, () => {
-        if( replaying ) {
-            var replayChoiceNumber = choiceSequence[currentTurnIdx];
-            currentTurnIdx++;
-            ipc.send("play-continue-with-choice-number", replayChoiceNumber, fromSessionId);
-        } 
-
-        if( justCompletedReplay ) 
-            events.replayComplete(currentPlaySessionId);
+    var turnIdx = replaying || justCompletedReplay ? currentTurnIdx : -1;
+    replayVariableEdits(turnIdx, fromSessionId, () => {
+        events.playerPrompt(replaying, () => {
+            if( replaying ) {
+                var replayChoiceNumber = choiceSequence[currentTurnIdx];
+                currentTurnIdx++;
+                ipc.send("play-continue-with-choice-number", replayChoiceNumber, fromSessionId);
+            } 
+
+            if( justCompletedReplay ) 
+                events.replayComplete(currentPlaySessionId);
+        });
     });
 });
 
+// Where the story is at the end of the turn, as { frames, threads }
+ipc.on("play-callstack", (event, callstack, fromSessionId) => {
+    if( fromSessionId != currentPlaySessionId ) return;
+    events.callstackChanged(callstack);
+});
+
+// Read counts and TURNS_SINCE for every knot and stitch, as { "knot.stitch": { visits, turnsSince } }
+ipc.on("play-visit-counts", (event, visitCounts, fromSessionId) => {
+    if( fromSessionId != currentPlaySessionId ) return;
+    events.visitCountsChanged(visitCounts);
+});
+
+// Stopped at a breakpoint, or after stepping. pauseInfo is
+// { fileName, lineNumber, callstack, variables }
+ipc.on("play-paused", (event, pauseInfo, fromSessionId) => {
+    if( fromSessionId != currentPlaySessionId ) return;
+
+    updateCompilerIsBusy(false);
+    pausedAt = pauseInfo;
+    events.paused(pauseInfo);
+});
+
 ipc.on("inklecate-complete", (event, fromSessionId, exportJsonPath) => {
 
     if( fromSessionId == currentPlaySessionId ) {
@@ -388,6 +629,14 @@ ipc.on("play-evaluated-expression-error", (event, errorMessage, fromSessionId) =
     }
 });
 
+ipc.on("play-set-variable-complete", (event, errorMessage, fromSessionId) => {
+    if( setVariableObj && fromSessionId == setVariableObj.sessionId ) {
+        var callback = setVariableObj.callback;
+        setVariableObj = null;
+        callback(errorMessage);
+    }
+});
+
 ipc.on("return-stats", (event, statsObj, fromSessionId) => {
 
     if( fromSessionId != currentStatsSessionId ) return;
@@ -407,14 +656,28 @@ exports.LiveCompiler = {
     reload: reloadInklecateSession,
     exportJson: exportJson,
     setEdited: () => { lastEditorChange = Date.now(); },
+    setFileRemoved: (relativePath) => { removedFiles.push(relativePath); },
     setEvents: (e) => { events = e; },
-    getIssues: () => { return issues; },
-    getIssuesForFilename: (filename) => _.filter(issues, i => i.filename == filename),
+    setHotReloadEnabled: (enabled) => { hotReloadEnabled = enabled; },
+    setPlayFrom: setPlayFrom,
+    getPlayFrom: () => playFrom,
+    getIssues: getIssues,
+    getIssuesForFilename: (filename) => _.filter(getIssues(), i => i.filename == filename),
     choose: choose,
     rewind: rewind,
     stepBack: stepBack,
+    rewindToTurn: rewindToTurn,
+    undoRewind: undoRewind,
+    canUndoRewind: () => rewindUndoStack.length > 0,
+    getTurnHistory: getTurnHistory,
+    getCurrentTurn: () => currentTurnIdx,
     getLocationInSource: getLocationInSource,
     getRuntimePathInSource: getRuntimePathInSource,
     evaluateExpression: evaluateExpression,
-    getStats: getStats
+    setVariable: setVariable,
+    getStats: getStats,
+    setBreakpoints: setBreakpoints,
+    hasBreakpoints: () => breakpoints.length > 0,
+    resume: resume,
+    getPausedAt: () => pausedAt
 }
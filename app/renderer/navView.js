@@ -3,6 +3,7 @@ const path = require("path");
 const _ = require("lodash");
 const i18n = require("./i18n.js");
 const InkFile = require("./inkFile.js").InkFile;
+const LiveCompiler = require("./liveCompiler.js").LiveCompiler;
 const { range, toInteger } = require('lodash');
 
 const slideAnimDuration = 200;
@@ -21,6 +22,15 @@ var visible = false;
 var hasBeenShown = false;
 var events = {};
 
+// "tree" shows the hierarchy of INCLUDEs, "folders" groups the includes by folder
+var fileListMode = window.localStorage.getItem("fileListMode") || "tree";
+var collapsedRelPaths = new Set();
+var highlightedRelPath = null;
+
+// Kept so that the file list can be rebuilt when the mode or issues change
+var lastMainInk = null;
+var lastAllFiles = [];
+
 $(document).ready(() => {
     //Assign each variable to the allocated class/id.
     $sidebar = $(".sidebar");
@@ -43,6 +53,23 @@ $(document).ready(() => {
         var fileId = parseInt(fileIdStr);
         events.clickFileId(fileId);
     });
+    $fileNavWrapper.on("click", ".disclosure", function(event) {
+        event.preventDefault();
+        event.stopPropagation();
+        var $node = $(event.currentTarget).closest(".file-tree-node");
+        var relPath = $node.attr("data-rel-path");
+        if( collapsedRelPaths.has(relPath) )
+            collapsedRelPaths.delete(relPath);
+        else
+            collapsedRelPaths.add(relPath);
+        $node.toggleClass("collapsed", collapsedRelPaths.has(relPath));
+    });
+    $fileNavWrapper.on("click", ".file-list-mode", function(event) {
+        event.preventDefault();
+        fileListMode = $(event.currentTarget).attr("data-mode");
+        window.localStorage.setItem("fileListMode", fileListMode);
+        refreshFiles();
+    });
     $knotStichNavWrapper.on("click", ".nav-group-item", function(event) {
         // Any clicked navigation item should become highlighted
         event.preventDefault();
@@ -111,7 +138,7 @@ $(document).ready(() => {
 });
 
 function setMainInkFilename(name) {
-    $fileNavWrapper.find(".nav-group.main-ink .nav-group-item .filename").text(name);
+    $fileNavWrapper.find(".main-ink-item .filename").text(name);
 }
 
 function setKnots(mainInk){
@@ -157,7 +184,9 @@ function setKnots(mainInk){
         var extraClass = "knot"
         if (symbol.isfunc) foundFunctions = true; else foundContent = true;
         var icon = symbol.isfunc ? "ink-icon icon-function-scaled" : "ink-icon icon-knot-scaled"
-        var items = `<span class="nav-group-item ${extraClass}" row = "${symbol.row}">
+        // Knots and stitches can be played from, via the context menu
+        var pathAttr = symbol.isfunc ? "" : `data-path="${symbol.name}"`;
+        var items = `<span class="nav-group-item ${extraClass}" row = "${symbol.row}" ${pathAttr}>
         <span class="icon ${icon}"></span>
                 <span class="filename">${symbol.name}</span>
             </span>`;
@@ -169,7 +198,7 @@ function setKnots(mainInk){
                 if (innerSymbol.flowType.name == "Stitch"){
                     var extraClass = "stitch";
                     items += 
-                    `<span class="nav-group-item ${extraClass}" row = "${innerSymbol.row}">
+                    `<span class="nav-group-item ${extraClass}" row = "${innerSymbol.row}" ${pathAttr ? `data-path="${symbol.name}.${innerSymbol.name}"` : ""}>
                     <span class="icon ink-icon icon-stitch-scaled"></span>
                             <span class="filename">${innerSymbol.name}</span>
                         </span>`;
@@ -232,84 +261,198 @@ function updateCurrentKnot(mainInk, cursorPos){
     }
 }
 
+// Same normalisation as InkProject.refreshIncludes
+function normalisePath(relPath) {
+    return path.format(path.parse(relPath));
+}
+
+// Files that are included by the given file, in the order of its INCLUDE lines
+function includedFiles(file, filesByPath) {
+    var included = file.includes.map(inc => filesByPath[normalisePath(inc)]);
+    return _.uniq(included.filter(f => f));
+}
+
+function issueBadgesHtml(file, context) {
+    var fileIssues = context.issues.filter(i => i.filename == file.relativePath());
+    var errorCount = fileIssues.filter(i => i.type == "ERROR" || i.type == "RUNTIME ERROR").length;
+    var warningCount = fileIssues.filter(i => i.type == "WARNING" || i.type == "RUNTIME WARNING").length;
+
+    var html = "";
+    if( errorCount > 0 )
+        html += `<span class="file-badge errors" title="${errorCount} ${context.labels.errors}">${errorCount}</span>`;
+    if( warningCount > 0 )
+        html += `<span class="file-badge warnings" title="${warningCount} ${context.labels.warnings}">${warningCount}</span>`;
+    return html;
+}
+
+// context has the project-wide issues and translated labels, see setFiles
+// options: name, depth, hasChildren, includers, isMain
+function fileItemHtml(file, context, options) {
+    var extraClass = "";
+    if( file.hasUnsavedChanges ) extraClass = "unsaved";
+    if( file.isLoading ) extraClass += " loading";
+    if( file.relativePath() == highlightedRelPath ) extraClass += " active";
+    if( options.isMain ) extraClass += " main-ink-item";
+
+    var badges = issueBadgesHtml(file, context);
+    if( options.includers && options.includers.length > 1 ) {
+        var includerNames = options.includers.map(f => f.relativePath()).join(", ");
+        badges += `<span class="file-badge included-from" title="${_.escape(context.labels.includedFrom + " " + includerNames)}">×${options.includers.length}</span>`;
+    }
+
+    var disclosure = "";
+    if( options.depth !== undefined ) {
+        var disclosureIcon = options.hasChildren ? "icon icon-down-dir" : "";
+        disclosure = `<span class="disclosure ${disclosureIcon}"></span>`;
+    }
+
+    var style = options.depth !== undefined ? `style="padding-left: ${10 + options.depth * 12}px"` : "";
+    var icon = options.isMain ? "icon-book" : "icon-doc-text";
+
+    return `<span class="nav-group-item ${extraClass}" ${style} data-file-id="${file.id}" data-rel-path="${_.escape(file.relativePath())}" title="${_.escape(file.relativePath())}">
+              ${disclosure}
+              <span class="icon ${icon}"></span>
+              <span class="filename">${_.escape(options.name)}</span>
+              <span class="file-badges">${badges}</span>
+            </span>`;
+}
+
+// Each file appears once, under the first file that includes it,
+// in the same order that the compiler will come across it
+function fileTreeHtml(file, depth, context) {
+    context.shown.add(file);
+
+    var childrenHtml = "";
+    includedFiles(file, context.filesByPath).forEach(child => {
+        if( !context.shown.has(child) )
+            childrenHtml += fileTreeHtml(child, depth+1, context);
+    });
+
+    var collapsed = collapsedRelPaths.has(file.relativePath()) ? "collapsed" : "";
+    var itemHtml = fileItemHtml(file, context, {
+        name: file.filename(),
+        depth: depth,
+        hasChildren: childrenHtml.length > 0,
+        includers: context.includers[file.id],
+        isMain: depth == 0
+    });
+
+    return `<div class="file-tree-node ${collapsed}" data-rel-path="${_.escape(file.relativePath())}">
+              ${itemHtml}
+              <div class="file-tree-children">${childrenHtml}</div>
+            </div>`;
+}
+
+function fileListModesHtml(context) {
+    var selected = mode => mode == fileListMode ? "selected" : "";
+    return `<div class="file-list-modes">
+              <span class="file-list-mode icon icon-flow-tree ${selected("tree")}" data-mode="tree" title="${context.labels.tree}"></span>
+              <span class="file-list-mode icon icon-folder ${selected("folders")}" data-mode="folders" title="${context.labels.folders}"></span>
+            </div>`;
+}
+
 function setFiles(mainInk, allFiles) {
+    lastMainInk = mainInk;
+    lastAllFiles = allFiles;
+
+    // Translations are looked up just once here, since the list is rebuilt often
+    var context = {
+        issues: LiveCompiler.getIssues(),
+        labels: {
+            errors: i18n._("errors"),
+            warnings: i18n._("warnings"),
+            includedFrom: i18n._("Included from:"),
+            tree: i18n._("Show include hierarchy"),
+            folders: i18n._("Group by folder"),
+            unused: i18n._("Unused files")
+        }
+    };
+
     var unusedFiles = _.filter(allFiles, f => f.isSpare);
     var normalIncludes = _.filter(allFiles, f => !f.isSpare && f != mainInk);
-    var groupedIncludes = _.groupBy(normalIncludes, f => { 
-        var dirName = path.dirname(f.relativePath());
-        if( dirName == "." )
-            dirName = "";
-        return dirName;
-    });
 
-    var groupsArray = _.map(groupedIncludes, (group, name) => { return {name: name, files: group}; });
-    groupsArray.sort((a,b) => a.name.localeCompare(b.name));
+    var filesByPath = {};
+    allFiles.forEach(f => filesByPath[normalisePath(f.relativePath())] = f);
 
-    if( unusedFiles.length > 0 )
-        groupsArray.push({
-            name: i18n._("Unused files"),
-            files: unusedFiles
+    // Which files include each file, so that we can point out the ones included from several places
+    var includers = {};
+    allFiles.forEach(f => {
+        if( f.isSpare ) return;
+        includedFiles(f, filesByPath).forEach(included => {
+            includers[included.id] = includers[included.id] || [];
+            includers[included.id].push(f);
         });
+    });
 
+    var scrollTop = $fileNavWrapper.scrollTop();
     $fileNavWrapper.empty();
-    
-    var extraClass = "";
-    if( mainInk.hasUnsavedChanges ) extraClass = "unsaved";
-    if( mainInk.isLoading ) extraClass += " loading";
-
-    var $main = `<nav class="nav-group main-ink">
-                    <h5 class="nav-group-title">Main ink file</h5>
-                    <a class="nav-group-item ${extraClass}" data-file-id="${mainInk.id}">
-                        <span class="icon icon-book"></span>
-                        <span class="filename">${mainInk.filename()}</span>
-                    </a>
-                </nav>`;
-    $fileNavWrapper.append($main);
-    var nonMainFileActive = false;
-    groupsArray.forEach(group => {
-        var items = "";
-
-        group.files.forEach((file) => {
-            var name = file.isSpare ? file.relativePath() : file.filename();
-            
-            var extraClass = "";
-            if( file.hasUnsavedChanges ) extraClass = "unsaved";
-            if( file.isLoading ) extraClass += " loading";
-            
-            items = items + `<span class="nav-group-item ${extraClass}" data-file-id="${file.id}">
-            <span class="icon icon-doc-text"></span>
-            <span class="filename">${name}</span>
-            </span>`;
+    $fileNavWrapper.append(fileListModesHtml(context));
+
+    if( fileListMode == "tree" ) {
+        context.shown = new Set();
+        context.filesByPath = filesByPath;
+        context.includers = includers;
+        var treeHtml = fileTreeHtml(mainInk, 0, context);
+        $fileNavWrapper.append(`<nav class="nav-group main-ink file-tree">
+                                  <h5 class="nav-group-title">Main ink file</h5>
+                                  ${treeHtml}
+                                </nav>`);
+
+        // Not yet picked up by InkProject.refreshIncludes, e.g. just added without an INCLUDE line
+        unusedFiles = unusedFiles.concat(normalIncludes.filter(f => !context.shown.has(f)));
+    }
+
+    else {
+        var groupedIncludes = _.groupBy(normalIncludes, f => {
+            var dirName = path.dirname(f.relativePath());
+            if( dirName == "." )
+                dirName = "";
+            return dirName;
         });
 
-        extraClass = "";
-        if( group.files === unusedFiles )
-            extraClass = "unused";
+        var groupsArray = _.map(groupedIncludes, (group, name) => { return {name: name, files: group}; });
+        groupsArray.sort((a,b) => a.name.localeCompare(b.name));
+
+        var mainItem = fileItemHtml(mainInk, context, { name: mainInk.filename(), isMain: true });
+        $fileNavWrapper.append(`<nav class="nav-group main-ink">
+                                  <h5 class="nav-group-title">Main ink file</h5>
+                                  ${mainItem}
+                                </nav>`);
+
+        groupsArray.forEach(group => {
+            var items = group.files.map(file => fileItemHtml(file, context, {
+                name: file.filename(),
+                includers: includers[file.id]
+            })).join("");
+            $fileNavWrapper.append(`<nav class="nav-group"><h5 class="nav-group-title">${_.escape(group.name)}</h5> ${items} </nav>`);
+        });
+    }
 
-        var $group = $(`<nav class="nav-group ${extraClass}"><h5 class="nav-group-title">${group.name}</h5> ${items} </nav>`);
-        $fileNavWrapper.append($group);
-    });
-    
+    // Spare files aren't included from anywhere, so they don't belong in either view
+    if( unusedFiles.length > 0 ) {
+        var unusedItems = unusedFiles.map(file => fileItemHtml(file, context, { name: file.relativePath() })).join("");
+        $fileNavWrapper.append(`<nav class="nav-group unused"><h5 class="nav-group-title">${context.labels.unused}</h5> ${unusedItems} </nav>`);
+    }
+
+    $fileNavWrapper.scrollTop(scrollTop);
+}
+
+// e.g. when the mode changes, or new issues come in from the compiler
+function refreshFiles() {
+    if( lastMainInk )
+        setFiles(lastMainInk, lastAllFiles);
 }
 
 function highlight$NavGroupItem($navGroupItem) {
     $fileNavWrapper.find(".nav-group-item").not($navGroupItem).removeClass("active");
     $navGroupItem.addClass("active");
+    highlightedRelPath = $navGroupItem.attr("data-rel-path") || null;
 }
 
 function highlightRelativePath(relativePath) {
-    var dirName = path.dirname(relativePath);
-    if( dirName == "." )
-        dirName = "";
-
-    var filename = path.basename(relativePath);
-
-    var $group = $fileNavWrapper.find(".nav-group").filter((i, el) => $(el).find(".nav-group-title").text() == dirName);
-    if( dirName == "" ) $group = $group.add(".nav-group.main-ink");
-
-    var $file = $group.find(".nav-group-item .filename").filter((i, el) => $(el).text() == filename);
-    var $navGroupItem = $file.closest(".nav-group-item");
+    var $navGroupItem = $fileNavWrapper.find(".nav-group-item").filter((i, el) => $(el).attr("data-rel-path") == relativePath);
     highlight$NavGroupItem($navGroupItem);
+    highlightedRelPath = relativePath;
 }
 
 function hideSidebar() {
@@ -395,10 +538,11 @@ function setIncludeFormVisible(visible) {
 
 function toggle(id, buttonId){
 
-    var $button = $("#toolbar " + buttonId);
+    // Not every panel has a toolbar button
+    var $button = buttonId ? $("#toolbar " + buttonId) : $();
     var $thisPanel = $(id);
 
-    var columns =  2 - $(".nav-wrapper.hidden").length;
+    var columns = $(".nav-wrapper").length - $(".nav-wrapper.hidden").length;
     if (columns > 0 && !$sidebarSplit.is(':animated'))
         sidebarWidth =  $sidebarSplit.position().left / columns; 
 
@@ -430,6 +574,11 @@ function toggle(id, buttonId){
 }
 
 
+// Like toggle, but leaves the panel open if it's already showing
+function reveal(id, buttonId) {
+    if( $(id).hasClass("hidden") )
+        toggle(id, buttonId);
+}
 
 // Helper function that gets all the external function names from a list of InkFiles
 function getExternals(file) {
@@ -439,6 +588,7 @@ function getExternals(file) {
 exports.NavView = {
     setMainInkFilename: setMainInkFilename,
     setFiles: setFiles,
+    refreshFiles: refreshFiles,
     setKnots: setKnots,
     updateCurrentKnot: updateCurrentKnot,
     highlightRelativePath: highlightRelativePath,
@@ -449,6 +599,7 @@ exports.NavView = {
         toggle("#file-nav-wrapper");
     },
     toggle: toggle,
+    reveal: reveal,
     showAddIncludeForm: () => setIncludeFormVisible(true)
 }
 
@@ -0,0 +1,79 @@
+const $ = window.jQuery = require('./jquery-2.2.3.min.js');
+const _ = require("lodash");
+
+const InkProject = require("./inkProject.js").InkProject;
+const StoryGraph = require("./storyGraph.js").StoryGraph;
+const i18n = require("./i18n.js");
+
+// Toolbar pickers for where the play session starts and which preset of starting
+// variable values it uses
+
+var $pathSelect = null;
+var $presetSelect = null;
+
+// What the pickers currently show: { path, preset }
+var current = { path: null, preset: null };
+
+var events = {
+    playFrom: () => {}
+};
+
+$(document).ready(() => {
+    $pathSelect = $("#toolbar select.play-from-path");
+    $presetSelect = $("#toolbar select.play-from-preset");
+
+    // Knots may have been added or removed since they were last listed
+    $pathSelect.on("mousedown focus", refreshPaths);
+
+    $pathSelect.on("change", () => {
+        events.playFrom($pathSelect.val() || null, current.preset);
+    });
+
+    $presetSelect.on("change", () => {
+        events.playFrom(current.path, $presetSelect.val() || null);
+    });
+});
+
+function optionHtml(value, text, selected) {
+    return `<option value="${_.escape(value)}" ${selected ? "selected" : ""}>${_.escape(text)}</option>`;
+}
+
+function refreshPaths() {
+    var project = InkProject.currentProject;
+    if( !project || !$pathSelect ) return;
+
+    var flowNodes = StoryGraph.build(project).nodes.filter(n => n.type == "knot" || n.type == "stitch");
+    var paths = flowNodes.map(n => n.id);
+
+    // Keep showing a path that's gone, since that's still where play starts from
+    if( current.path && !paths.includes(current.path) )
+        paths.push(current.path);
+
+    var html = optionHtml("", i18n._("Start of story"), !current.path);
+    html += paths.map(path => optionHtml(path, path, path == current.path)).join("");
+    $pathSelect.html(html);
+}
+
+function refreshPresets() {
+    var project = InkProject.currentProject;
+    var presetNames = project ? Object.keys(project.playPresets || {}) : [];
+
+    $presetSelect.toggleClass("hidden", presetNames.length == 0);
+
+    var html = optionHtml("", i18n._("No preset"), !current.preset);
+    html += presetNames.map(name => optionHtml(name, name, name == current.preset)).join("");
+    $presetSelect.html(html);
+}
+
+// Shows where play currently starts from, as { path, preset } or null for the top of the story
+function refresh(playFrom) {
+    if( !$pathSelect ) return;
+    current = playFrom ? { path: playFrom.path, preset: playFrom.preset } : { path: null, preset: null };
+    refreshPaths();
+    refreshPresets();
+}
+
+exports.PlayFromView = {
+    setEvents: e => events = e,
+    refresh: refresh
+}
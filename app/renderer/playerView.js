@@ -109,6 +109,7 @@ function prepareForNewPlaythrough(sessionId) {
 
     $textBuffer.text("");
     $textBuffer.height(0);
+    $textBuffer.data("turnCount", 0);
 }
 
 function addTextSection(text)
@@ -243,11 +244,27 @@ function addLongMessage(message, cssClass)
         fadeIn($message);
 }
 
+// Marks the end of a turn, with a button to rewind to the start of it
 function addHorizontalDivider()
 {
-    if (($textBuffer[0].lastChild == null) || ($textBuffer[0].lastChild.tagName != "HR")) {
-        $textBuffer.append("<hr/>");
-    }
+    // Count every turn, even ones without any content of their own, so that each
+    // divider rewinds to the right turn
+    var turnIdx = $textBuffer.data("turnCount") || 0;
+    $textBuffer.data("turnCount", turnIdx + 1);
+
+    var lastChild = $textBuffer[0].lastChild;
+    if( lastChild && $(lastChild).hasClass("turn-divider") )
+        return;
+
+    var $divider = $(`<div class="turn-divider" data-turn-idx="${turnIdx}">
+                        <hr/>
+                        <a href="#" class="rewind-to-turn" title="${i18n._("Rewind to this turn")}"><span class="icon icon-reply"></span></a>
+                      </div>`);
+    $divider.find(".rewind-to-turn").on("click", (e) => {
+        e.preventDefault();
+        events.rewindToTurn(turnIdx);
+    });
+    $textBuffer.append($divider);
 }
 
 function addLineError(error, callback)
@@ -273,11 +290,20 @@ function addEvaluationResult(result, error)
 
 function previewStepBack()
 {
-    var $lastDivider = $("#player .innerText.active").find("hr").last();
+    var $lastDivider = $("#player .innerText.active").children(".turn-divider").last();
     $lastDivider.nextAll().remove();
     $lastDivider.remove();
 }
 
+// Removes everything from the end of the given turn onwards, until the replay catches up
+function previewRewindToTurn(turnIdx)
+{
+    var $divider = $("#player .innerText.active").children(".turn-divider")
+        .filter((i, el) => parseInt($(el).attr("data-turn-idx")) >= turnIdx).first();
+    $divider.nextAll().remove();
+    $divider.remove();
+}
+
 function setInstructionPrefix(prefix) {
     if( instructionPrefix == prefix ) return;
 
@@ -313,6 +339,7 @@ exports.PlayerView = {
     addEvaluationResult: addEvaluationResult,
     showSessionView: showSessionView,
     previewStepBack: previewStepBack,
+    previewRewindToTurn: previewRewindToTurn,
     setInstructionPrefix: setInstructionPrefix,
     setAnimationEnabled: setAnimationEnabled
 };  
\ No newline at end of file
@@ -0,0 +1,284 @@
+const _ = require("lodash");
+
+const SceneStateEvaluator = require("./sceneStateEvaluator.js").SceneStateEvaluator;
+const StoryGraph = require("./storyGraph.js").StoryGraph;
+
+// Plays through the story many times with random choices, to find out which
+// content is actually reachable. Runs in small batches so the UI stays responsive.
+
+// Guards against stories that loop forever without offering a choice
+const maxContinuesPerRun = 10000;
+const runsPerBatch = 10;
+
+// Small seedable random number generator (mulberry32), so that a set of runs
+// can be repeated exactly by using the same seed
+function seededRandom(seed) {
+    var t = seed >>> 0;
+    return () => {
+        t += 0x6D2B79F5;
+        var r = Math.imul(t ^ t >>> 15, t | 1);
+        r ^= r + Math.imul(r ^ r >>> 7, r | 61);
+        return ((r ^ r >>> 14) >>> 0) / 4294967296;
+    };
+}
+
+// Choices can be given a relative weight with a tag, e.g. "* [Fight] # weight: 3"
+function choiceWeight(choice) {
+    var tags = choice.tags || [];
+    for(var i=0; i<tags.length; i++) {
+        var match = tags[i].match(/^\s*weight\s*:\s*(\d+(?:\.\d+)?)\s*$/i);
+        if( match ) return parseFloat(match[1]);
+    }
+    return 1;
+}
+
+function pickChoiceIndex(choices, random, weighted) {
+    if( !weighted )
+        return Math.floor(random() * choices.length);
+
+    var weights = choices.map(choiceWeight);
+    var total = _.sum(weights);
+    if( total <= 0 )
+        return Math.floor(random() * choices.length);
+
+    var target = random() * total;
+    for(var i=0; i<weights.length; i++) {
+        target -= weights[i];
+        if( target < 0 ) return i;
+    }
+    return weights.length - 1;
+}
+
+function wordCount(text) {
+    return text.split(/\s+/).filter(w => w.length > 0).length;
+}
+
+// Every source line that has some runtime content, by the file name in the debug metadata
+function contentLines(story) {
+    var Container = story.mainContentContainer.constructor;
+    var lines = {};
+
+    var walk = container => {
+        container.content.forEach(obj => {
+            if( obj instanceof Container ) {
+                walk(obj);
+                return;
+            }
+            var dm = obj.debugMetadata;
+            if( dm ) {
+                lines[dm.fileName] = lines[dm.fileName] || new Set();
+                lines[dm.fileName].add(dm.startLineNumber - 1);
+            }
+        });
+
+        var namedOnly = container.namedOnlyContent;
+        if( namedOnly )
+            namedOnly.forEach(obj => { if( obj instanceof Container ) walk(obj); });
+    };
+
+    walk(story.mainContentContainer);
+    return lines;
+}
+
+// Records each source line that the story steps through
+function trackReachedLines(story, reachedLines, position) {
+    var Container = story.mainContentContainer.constructor;
+    var step = story.Step;
+    story.Step = function() {
+        var obj = this.state.currentPointer.Resolve();
+        var dm = obj && !(obj instanceof Container) ? obj.debugMetadata : null;
+        if( dm ) {
+            reachedLines[dm.fileName] = reachedLines[dm.fileName] || new Set();
+            reachedLines[dm.fileName].add(dm.startLineNumber - 1);
+            position.fileName = dm.fileName;
+            position.row = dm.startLineNumber - 1;
+        }
+        return step.call(this);
+    };
+}
+
+// Externals without an ink fallback would stop every run that reaches them, so
+// they're stubbed out to return 0
+function bindMissingExternals(project, story) {
+    project.files.forEach(inkFile => {
+        inkFile.symbols.getSymbols();
+        inkFile.symbols.getCachedExternals().forEach(name => {
+            if( !story.KnotContainerWithName(name) )
+                story.BindExternalFunctionGeneral(name, () => 0, true);
+        });
+    });
+}
+
+function inkFileForDebugName(project, fileName) {
+    return project.inkFileWithRelativePath(fileName) || project.files.find(f => f.filename() == fileName) || null;
+}
+
+function endingKind(inkFile, row) {
+    if( !inkFile ) return "end-of-content";
+    var line = inkFile.aceDocument.getLine(row);
+    if( /->\s*END\b/.test(line) ) return "end";
+    if( /->\s*DONE\b/.test(line) ) return "done";
+    return "end-of-content";
+}
+
+function playOnce(story, random, options, position) {
+    var run = { turns: 0, words: 0, error: null, stopped: false };
+    var continues = 0;
+
+    story.ResetState();
+    position.fileName = null;
+
+    while( true ) {
+        while( story.canContinue ) {
+            if( ++continues > maxContinuesPerRun ) {
+                run.stopped = true;
+                return run;
+            }
+
+            run.words += wordCount(story.Continue());
+
+            if( story.state.hasError ) {
+                run.error = story.state.currentErrors[0];
+                return run;
+            }
+        }
+
+        var choices = story.currentChoices;
+        if( choices.length == 0 )
+            return run;
+
+        if( run.turns >= options.maxTurns ) {
+            run.stopped = true;
+            return run;
+        }
+
+        story.ChooseChoiceIndex(pickChoiceIndex(choices, random, options.mode == "weighted"));
+        run.turns++;
+    }
+}
+
+function stats(values) {
+    if( values.length == 0 )
+        return { min: 0, max: 0, average: 0 };
+    return { min: _.min(values), max: _.max(values), average: _.mean(values) };
+}
+
+// options:
+//   runs     - number of playthroughs
+//   seed     - integer seed for the random choices
+//   mode     - "random" for an even chance of each choice, or "weighted" to use weight tags
+//   maxTurns - give up on a run after this many choices, in case it loops forever
+// progress(runsDone) is called after each batch, and done(err, report) at the end.
+// Returns a function that cancels the simulation.
+function simulate(project, options, progress, done) {
+    var compiled = SceneStateEvaluator.compileStory(project, true);
+    if( compiled.error ) {
+        done(compiled.error);
+        return () => {};
+    }
+
+    var story = compiled.story;
+    story.allowExternalFunctionFallbacks = true;
+    story.onError = () => {};
+    bindMissingExternals(project, story);
+
+    var random = seededRandom(options.seed);
+    var reachedLines = {};
+    var position = {};
+    trackReachedLines(story, reachedLines, position);
+
+    var flowNodes = StoryGraph.build(project).nodes.filter(n => n.type == "knot" || n.type == "stitch");
+    var visits = flowNodes.map(node => ({ node: node, visits: 0, runs: 0 }));
+
+    var turns = [];
+    var words = [];
+    var endings = {};
+    var errors = {};
+
+    var cancelled = false;
+    var runsDone = 0;
+
+    var recordRun = (run) => {
+        turns.push(run.turns);
+        words.push(run.words);
+
+        visits.forEach(v => {
+            var count = story.state.VisitCountAtPathString(v.node.id) || 0;
+            v.visits += count;
+            if( count > 0 ) v.runs++;
+        });
+
+        var inkFile = position.fileName ? inkFileForDebugName(project, position.fileName) : null;
+        var kind = run.error ? "error" : run.stopped ? "stopped" : endingKind(inkFile, position.row);
+        var key = `${kind}|${position.fileName}|${position.row}`;
+        endings[key] = endings[key] || { kind: kind, inkFile: inkFile, row: position.row, count: 0 };
+        endings[key].count++;
+
+        if( run.error )
+            errors[run.error] = (errors[run.error] || 0) + 1;
+    };
+
+    var finish = () => {
+        var allContentLines = contentLines(story);
+        var unreachedLines = [];
+        _.forEach(allContentLines, (rows, fileName) => {
+            var inkFile = inkFileForDebugName(project, fileName);
+            if( !inkFile ) return;
+
+            var reached = reachedLines[fileName] || new Set();
+            var fileRows = Array.from(rows).filter(row => !reached.has(row))
+                // Knot and stitch headers are never stepped through, even when their content is
+                .filter(row => !/^\s*=/.test(inkFile.aceDocument.getLine(row)))
+                .sort((a, b) => a - b);
+
+            if( fileRows.length > 0 )
+                unreachedLines.push({ inkFile: inkFile, rows: fileRows });
+        });
+
+        done(null, {
+            runs: runsDone,
+            seed: options.seed,
+            turns: stats(turns),
+            words: stats(words),
+            endings: _.sortBy(_.values(endings), e => -e.count),
+            errors: _.map(errors, (count, message) => ({ message: message, count: count })),
+            visits: visits,
+            unreachedLines: unreachedLines
+        });
+    };
+
+    var runBatch = () => {
+        if( cancelled ) return;
+
+        try {
+            for(var i=0; i<runsPerBatch && runsDone < options.runs; i++) {
+                var run;
+                try {
+                    run = playOnce(story, random, options, position);
+                } catch(e) {
+                    run = { turns: 0, words: 0, error: e && e.message ? e.message : String(e) };
+                }
+                recordRun(run);
+                runsDone++;
+            }
+        } catch(e) {
+            done(e && e.message ? e.message : String(e));
+            return;
+        }
+
+        progress(runsDone);
+
+        if( runsDone < options.runs )
+            setTimeout(runBatch, 0);
+        else
+            finish();
+    };
+
+    setTimeout(runBatch, 0);
+
+    return () => { cancelled = true; };
+}
+
+exports.PlaythroughSimulator = {
+    simulate: simulate
+};
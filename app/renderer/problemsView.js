@@ -0,0 +1,194 @@
+const $ = window.jQuery = require('./jquery-2.2.3.min.js');
+const _ = require("lodash");
+
+const InkProject = require("./inkProject.js").InkProject;
+const i18n = require("./i18n.js");
+
+// How long to wait after a compile completes for its issues to arrive before
+// deciding that it didn't have any. Until then the previous list stays up,
+// so that it doesn't flicker between recompiles.
+const clearDelay = 500;
+
+const severityForType = {
+    "ERROR": "error",
+    "RUNTIME ERROR": "error",
+    "WARNING": "warning",
+    "RUNTIME WARNING": "warning",
+    "TODO": "todo"
+};
+
+var $panel = null;
+var $filter = null;
+var $results = null;
+
+var issues = [];
+var issuesSessionId = null;
+var clearTimeoutId = null;
+
+// Issues currently shown, so that clicks can be looked up by index
+var shownIssues = [];
+
+var severitiesShown = {
+    error: true,
+    warning: true,
+    todo: true
+};
+
+var events = {
+    gotoIssue: () => {},
+    close: () => {}
+};
+
+$(document).ready(() => {
+    $panel = $("#problems-wrapper");
+    $filter = $panel.find("input.problems-filter");
+    $results = $panel.find(".problems-results");
+
+    $filter.on("input", render);
+
+    $panel.on("click", ".problems-severity", function(event) {
+        event.preventDefault();
+        var $severity = $(event.currentTarget);
+        var severity = $severity.attr("data-severity");
+        severitiesShown[severity] = !severitiesShown[severity];
+        $severity.toggleClass("selected", severitiesShown[severity]);
+        render();
+    });
+
+    $panel.on("click", ".close-problems", function(event) {
+        event.preventDefault();
+        events.close();
+    });
+
+    $results.on("click", ".problem", function(event) {
+        event.preventDefault();
+        var $problem = $(event.currentTarget);
+        $results.find(".problem.active").removeClass("active");
+        $problem.addClass("active");
+
+        events.gotoIssue(shownIssues[parseInt($problem.attr("data-problem-idx"))]);
+    });
+});
+
+// Compile issues for a session come in one batch, and runtime issues are
+// added later as the story is played
+function addIssues(newIssues, sessionId) {
+    if( sessionId != issuesSessionId ) {
+        issues = [];
+        issuesSessionId = sessionId;
+    }
+
+    issues = issues.concat(newIssues);
+    render();
+}
+
+function compileComplete(sessionId) {
+    if( clearTimeoutId )
+        clearTimeout(clearTimeoutId);
+
+    clearTimeoutId = setTimeout(() => {
+        clearTimeoutId = null;
+        if( issuesSessionId != sessionId ) {
+            issues = [];
+            issuesSessionId = sessionId;
+            render();
+        }
+    }, clearDelay);
+}
+
+function knotNameForIssue(inkFile, issue) {
+    if( !inkFile || !issue.lineNumber )
+        return "";
+    var flow = inkFile.symbols.flowAtPos({row: issue.lineNumber-1, column: 0});
+    return flow && flow.Knot ? flow.Knot.name : "";
+}
+
+function matchesFilter(issue, filterText) {
+    if( !severitiesShown[severityForType[issue.type]] )
+        return false;
+    if( !filterText )
+        return true;
+    var text = (issue.message + " " + issue.filename).toLowerCase();
+    return text.includes(filterText);
+}
+
+function render() {
+    if( !$panel ) return;
+
+    var counts = _.countBy(issues, i => severityForType[i.type]);
+    ["error", "warning", "todo"].forEach(severity => {
+        $panel.find(`.problems-severity[data-severity='${severity}'] .count`).text(counts[severity] || 0);
+    });
+
+    var filterText = $filter.val().trim().toLowerCase();
+    var project = InkProject.currentProject;
+    var mainInkPath = project ? project.mainInk.relativePath() : null;
+
+    shownIssues = _.sortBy(issues.filter(i => matchesFilter(i, filterText)),
+        [i => i.filename == mainInkPath ? 0 : 1, "filename", "lineNumber"]);
+
+    var scrollTop = $results.scrollTop();
+    $results.empty();
+
+    if( shownIssues.length == 0 ) {
+        var message = issues.length == 0 ? i18n._("No issues.") : i18n._("No issues match the filter.");
+        $results.append(`<p class="problems-empty">${message}</p>`);
+        return;
+    }
+
+    var lineLabel = i18n._("line");
+    var unknownFileLabel = i18n._("Unknown file");
+
+    var issueIdx = 0;
+    var byFile = _.groupBy(shownIssues, "filename");
+    _.uniq(shownIssues.map(i => i.filename)).forEach(filename => {
+        var fileIssues = byFile[filename];
+        var inkFile = project && filename ? project.inkFileWithRelativePath(filename) : null;
+
+        var $group = $(`<nav class="nav-group">
+                          <h5 class="nav-group-title">
+                            <span class="filename">${_.escape(filename || unknownFileLabel)}</span>
+                            <span class="problems-count">${fileIssues.length}</span>
+                          </h5>
+                        </nav>`);
+
+        var lastKnotName = null;
+        fileIssues.forEach(issue => {
+            var knotName = knotNameForIssue(inkFile, issue);
+            if( knotName !== lastKnotName ) {
+                if( knotName )
+                    $group.append(`<span class="problems-knot"><span class="icon ink-icon icon-knot-scaled"></span>${_.escape(knotName)}</span>`);
+                lastKnotName = knotName;
+            }
+
+            var severity = severityForType[issue.type];
+            var location = issue.lineNumber ? `${lineLabel} ${issue.lineNumber}` : "";
+            var runtime = issue.type.startsWith("RUNTIME") ? `<span class="problem-runtime">RUNTIME</span>` : "";
+
+            $group.append(`<span class="nav-group-item problem ${severity}" data-problem-idx="${issueIdx}">
+                             <img class="issue-icon ${severity}" src="img/${severity}-icon.png"/>
+                             <span class="problem-message">${_.escape(issue.message)}</span>
+                             <span class="problem-meta">${runtime} ${location}</span>
+                           </span>`);
+            issueIdx++;
+        });
+
+        $results.append($group);
+    });
+
+    $results.scrollTop(scrollTop);
+}
+
+function focus() {
+    render();
+    $filter.focus();
+    $filter.select();
+}
+
+exports.ProblemsView = {
+    setEvents: e => events = e,
+    addIssues: addIssues,
+    compileComplete: compileComplete,
+    focus: focus,
+    refresh: render
+}
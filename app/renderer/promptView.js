@@ -0,0 +1,119 @@
+const $ = window.jQuery = require('./jquery-2.2.3.min.js');
+
+const EditorView = require("./editorView.js").EditorView;
+
+// Single line text entry dialog, since window.prompt isn't supported in Electron
+
+var $container = null;
+var $dialog = null;
+var $input = null;
+var $error = null;
+var $preview = null;
+var $confirm = null;
+
+var current = null;
+
+$(document).ready(() => {
+    $container = $("#prompt-container");
+    $dialog = $("#prompt");
+    $input = $dialog.find("input.prompt-value");
+    $error = $dialog.find(".prompt-error");
+    $preview = $dialog.find(".prompt-preview");
+    $confirm = $dialog.find(".confirm");
+
+    $input.on("input", refresh);
+
+    $input.on("keydown", (e) => {
+        // return
+        if( e.keyCode == 13 ) {
+            e.preventDefault();
+            accept();
+        }
+        // escape
+        else if( e.keyCode == 27 ) {
+            e.preventDefault();
+            hide();
+        }
+    });
+
+    $confirm.on("click", (e) => { e.preventDefault(); accept(); });
+    $dialog.find(".cancel").on("click", (e) => { e.preventDefault(); hide(); });
+
+    // Click outside the dialog to cancel
+    $container.on("click", (e) => {
+        if( e.target == $container.get(0) )
+            hide();
+    });
+});
+
+// options:
+//   title        - heading for the dialog
+//   value        - initial text
+//   selection    - optional [start, end] of the initial text to select, otherwise all of it
+//   confirmTitle - label for the confirm button
+//   validate     - optional, returns a reason why a value can't be used, or null if it's fine
+//   preview      - optional, returns the HTML of list items showing what the value would do
+// confirmed(value) is only called with a valid value that's different from the original.
+function show(options, confirmed) {
+    current = { options: options, confirmed: confirmed };
+
+    EditorView.saveCursorPos();
+
+    $dialog.find(".title").text(options.title);
+    $confirm.text(options.confirmTitle);
+    $input.val(options.value || "");
+    $container.removeClass("hidden");
+    $input.focus();
+
+    var selection = options.selection || [0, $input.val().length];
+    $input.get(0).setSelectionRange(selection[0], selection[1]);
+
+    refresh();
+}
+
+function hide() {
+    $container.addClass("hidden");
+    $preview.empty();
+    current = null;
+
+    EditorView.focus();
+    EditorView.restoreCursorPos();
+}
+
+function problemWithValue(value) {
+    if( !current.options.validate )
+        return null;
+    return current.options.validate(value);
+}
+
+function refresh() {
+    if( !current ) return;
+
+    var value = $input.val().trim();
+    var unchanged = value == (current.options.value || "");
+    var problem = unchanged ? null : problemWithValue(value);
+    $error.text(problem || "");
+    $confirm.prop("disabled", unchanged || !!problem);
+
+    $preview.html(current.options.preview ? current.options.preview(value) : "");
+}
+
+function accept() {
+    if( !current ) return;
+
+    var value = $input.val().trim();
+    if( value == (current.options.value || "") ) {
+        hide();
+        return;
+    }
+    if( problemWithValue(value) )
+        return;
+
+    var confirmed = current.confirmed;
+    hide();
+    confirmed(value);
+}
+
+exports.PromptView = {
+    show: show
+}
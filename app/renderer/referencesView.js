@@ -0,0 +1,101 @@
+const $ = window.jQuery = require('./jquery-2.2.3.min.js');
+const _ = require("lodash");
+
+const InkProject = require("./inkProject.js").InkProject;
+const SymbolReferences = require("./symbolReferences.js").SymbolReferences;
+const i18n = require("./i18n.js");
+
+var $panel = null;
+var $title = null;
+var $results = null;
+
+var references = [];
+
+var events = {
+    gotoReference: () => {},
+    close: () => {}
+};
+
+$(document).ready(() => {
+    $panel = $("#references-wrapper");
+    $title = $panel.find(".references-title");
+    $results = $panel.find(".references-results");
+
+    $panel.on("click", ".close-references", function(event) {
+        event.preventDefault();
+        events.close();
+    });
+
+    $results.on("click", ".reference", function(event) {
+        event.preventDefault();
+        var $reference = $(event.currentTarget);
+        $results.find(".reference.active").removeClass("active");
+        $reference.addClass("active");
+
+        var reference = references[parseInt($reference.attr("data-reference-idx"))];
+        events.gotoReference(reference.inkFile, reference.row, reference.column);
+    });
+});
+
+// Human readable version of the kinds from InkFileSymbols.getReferences
+function describeKind(reference, target) {
+    switch(reference.kind) {
+        case "declaration": return i18n._("declaration");
+        case "external":    return "EXTERNAL";
+        case "divert":      return i18n._("divert");
+        case "tunnel":      return i18n._("tunnel");
+        case "thread":      return i18n._("thread");
+        case "call":        return i18n._("function call");
+        case "assignment":  return i18n._("assignment");
+        case "read":        return target.type == "flow" ? i18n._("read count") : i18n._("read");
+    }
+    return reference.kind;
+}
+
+function previewHtml(reference) {
+    var line = reference.inkFile.aceDocument.getLine(reference.row);
+    var before = line.substring(0, reference.column).replace(/^\s+/, "");
+    var name = line.substring(reference.column, reference.column + reference.length);
+    var after = line.substring(reference.column + reference.length);
+    return `${_.escape(before)}<span class="reference-name">${_.escape(name)}</span>${_.escape(after)}`;
+}
+
+function show(target) {
+    references = SymbolReferences.findReferences(InkProject.currentProject, target);
+
+    var title = `${references.length} ${i18n._("references to")} ${target.name}`;
+    $title.text(title);
+    $results.empty();
+
+    var kindNames = {};
+    var referenceIdx = 0;
+    var byFile = _.groupBy(references, r => r.inkFile.id);
+    _.uniq(references.map(r => r.inkFile.id)).forEach(fileId => {
+        var fileReferences = byFile[fileId];
+        var inkFile = fileReferences[0].inkFile;
+
+        var $group = $(`<nav class="nav-group">
+                          <h5 class="nav-group-title"><span class="filename">${_.escape(inkFile.relativePath())}</span></h5>
+                        </nav>`);
+
+        fileReferences.forEach(reference => {
+            var kindName = kindNames[reference.kind] = kindNames[reference.kind] || describeKind(reference, target);
+            var flowPath = SymbolReferences.flowPathAtRow(inkFile, reference.row);
+            var location = `${i18n._("line")} ${reference.row+1}`;
+            if( flowPath ) location += ` · ${flowPath}`;
+
+            $group.append(`<span class="nav-group-item reference" data-reference-idx="${referenceIdx}">
+                             <p class="reference-preview">${previewHtml(reference)}</p>
+                             <p class="reference-meta"><span class="reference-kind">${_.escape(kindName)}</span> ${_.escape(location)}</p>
+                           </span>`);
+            referenceIdx++;
+        });
+
+        $results.append($group);
+    });
+}
+
+exports.ReferencesView = {
+    setEvents: e => events = e,
+    show: show
+}
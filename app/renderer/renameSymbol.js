@@ -0,0 +1,151 @@
+const _ = require("lodash");
+const Range = ace.require("ace/range").Range;
+
+const InkProject = require("./inkProject.js").InkProject;
+const PromptView = require("./promptView.js").PromptView;
+const SymbolReferences = require("./symbolReferences.js").SymbolReferences;
+const i18n = require("./i18n.js");
+
+const reservedWords = [
+    "VAR", "CONST", "LIST", "INCLUDE", "EXTERNAL", "DONE", "END", "TODO",
+    "temp", "return", "function", "ref", "true", "false",
+    "not", "and", "or", "mod", "has", "hasnt", "else"
+];
+
+var currentTarget = null;
+var currentReferences = [];
+
+function describeTarget(target) {
+    if( target.type == "flow" ) {
+        var symbol = target.symbol;
+        if( symbol.isfunc ) return i18n._("function");
+        if( symbol.flowType.name == "Knot" ) return i18n._("knot");
+        if( symbol.flowType.name == "Stitch" ) return i18n._("stitch");
+        return i18n._("label");
+    }
+
+    var varType = target.declaration.varType;
+    if( varType == "LIST item" ) return i18n._("list item");
+    if( varType == "LIST" ) return i18n._("list");
+    if( varType == "CONST" ) return i18n._("constant");
+    return i18n._("variable");
+}
+
+function show(target) {
+    currentTarget = target;
+    currentReferences = SymbolReferences.findReferences(InkProject.currentProject, target);
+
+    PromptView.show({
+        title: `${i18n._("Rename")} ${describeTarget(target)} "${target.name}"`,
+        value: target.name,
+        confirmTitle: i18n._("Rename"),
+        validate: problemWithName,
+        preview: previewHtml
+    }, applyRename);
+}
+
+// Returns a reason why the new name can't be used, or null if it's fine
+function problemWithName(newName) {
+    if( !/^[A-Za-z_]\w*$/.test(newName) )
+        return i18n._("Names can only contain letters, numbers and underscores, and can't start with a number.");
+
+    if( reservedWords.includes(newName) )
+        return `"${newName}" ${i18n._("is a reserved word in ink.")}`;
+
+    var project = InkProject.currentProject;
+    var declarations = SymbolReferences.variableDeclarations(project);
+    var topLevelFlowNames = new Set();
+    project.files.forEach(f => Object.keys(f.symbols.getSymbols()).forEach(name => topLevelFlowNames.add(name)));
+
+    var alreadyUsed = `${i18n._("There's already something called")} "${newName}".`;
+
+    if( currentTarget.type == "flow" ) {
+        var symbol = currentTarget.symbol;
+
+        // Knots and functions share a namespace with global variables
+        if( symbol.flowType.name == "Knot" ) {
+            if( topLevelFlowNames.has(newName) || declarations[newName] )
+                return alreadyUsed;
+        }
+
+        // Stitches and labels only need to be unique within their parent
+        else if( symbol.parent && symbol.parent.innerSymbols && symbol.parent.innerSymbols[newName] ) {
+            return alreadyUsed;
+        }
+    }
+
+    else {
+        var declaration = currentTarget.declaration;
+        if( declaration.varType == "LIST item" ) {
+            if( declarations[declaration.listName + "." + newName] )
+                return alreadyUsed;
+            if( declarations[newName] && declarations[newName].varType != "LIST item" )
+                return alreadyUsed;
+        }
+        else if( declarations[newName] || topLevelFlowNames.has(newName) ) {
+            return alreadyUsed;
+        }
+    }
+
+    return null;
+}
+
+// The affected lines, before and after, grouped by file
+function previewLines(newName) {
+    var lines = [];
+    var byLine = _.groupBy(currentReferences, r => r.inkFile.id + ":" + r.row);
+    _.each(byLine, lineRefs => {
+        var inkFile = lineRefs[0].inkFile;
+        var row = lineRefs[0].row;
+        var before = inkFile.aceDocument.getLine(row);
+
+        var after = before;
+        _.sortBy(lineRefs, "column").reverse().forEach(ref => {
+            after = after.substring(0, ref.column) + newName + after.substring(ref.column + ref.length);
+        });
+
+        lines.push({ inkFile: inkFile, row: row, before: before.trim(), after: after.trim() });
+    });
+    return lines;
+}
+
+function previewHtml(newName) {
+    var html = "";
+    var lastFile = null;
+    previewLines(newName).forEach(line => {
+        if( line.inkFile != lastFile ) {
+            html += `<li class="file">${_.escape(line.inkFile.relativePath())}</li>`;
+            lastFile = line.inkFile;
+        }
+        html += `<li class="line">
+                   <p class="before"><span class="line-no">${line.row+1}</span>${_.escape(line.before)}</p>
+                   <p class="after"><span class="line-no"></span>${_.escape(line.after)}</p>
+                 </li>`;
+    });
+    return html;
+}
+
+// All edits for a file are a single step in that file's undo history
+function applyRename(newName) {
+    var byFile = _.groupBy(currentReferences, r => r.inkFile.id);
+    _.each(byFile, fileRefs => {
+        var inkFile = fileRefs[0].inkFile;
+        var session = inkFile.getAceSession();
+        session.markUndoGroup();
+
+        // Work backwards so that earlier positions on the same line stay valid
+        _.sortBy(fileRefs, ["row", "column"]).reverse().forEach(ref => {
+            var range = new Range(ref.row, ref.column, ref.row, ref.column + ref.length);
+            inkFile.aceDocument.replace(range, newName);
+        });
+
+        session.markUndoGroup();
+    });
+
+    currentTarget = null;
+    currentReferences = [];
+}
+
+exports.RenameSymbol = {
+    show: show
+}
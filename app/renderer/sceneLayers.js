@@ -0,0 +1,130 @@
+/**
+ * The stack of image layers the scene preview draws, and which ink variable
+ * picks the asset for each one. Comes from "sceneLayers" in the project
+ * settings, or the defaults below (which match asset_manager.gd's
+ * handle_variable_change keys) if there isn't one.
+ *
+ * Each layer is:
+ *   {
+ *     variable: "pc",            // ink variable holding the asset ID (required)
+ *     name:     "pc",            // data-layer name of the <img>, defaults to the variable
+ *     z:        30,              // stacking order, higher is in front; defaults to the list order
+ *     anchor:   "bottom-left",   // "fill" (the default), "center", "top", "bottom", "left", "right",
+ *                                // "top-left", "top-right", "bottom-left" or "bottom-right"
+ *     offset:   [0, 0],          // [x, y] from the anchor, in game pixels (see SCENE_SIZE)
+ *     size:     [260, 260],      // [width, height] in game pixels, defaults to the whole scene
+ *     visible:  true             // false to leave the layer out of the preview
+ *   }
+ */
+
+// The game's design resolution, which offsets and sizes are in
+var SCENE_SIZE = [2560, 1440];
+
+var DEFAULT_LAYERS = [
+    { variable: "bg", name: "background" },
+    { variable: "vignette_shadow" },
+    { variable: "locationbox" },
+    { variable: "pc" },
+    { variable: "npc" },
+    { variable: "dialogbox" },
+    { variable: "emotebox" },
+    { variable: "emote" },
+    { variable: "vignette_js" },
+    { variable: "ui_button_character", anchor: "bottom-left", size: [260, 260] },
+    { variable: "ui_button_book", anchor: "bottom-right", size: [260, 260] },
+    // The in-game menu covers the whole scene, so it's left out of the preview
+    { variable: "ui_menu", visible: false }
+];
+
+// Where each anchor sits, as fractions of the free space across and down
+var ANCHORS = {
+    "fill":         [0.5, 0.5],
+    "top-left":     [0, 0],
+    "top":          [0.5, 0],
+    "top-right":    [1, 0],
+    "left":         [0, 0.5],
+    "center":       [0.5, 0.5],
+    "right":        [1, 0.5],
+    "bottom-left":  [0, 1],
+    "bottom":       [0.5, 1],
+    "bottom-right": [1, 1]
+};
+
+function isPair(value) {
+    return Array.isArray(value) && value.length === 2 &&
+        typeof value[0] === "number" && typeof value[1] === "number";
+}
+
+/**
+ * Fill in the defaults for one layer entry.
+ * Returns null (and warns) if the entry can't be used.
+ */
+function normaliseLayer(entry, index) {
+    if (!entry || typeof entry.variable !== "string" || entry.variable === "") {
+        console.warn("SceneLayers: Skipping layer " + index + ", it needs a \"variable\"");
+        return null;
+    }
+
+    var anchor = entry.anchor || "fill";
+    if (!ANCHORS[anchor]) {
+        console.warn("SceneLayers: Unknown anchor \"" + anchor + "\" for layer " + entry.variable + ", using \"fill\"");
+        anchor = "fill";
+    }
+
+    return {
+        variable: entry.variable,
+        name: entry.name || entry.variable,
+        z: typeof entry.z === "number" ? entry.z : index,
+        anchor: anchor,
+        offset: isPair(entry.offset) ? entry.offset : [0, 0],
+        size: isPair(entry.size) ? entry.size : SCENE_SIZE.slice(),
+        visible: entry.visible !== false
+    };
+}
+
+/**
+ * The layer stack for the given project settings, back to front.
+ * @param {Object} settings - the project's .settings.json contents (may be null)
+ * @returns {Object[]} normalised layers, sorted by z
+ */
+function fromSettings(settings) {
+    var entries = settings && Array.isArray(settings.sceneLayers) ? settings.sceneLayers : DEFAULT_LAYERS;
+
+    var layers = [];
+    for (var i = 0; i < entries.length; i++) {
+        var layer = normaliseLayer(entries[i], i);
+        if (layer) layers.push(layer);
+    }
+
+    // Stable, so layers with the same z keep their list order
+    return layers
+        .map(function (layer, i) { return { layer: layer, i: i }; })
+        .sort(function (a, b) { return (a.layer.z - b.layer.z) || (a.i - b.i); })
+        .map(function (item) { return item.layer; });
+}
+
+/**
+ * Position of a layer within the scene, as CSS percentages.
+ * Returns { left, top, width, height, objectPosition }.
+ */
+function placement(layer) {
+    var anchor = ANCHORS[layer.anchor];
+    var width = layer.size[0] / SCENE_SIZE[0] * 100;
+    var height = layer.size[1] / SCENE_SIZE[1] * 100;
+    var left = anchor[0] * (100 - width) + layer.offset[0] / SCENE_SIZE[0] * 100;
+    var top = anchor[1] * (100 - height) + layer.offset[1] / SCENE_SIZE[1] * 100;
+
+    return {
+        left: left + "%",
+        top: top + "%",
+        width: width + "%",
+        height: height + "%",
+        // Images that don't fill their box stick to the same side as the anchor
+        objectPosition: (anchor[0] * 100) + "% " + (anchor[1] * 100) + "%"
+    };
+}
+
+exports.SceneLayers = {
+    fromSettings: fromSettings,
+    placement: placement
+};
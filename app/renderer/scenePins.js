@@ -0,0 +1,65 @@
+/**
+ * Choices pinned in the scene preview's branch path, so that evaluating at the
+ * cursor takes those routes instead of guessing from source lines.
+ *
+ * Pins are kept per knot (the one the cursor is in), as a list with an entry
+ * for each choice point from the start of the story: { index, text } for a
+ * pinned choice, or null to let the evaluator pick. The choice text is kept
+ * so that a pin still finds its choice when choices are added or reordered.
+ *
+ * Saved projects' pins are remembered across sessions in localStorage,
+ * by main ink file; an unsaved project's only last until Inky closes.
+ */
+
+var STORAGE_KEY = "scenePinnedPaths";
+
+// { knotName: pins } for the unsaved project
+var unsavedPins = {};
+
+function loadAll() {
+    try {
+        return JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+function pinsByKnot(projectPath) {
+    if (!projectPath) return unsavedPins;
+    return loadAll()[projectPath] || {};
+}
+
+/**
+ * The pins for a knot, or an empty list if there aren't any.
+ * @param {string} projectPath - absolute path of the main ink file, null if unsaved
+ * @param {string} knotName - "" for content before the first knot
+ */
+function get(projectPath, knotName) {
+    return (pinsByKnot(projectPath)[knotName] || []).slice();
+}
+
+/**
+ * Replace the pins for a knot. Trailing unpinned entries are dropped,
+ * and the knot is forgotten altogether when nothing is pinned.
+ */
+function set(projectPath, knotName, pins) {
+    pins = pins.slice();
+    while (pins.length > 0 && !pins[pins.length - 1]) pins.pop();
+
+    var all = projectPath ? loadAll() : null;
+    var byKnot = projectPath ? (all[projectPath] || {}) : unsavedPins;
+
+    if (pins.length > 0) byKnot[knotName] = pins;
+    else delete byKnot[knotName];
+
+    if (!projectPath) return;
+
+    if (Object.keys(byKnot).length > 0) all[projectPath] = byKnot;
+    else delete all[projectPath];
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+}
+
+exports.ScenePins = {
+    get: get,
+    set: set
+};
@@ -1,15 +1,44 @@
 /**
- * Compiles ink source via inkjs, runs the story to the cursor position
- * (choosing the branch that contains the cursor when at choice points),
- * and returns variable state for the scene preview.
+ * Works out the variable state for the scene preview at the editor cursor.
+ * The story is compiled and run to the cursor in sceneStateWorker.js, off
+ * the renderer thread; this side sends it the source when it changes and
+ * the latest cursor position, and ignores answers to older requests.
+ * The choices it made on the way are shown above the scene, where the
+ * writer can pin the ones it should take instead (see scenePins.js).
+ *
+ * In "player" mode the scene follows the live play session instead,
+ * showing the variables at the end of each turn as they arrive.
  */
 
 const inkjs = require("inkjs");
 const SceneView = require("./sceneView.js").SceneView;
+const ScenePins = require("./scenePins.js").ScenePins;
 
 var debounceTimer = null;
 var DEBOUNCE_MS = 300;
-var MAX_STEPS = 10000;
+
+var worker = null;
+
+// The source the worker last had, so it's only sent (and recompiled) when it changes
+var sentSource = null;
+
+var requestCount = 0;
+var latestRequestId = null;
+
+// The last cursor position evaluated, so it can be evaluated again when the pins change
+var lastEvaluation = null;
+
+// Where the cursor's pins are kept: { projectPath, knotName }
+var pinsKey = null;
+
+// "cursor" or "player"
+var mode = "cursor";
+
+// Variables at the end of each turn of the play session, by turn index
+var turnScenes = [];
+
+// Earlier turn picked to look at, or null to keep up with the latest turn
+var shownTurn = null;
 
 function buildFileHierarchy(project) {
     var hierarchy = {};
@@ -20,198 +49,170 @@ function buildFileHierarchy(project) {
 }
 
 /**
- * Check if debug metadata refers to the cursor's file.
- * Lenient: accepts match if fileName is null/empty (single-file project),
- * or matches the cursorFilePath exactly, or matches by basename.
+ * Compile the project's current (possibly unsaved) source in memory, on this
+ * thread, for the playthrough simulator.
+ * Returns {story} on success or {error} with a message on failure.
+ * countAllVisits makes visit counts available for every knot and stitch,
+ * not just the ones the story reads.
  */
-function fileMatchesCursor(dm, cursorFilePath) {
-    if (!dm) return false;
-    var name = dm.fileName || dm.sourceName;
-    // If no filename in metadata, assume single-file project — accept
-    if (!name) return true;
-    if (!cursorFilePath) return true;
-    if (name === cursorFilePath) return true;
-    // Try basename match (e.g. metadata has full path, cursor has relative)
-    var dmBase = name.replace(/^.*[/\\]/, "");
-    var cursorBase = cursorFilePath.replace(/^.*[/\\]/, "");
-    return dmBase === cursorBase;
+function compileStory(project, countAllVisits) {
+    var mainSource = project.mainInk.getValue();
+    var fileHierarchy = buildFileHierarchy(project);
+    var fileHandler = new inkjs.JsonFileHandler(fileHierarchy);
+    var options = new inkjs.CompilerOptions(
+        project.mainInk.relativePath(),
+        [],
+        !!countAllVisits,
+        null,
+        fileHandler
+    );
+    var compiler = new inkjs.Compiler(mainSource, options);
+    var story;
+    try {
+        story = compiler.Compile();
+    } catch (e) {
+        return { error: e && e.message ? e.message : String(e) };
+    }
+    if (compiler.errors && compiler.errors.length > 0) {
+        return { error: compiler.errors.join("\n") };
+    }
+    return { story: story };
 }
 
-/**
- * Get the source line number from the current story position.
- * Returns {line, fileMatch} or null.
- */
-function getCurrentLine(story, cursorFilePath) {
-    var dm = story.currentDebugMetadata;
-    if (!dm) return null;
-    return {
-        line: dm.startLineNumber,
-        endLine: dm.endLineNumber,
-        fileMatch: fileMatchesCursor(dm, cursorFilePath)
-    };
+function onWorkerMessage(event) {
+    var result = event.data;
+
+    // A newer request is on its way, or the scene is following the player now
+    if (result.requestId !== latestRequestId || mode === "player") return;
+
+    if (result.error) {
+        SceneView.showError(result.error);
+        SceneView.showPath(null);
+    } else {
+        SceneView.updateScene(result.variables);
+        SceneView.showPath(result.path);
+    }
 }
 
-function coerceValue(val) {
-    if (val === null || val === undefined) return null;
-    if (typeof val === "object" && val !== null && "value" in val) return val.value;
-    if (typeof val === "object" && val !== null && typeof val.valueOf === "function") return val.valueOf();
-    return val;
+function getWorker() {
+    if (!worker) {
+        // Relative to index.html
+        worker = new Worker("sceneStateWorker.js");
+        worker.onmessage = onWorkerMessage;
+        worker.onerror = function (e) {
+            SceneView.showError("Scene evaluation failed: " + (e.message || e));
+            // Start afresh with the next request
+            worker.terminate();
+            worker = null;
+            sentSource = null;
+        };
+    }
+    return worker;
 }
 
-function snapshotVariablesState(story) {
-    var vars = {};
-    try {
-        var state = story.state;
-        if (!state) return vars;
-        var jsonStr = state.ToJson ? state.ToJson() : (state.toJson && state.toJson());
-        if (!jsonStr) return vars;
-        var stateObj = JSON.parse(jsonStr);
-        var vs = stateObj.variablesState;
-        if (!vs || typeof vs !== "object") return vars;
-        var names = Object.keys(vs);
-        var variablesState = story.variablesState;
-        var getVarWithName = variablesState.GetVariableWithName;
-        if (typeof getVarWithName !== "function") return vars;
-        for (var i = 0; i < names.length; i++) {
-            var name = names[i];
-            try {
-                var inkObj = getVarWithName.call(variablesState, name);
-                vars[name] = coerceValue(inkObj);
-            } catch (err) {
-                // skip this variable
-            }
-        }
-    } catch (e) {
-        // ignore
+function sameFiles(a, b) {
+    var names = Object.keys(a);
+    if (names.length !== Object.keys(b).length) return false;
+    for (var i = 0; i < names.length; i++) {
+        if (a[names[i]] !== b[names[i]]) return false;
     }
-    return vars;
+    return true;
 }
 
 /**
- * At a choice point, determine which branch to take.
- *
- * After ChooseChoiceIndex(i), currentDebugMetadata gives the source line
- * where the branch content starts. Since branches appear in source order,
- * we pick the last branch whose start line is <= the cursor line.
- * If cursor is before all branches, we default to choice 0.
+ * Send the project's current (possibly unsaved) source to the worker, if it has changed.
  */
-function chooseBranchIndex(story, cursorFilePath, cursorLine) {
-    var choices = story.currentChoices;
-    if (!choices || choices.length === 0) return 0;
-    if (choices.length === 1) return 0;
-
-    var savedState = story.state.ToJson();
-
-    // For each branch, find its source start line by checking
-    // currentDebugMetadata right after choosing (before any Continue).
-    var branchStartLines = [];
-    for (var i = 0; i < choices.length; i++) {
-        if (i > 0) story.state.LoadJson(savedState);
-        story.ChooseChoiceIndex(i);
-
-        var dm = story.currentDebugMetadata;
-        var startLine = (dm && dm.startLineNumber) ? dm.startLineNumber : Infinity;
-        branchStartLines.push(startLine);
-    }
-
-    story.state.LoadJson(savedState);
-
-    // Pick the last branch whose start line is <= cursor line.
-    // Branches are in ascending source order.
-    var bestBranch = 0;
-    for (var i = 0; i < branchStartLines.length; i++) {
-        if (branchStartLines[i] <= cursorLine) {
-            bestBranch = i;
-        }
-    }
+function sendSourceIfChanged(project) {
+    var files = buildFileHierarchy(project);
+    var mainFile = project.mainInk.relativePath();
+    if (sentSource && sentSource.mainFile === mainFile && sameFiles(sentSource.files, files)) return;
 
-    return bestBranch;
+    sentSource = { files: files, mainFile: mainFile };
+    getWorker().postMessage({ type: "setSource", files: files, mainFile: mainFile });
 }
 
 /**
- * Run the story from the beginning, stopping at the cursor position.
- * Returns the variable state at that point.
+ * Pins are kept per knot, so find the one the cursor is in ("" if it's before the first knot).
  */
-function runToCursor(story, cursorFilePath, cursorLine) {
-    var steps = 0;
-    var lastVars = snapshotVariablesState(story);
+function knotAtLine(project, cursorLine) {
+    var flows = project.activeInkFile ? project.activeInkFile.symbols.flowAtPos({row: cursorLine - 1, column: 0}) : null;
+    return flows && flows.Knot ? flows.Knot.name : "";
+}
 
-    while (steps < MAX_STEPS) {
-        steps++;
+function evaluateAtLine(cursorLine, cursorFilePath, project) {
+    if (!project || !project.mainInk) {
+        lastEvaluation = null;
+        pinsKey = null;
+        SceneView.clear();
+        SceneView.showPath(null);
+        return;
+    }
 
-        if (story.canContinue) {
-            // Snapshot vars BEFORE this Continue() in case we overshoot
-            var prevVars = snapshotVariablesState(story);
+    sendSourceIfChanged(project);
 
-            story.Continue();
+    lastEvaluation = { cursorLine: cursorLine, cursorFilePath: cursorFilePath, project: project };
+    pinsKey = { projectPath: project.mainInk.absolutePath(), knotName: knotAtLine(project, cursorLine) };
 
-            var info = getCurrentLine(story, cursorFilePath);
+    latestRequestId = ++requestCount;
+    getWorker().postMessage({
+        type: "evaluate",
+        requestId: latestRequestId,
+        cursorFile: cursorFilePath,
+        cursorLine: cursorLine,
+        pins: ScenePins.get(pinsKey.projectPath, pinsKey.knotName)
+    });
+}
 
-            if (info && info.fileMatch && info.line >= cursorLine) {
-                // We've reached or passed the cursor line.
-                // Return the CURRENT state (assignments up to this text have executed).
-                return snapshotVariablesState(story);
-            }
+/**
+ * Change the pins for the knot at the cursor, and evaluate again with them.
+ * change(pins) alters the list of pins in place.
+ */
+function changePins(change) {
+    if (!pinsKey || mode === "player") return;
 
-            // Update last known vars
-            lastVars = snapshotVariablesState(story);
+    var pins = ScenePins.get(pinsKey.projectPath, pinsKey.knotName);
+    change(pins);
+    ScenePins.set(pinsKey.projectPath, pinsKey.knotName, pins);
 
-        } else if (story.currentChoices && story.currentChoices.length > 0) {
-            var idx = chooseBranchIndex(story, cursorFilePath, cursorLine);
-            story.ChooseChoiceIndex(idx);
-        } else {
-            // End of story
-            return snapshotVariablesState(story);
-        }
+    if (lastEvaluation) {
+        evaluateAtLine(lastEvaluation.cursorLine, lastEvaluation.cursorFilePath, lastEvaluation.project);
     }
-
-    return lastVars;
 }
 
-function evaluateAtLine(cursorLine, cursorFilePath, project) {
-    if (!project || !project.mainInk) {
-        SceneView.clear();
-        return;
-    }
-
-    var mainSource = project.mainInk.getValue();
-    var fileHierarchy = buildFileHierarchy(project);
-    var fileHandler = new inkjs.JsonFileHandler(fileHierarchy);
-    var options = new inkjs.CompilerOptions(
-        project.mainInk.relativePath(),
-        [],
-        false,
-        null,
-        fileHandler
-    );
-    var compiler = new inkjs.Compiler(mainSource, options);
-    var story;
-    try {
-        story = compiler.Compile();
-    } catch (e) {
-        SceneView.showError(e && e.message ? e.message : String(e));
-        return;
-    }
-    if (compiler.errors && compiler.errors.length > 0) {
-        SceneView.showError(compiler.errors.join("\n"));
-        return;
-    }
+/**
+ * Always take the given choice at a choice point of the path to the cursor.
+ * @param {number} depth - which choice point, counting from the start of the story
+ * @param {number} index - the choice's index there
+ * @param {string} text - the choice's text, to find it again if the choices change
+ */
+function pinChoice(depth, index, text) {
+    changePins(function (pins) {
+        while (pins.length < depth) pins.push(null);
+        pins[depth] = { index: index, text: text };
+    });
+}
 
-    // Suppress runtime errors/warnings from throwing
-    story.onError = function () {};
+/**
+ * Let the evaluator pick the choice at a choice point again.
+ */
+function unpinChoice(depth) {
+    changePins(function (pins) {
+        if (depth < pins.length) pins[depth] = null;
+    });
+}
 
-    try {
-        var variables = runToCursor(story, cursorFilePath, cursorLine);
-        SceneView.updateScene(variables);
-    } catch (e) {
-        SceneView.showError(e && e.message ? e.message : String(e));
-    }
+function clearPins() {
+    changePins(function (pins) {
+        pins.length = 0;
+    });
 }
 
 function evaluateAtCursorDebounced(cursorLine, project) {
     if (debounceTimer) clearTimeout(debounceTimer);
+    if (mode === "player") return;
     if (!project || !project.activeInkFile) {
         SceneView.clear();
+        SceneView.showPath(null);
         return;
     }
     var cursorFilePath = project.activeInkFile.relativePath();
@@ -221,7 +222,105 @@ function evaluateAtCursorDebounced(cursorLine, project) {
     }, DEBOUNCE_MS);
 }
 
+/**
+ * Show the scene for the turn picked in player mode, or the latest turn.
+ */
+function showPlayerScene() {
+    var latest = turnScenes.length - 1;
+    var turnIdx = shownTurn !== null ? shownTurn : latest;
+
+    SceneView.showTurn(latest >= 0 ? { shown: turnIdx, latest: latest } : null);
+
+    if (turnIdx < 0 || !turnScenes[turnIdx]) {
+        SceneView.clear();
+        return;
+    }
+    SceneView.updateScene(turnScenes[turnIdx]);
+}
+
+/**
+ * Switch between following the editor cursor ("cursor") and the play session ("player").
+ * When switching back to the cursor, the caller evaluates at the cursor again.
+ */
+function setMode(newMode) {
+    if (debounceTimer) clearTimeout(debounceTimer);
+    debounceTimer = null;
+
+    mode = newMode;
+    shownTurn = null;
+    SceneView.showMode(mode);
+
+    if (mode === "player") {
+        // The path is the cursor's, not the play session's
+        SceneView.showPath(null);
+        showPlayerScene();
+    } else {
+        SceneView.showTurn(null);
+    }
+}
+
+function getMode() {
+    return mode;
+}
+
+/**
+ * Forget the play session's turns, e.g. for a new project.
+ */
+function resetPlayerTurns() {
+    turnScenes = [];
+    shownTurn = null;
+    if (mode === "player") showPlayerScene();
+}
+
+/**
+ * A new play session replays the playthrough so far, e.g. after an edit, so the
+ * turns recorded before it may be out of date. Replayed turns are only recorded
+ * in player mode, where each replaces the old one; otherwise they're forgotten.
+ */
+function playerSessionStarted() {
+    if (mode !== "player") resetPlayerTurns();
+}
+
+/**
+ * Record the variables at the end of a turn of the play session.
+ * @param {number} turnIdx - turn of the playthrough, where 0 is the start
+ * @param {Object} variables - { varName: value } of the story's globals
+ * @param {boolean} replaying - true for the turns a new play session replays,
+ *                              which aren't shown until it's caught up
+ */
+function playerTurnEnded(turnIdx, variables, replaying) {
+    turnScenes[turnIdx] = variables;
+    if (replaying) return;
+
+    // Anything after this turn is from a playthrough that's since been rewound
+    turnScenes.length = turnIdx + 1;
+
+    if (shownTurn !== null && shownTurn >= turnScenes.length) shownTurn = null;
+    if (mode === "player") showPlayerScene();
+}
+
+/**
+ * Look at the scene from an earlier turn of the play session, switching to
+ * player mode if need be. null goes back to following the latest turn.
+ */
+function showPlayerTurn(turnIdx) {
+    if (mode !== "player") setMode("player");
+    shownTurn = turnIdx !== null && turnIdx < turnScenes.length - 1 ? turnIdx : null;
+    showPlayerScene();
+}
+
 exports.SceneStateEvaluator = {
     evaluateAtCursor: evaluateAtCursorDebounced,
-    evaluateAtLine: evaluateAtLine
+    setMode: setMode,
+    getMode: getMode,
+    resetPlayerTurns: resetPlayerTurns,
+    playerSessionStarted: playerSessionStarted,
+    playerTurnEnded: playerTurnEnded,
+    showPlayerTurn: showPlayerTurn,
+    redrawPlayerScene: showPlayerScene,
+    pinChoice: pinChoice,
+    unpinChoice: unpinChoice,
+    clearPins: clearPins,
+    evaluateAtLine: evaluateAtLine,
+    compileStory: compileStory
 };
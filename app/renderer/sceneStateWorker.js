@@ -0,0 +1,372 @@
+/**
+ * Web Worker that works out the scene preview's variables at the editor
+ * cursor, off the renderer thread so that typing doesn't stutter.
+ *
+ * It compiles the ink source via inkjs (only when the source has changed),
+ * runs the story to the cursor position (choosing the branch that contains
+ * the cursor when at choice points, unless the writer has pinned a choice),
+ * and posts back the variable state and the choices it made on the way.
+ *
+ * Everything the story does is cached as a tree of segments, one per turn:
+ * the lines and variables after each Continue(), and at the choice point
+ * that ends it, the saved state and where each branch starts. Moving the
+ * cursor then only walks the cache, and only runs the story for turns that
+ * haven't been reached before.
+ *
+ * Messages in:
+ *   { type: "setSource", files: { relPath: content }, mainFile }
+ *   { type: "evaluate", requestId, cursorFile, cursorLine, pins }
+ *     pins: per choice point, { index, text } to take that choice, or null (see scenePins.js)
+ * Messages out:
+ *   { requestId, variables, path }  or  { requestId, error }
+ *     path: per choice point, { choices: [text], chosen, pinned }
+ */
+
+importScripts("../node_modules/inkjs/dist/ink-full.js");
+
+var MAX_STEPS = 10000;
+
+// Continue() calls between checks for a newer request
+var STEPS_PER_SLICE = 200;
+
+var source = null;          // { files, mainFile } from the last setSource
+var compiled = null;        // { story, globalNames, root } or { error }
+var latestRequestId = null; // evaluations for older requests give up
+
+// Only one evaluation runs at a time, since they share the story and the cache.
+// Messages that arrive meanwhile wait here, and only the latest of each is kept.
+var busy = false;
+var pendingSource = null;
+var pendingRequest = null;
+
+/**
+ * Check if debug metadata refers to the cursor's file.
+ * Lenient: accepts match if fileName is null/empty (single-file project),
+ * or matches the cursorFilePath exactly, or matches by basename.
+ */
+function fileMatchesCursor(fileName, cursorFilePath) {
+    // If no filename in metadata, assume single-file project — accept
+    if (!fileName) return true;
+    if (!cursorFilePath) return true;
+    if (fileName === cursorFilePath) return true;
+    // Try basename match (e.g. metadata has full path, cursor has relative)
+    var dmBase = fileName.replace(/^.*[/\\]/, "");
+    var cursorBase = cursorFilePath.replace(/^.*[/\\]/, "");
+    return dmBase === cursorBase;
+}
+
+function coerceValue(val) {
+    if (val === null || val === undefined) return null;
+    if (typeof val === "object" && val !== null && "value" in val) return val.value;
+    if (typeof val === "object" && val !== null && typeof val.valueOf === "function") return val.valueOf();
+    return val;
+}
+
+/**
+ * The names of the story's global variables, which don't change after it's
+ * compiled. (Saved state leaves out the ones still at their default values.)
+ */
+function globalVariableNames(story) {
+    return Array.from(story.variablesState._globalVariables.keys());
+}
+
+function snapshotVariablesState(story, names) {
+    var vars = {};
+    var variablesState = story.variablesState;
+    for (var i = 0; i < names.length; i++) {
+        try {
+            var value = coerceValue(variablesState.GetVariableWithName(names[i]));
+            // Lists and divert targets as text, since they're posted back to the renderer
+            vars[names[i]] = value !== null && typeof value === "object" ? String(value) : value;
+        } catch (err) {
+            // skip this variable
+        }
+    }
+    return vars;
+}
+
+/**
+ * Compile the last source sent, in memory.
+ * Returns {story, globalNames, root} on success or {error} with a message on failure.
+ */
+function compileSource() {
+    var fileHandler = new inkjs.JsonFileHandler(source.files);
+    var options = new inkjs.CompilerOptions(source.mainFile, [], false, null, fileHandler);
+    var compiler = new inkjs.Compiler(source.files[source.mainFile], options);
+    var story;
+    try {
+        story = compiler.Compile();
+    } catch (e) {
+        return { error: e && e.message ? e.message : String(e) };
+    }
+    if (compiler.errors && compiler.errors.length > 0) {
+        return { error: compiler.errors.join("\n") };
+    }
+
+    // Suppress runtime errors/warnings from throwing
+    story.onError = function () {};
+
+    var globalNames = globalVariableNames(story);
+    return {
+        story: story,
+        globalNames: globalNames,
+        root: newSegment(null, snapshotVariablesState(story, globalNames), 0)
+    };
+}
+
+/**
+ * A turn of the story, run from where the previous one's choice left off.
+ * state is the saved state to start from (null for the start of the story).
+ */
+function newSegment(state, startVars, stepsBefore) {
+    return {
+        startState: state,
+        startVars: startVars,
+        stepsBefore: stepsBefore,
+        steps: [],              // [{ line, fileName, vars }] after each Continue()
+        end: null,              // "choice", "end" or "limit", once it's been run
+        choiceState: null,      // saved state at the choice point
+        choiceTexts: null,      // text of each choice there
+        branchStartLines: null, // source line each branch starts at
+        children: {}            // choice index -> segment
+    };
+}
+
+/**
+ * Run a segment's turn until its choice point or the end of the story,
+ * a slice at a time so that newer requests can cancel it.
+ * done(finished) is called with false if it was cancelled, and fail(error) if the story throws.
+ */
+function runSegment(segment, requestId, done, fail) {
+    var story = compiled.story;
+    if (segment.startState) story.state.LoadJson(segment.startState);
+    else story.ResetState();
+
+    var lastVars = segment.startVars;
+    var stepCount = segment.stepsBefore;
+
+    function runSlice() {
+        if (requestId !== latestRequestId) {
+            // Run it from the start again when it's next needed
+            segment.steps = [];
+            done(false);
+            return;
+        }
+
+        try {
+            runSteps();
+        } catch (e) {
+            fail(e);
+            return;
+        }
+
+        if (segment.end) done(true);
+        // Let any newer request arrive before carrying on
+        else setTimeout(runSlice, 0);
+    }
+
+    function runSteps() {
+        for (var i = 0; i < STEPS_PER_SLICE; i++) {
+            if (stepCount >= MAX_STEPS) {
+                segment.end = "limit";
+                return;
+            }
+
+            if (!story.canContinue) {
+                if (story.currentChoices && story.currentChoices.length > 0) {
+                    saveChoicePoint(segment);
+                    segment.end = "choice";
+                } else {
+                    segment.end = "end";
+                }
+                return;
+            }
+
+            stepCount++;
+            story.Continue();
+
+            // Only keep a new object when something has changed, since most lines don't
+            var vars = snapshotVariablesState(story, compiled.globalNames);
+            if (JSON.stringify(vars) === JSON.stringify(lastVars)) vars = lastVars;
+            lastVars = vars;
+
+            var dm = story.currentDebugMetadata;
+            segment.steps.push({
+                line: dm ? dm.startLineNumber : null,
+                fileName: dm ? (dm.fileName || dm.sourceName) : null,
+                vars: vars
+            });
+        }
+    }
+
+    runSlice();
+}
+
+/**
+ * At a choice point, save the state and find where each branch starts:
+ * after ChooseChoiceIndex(i), currentDebugMetadata gives the source line
+ * where the branch content starts.
+ */
+function saveChoicePoint(segment) {
+    var story = compiled.story;
+    var choiceCount = story.currentChoices.length;
+    segment.choiceState = story.state.ToJson();
+    segment.choiceTexts = story.currentChoices.map(function (choice) { return choice.text; });
+    segment.branchStartLines = [];
+
+    for (var i = 0; i < choiceCount; i++) {
+        if (i > 0) story.state.LoadJson(segment.choiceState);
+        story.ChooseChoiceIndex(i);
+
+        var dm = story.currentDebugMetadata;
+        segment.branchStartLines.push((dm && dm.startLineNumber) ? dm.startLineNumber : Infinity);
+    }
+}
+
+/**
+ * Since branches appear in source order, pick the last branch whose start
+ * line is <= the cursor line. If cursor is before all branches, default to choice 0.
+ */
+function chooseBranchIndex(segment, cursorLine) {
+    var bestBranch = 0;
+    for (var i = 0; i < segment.branchStartLines.length; i++) {
+        if (segment.branchStartLines[i] <= cursorLine) {
+            bestBranch = i;
+        }
+    }
+    return bestBranch;
+}
+
+/**
+ * The choice a pin refers to, or -1 if it's gone. Looked for by its index
+ * first, then by its text in case the choices have changed around it.
+ */
+function pinnedChoiceIndex(segment, pin) {
+    if (!pin) return -1;
+    if (segment.choiceTexts[pin.index] === pin.text) return pin.index;
+    return segment.choiceTexts.indexOf(pin.text);
+}
+
+/**
+ * Walk the story's turns from the start, running any that aren't cached yet,
+ * and stop at the cursor position.
+ * done(variables, path) is called with the variable state at that point and
+ * the choices made to get there, or with null if cancelled.
+ */
+function runToCursor(requestId, cursorFilePath, cursorLine, pins, done, fail) {
+    var path = [];
+
+    function walk(segment) {
+        if (!segment.end) {
+            runSegment(segment, requestId, function (finished) {
+                if (finished) walk(segment);
+                else done(null, null);
+            }, fail);
+            return;
+        }
+
+        var lastVars = segment.startVars;
+        for (var i = 0; i < segment.steps.length; i++) {
+            var step = segment.steps[i];
+            // We've reached or passed the cursor line.
+            // Return the CURRENT state (assignments up to this text have executed).
+            if (step.line !== null && step.line >= cursorLine && fileMatchesCursor(step.fileName, cursorFilePath)) {
+                done(step.vars, path);
+                return;
+            }
+            lastVars = step.vars;
+        }
+
+        if (segment.end !== "choice") {
+            done(lastVars, path);
+            return;
+        }
+
+        var idx = pinnedChoiceIndex(segment, pins[path.length]);
+        var pinned = idx !== -1;
+        if (!pinned) idx = chooseBranchIndex(segment, cursorLine);
+        path.push({ choices: segment.choiceTexts, chosen: idx, pinned: pinned });
+
+        if (!segment.children[idx]) {
+            try {
+                var story = compiled.story;
+                story.state.LoadJson(segment.choiceState);
+                story.ChooseChoiceIndex(idx);
+                segment.children[idx] = newSegment(story.state.ToJson(), lastVars, segment.stepsBefore + segment.steps.length);
+            } catch (e) {
+                fail(e);
+                return;
+            }
+        }
+        walk(segment.children[idx]);
+    }
+
+    walk(compiled.root);
+}
+
+function finishEvaluation() {
+    busy = false;
+
+    if (pendingSource) {
+        source = pendingSource;
+        compiled = null;
+        pendingSource = null;
+    }
+
+    if (pendingRequest) {
+        var request = pendingRequest;
+        pendingRequest = null;
+        evaluate(request);
+    }
+}
+
+function fail(request, e) {
+    // The cache may be half built, so start again from a fresh compile next time
+    compiled = null;
+    postMessage({ requestId: request.requestId, error: e && e.message ? e.message : String(e) });
+    finishEvaluation();
+}
+
+function evaluate(request) {
+    if (!source) return;
+    busy = true;
+
+    // Compile lazily, so edits that are quickly followed by more edits don't each cost a compile
+    if (!compiled) compiled = compileSource();
+    if (compiled.error) {
+        postMessage({ requestId: request.requestId, error: compiled.error });
+        finishEvaluation();
+        return;
+    }
+
+    try {
+        runToCursor(request.requestId, request.cursorFile, request.cursorLine, request.pins || [], function (variables, path) {
+            if (variables) postMessage({ requestId: request.requestId, variables: variables, path: path });
+            finishEvaluation();
+        }, function (e) {
+            fail(request, e);
+        });
+    } catch (e) {
+        fail(request, e);
+    }
+}
+
+onmessage = function (event) {
+    var message = event.data;
+
+    if (message.type === "setSource") {
+        var newSource = { files: message.files, mainFile: message.mainFile };
+        if (busy) {
+            pendingSource = newSource;
+        } else {
+            source = newSource;
+            compiled = null;
+        }
+    }
+
+    else if (message.type === "evaluate") {
+        latestRequestId = message.requestId;
+        if (busy) pendingRequest = message;
+        else evaluate(message);
+    }
+};
@@ -1,25 +1,15 @@
 /**
  * Renders the scene preview as stacked image layers in the #scene-view panel.
- * Uses asset_registry.gd via assetRegistry.js to resolve ink variable values
- * to actual image file paths.
+ * The layers come from sceneLayers.js, and asset_registry.gd via
+ * assetRegistry.js resolves ink variable values to actual image file paths.
  */
 
 var AssetRegistry = require("./assetRegistry.js").AssetRegistry;
+var SceneLayers = require("./sceneLayers.js").SceneLayers;
 
-// Map from ink variable name -> data-layer attribute name
-var VARIABLE_TO_LAYER = {
-    bg:                   "background",
-    vignette_shadow:      "vignette_shadow",
-    locationbox:          "locationbox",
-    pc:                   "pc",
-    npc:                  "npc",
-    dialogbox:            "dialogbox",
-    emotebox:             "emotebox",
-    emote:                "emote",
-    vignette_js:          "vignette_js",
-    ui_button_character:  "ui_button_character",
-    ui_button_book:       "ui_button_book"
-};
+// The layer stack from sceneLayers.js, back to front. Built on first use
+// if the project settings haven't set it yet.
+var layers = null;
 
 /**
  * Get the <img> element for a specific layer.
@@ -28,6 +18,10 @@ function getLayerEl(layerName) {
     return document.querySelector('#scene-view .scene-layer[data-layer="' + layerName + '"]');
 }
 
+function getCanvasEl() {
+    return document.querySelector("#scene-view .scene-canvas");
+}
+
 function getErrorEl() {
     return document.querySelector("#scene-view .scene-error");
 }
@@ -36,6 +30,95 @@ function getOverlayEl() {
     return document.querySelector("#scene-view .scene-variables-overlay");
 }
 
+function getGameRootEl() {
+    return document.querySelector("#scene-view .scene-game-root");
+}
+
+function getTurnEl() {
+    return document.querySelector("#scene-view .scene-turn");
+}
+
+function getPathEl() {
+    return document.querySelector("#scene-view .scene-path");
+}
+
+var events = {
+    chooseGameRoot: function () {},
+    modeChanged: function () {},
+    showLatestTurn: function () {},
+    pinChoice: function () {},
+    unpinChoice: function () {},
+    clearPins: function () {}
+};
+
+// The path last shown, so that a choice picked in it can be pinned by its text
+var shownPath = null;
+
+// The toolbar is static, so its clicks are handled here rather than on each render
+document.addEventListener("click", function (e) {
+    var modeButton = e.target.closest("#scene-view .scene-mode-button");
+    if (modeButton && !modeButton.classList.contains("active")) {
+        events.modeChanged(modeButton.getAttribute("data-mode"));
+    }
+
+    if (e.target.closest("#scene-view .scene-show-latest")) {
+        e.preventDefault();
+        events.showLatestTurn();
+    }
+
+    var unpin = e.target.closest("#scene-view .scene-path-unpin");
+    if (unpin) {
+        e.preventDefault();
+        events.unpinChoice(parseInt(unpin.getAttribute("data-depth"), 10));
+    }
+
+    if (e.target.closest("#scene-view .scene-path-clear")) {
+        e.preventDefault();
+        events.clearPins();
+    }
+});
+
+// Picking a choice in the path pins it
+document.addEventListener("change", function (e) {
+    var select = e.target.closest("#scene-view .scene-path-choice");
+    if (!select || !shownPath) return;
+
+    var depth = parseInt(select.getAttribute("data-depth"), 10);
+    var index = parseInt(select.value, 10);
+    events.pinChoice(depth, index, shownPath[depth].choices[index]);
+});
+
+/**
+ * Replace the scene's image layers with the given stack.
+ * @param {Object[]} newLayers - layers from SceneLayers.fromSettings(), back to front
+ */
+function setLayers(newLayers) {
+    layers = newLayers;
+
+    var canvas = getCanvasEl();
+    if (!canvas) return;
+    canvas.innerHTML = "";
+
+    for (var i = 0; i < layers.length; i++) {
+        var layer = layers[i];
+        if (!layer.visible) continue;
+
+        var el = document.createElement("img");
+        el.className = "scene-layer";
+        el.setAttribute("data-layer", layer.name);
+
+        var place = SceneLayers.placement(layer);
+        el.style.left = place.left;
+        el.style.top = place.top;
+        el.style.width = place.width;
+        el.style.height = place.height;
+        el.style.objectPosition = place.objectPosition;
+        el.style.zIndex = i;
+
+        canvas.appendChild(el);
+    }
+}
+
 /**
  * Update the scene by mapping variable values to image layers.
  * @param {Object} variables - { varName: value } map from sceneStateEvaluator
@@ -58,12 +141,12 @@ function updateScene(variables) {
         return;
     }
 
+    if (!layers) setLayers(SceneLayers.fromSettings(null));
+
     // Update each visual layer
-    var layerVars = Object.keys(VARIABLE_TO_LAYER);
-    for (var i = 0; i < layerVars.length; i++) {
-        var varName = layerVars[i];
-        var layerName = VARIABLE_TO_LAYER[varName];
-        var el = getLayerEl(layerName);
+    for (var i = 0; i < layers.length; i++) {
+        var varName = layers[i].variable;
+        var el = getLayerEl(layers[i].name);
         if (!el) continue;
 
         var assetId = variables[varName];
@@ -168,6 +251,110 @@ function toggleOverlay() {
     }
 }
 
+/**
+ * Show which game project the images come from, with a link to choose another.
+ * @param {Object} gameProject - the resolved game project from AssetRegistry.getGameProject()
+ */
+function showGameRoot(gameProject) {
+    var el = getGameRootEl();
+    if (!el) return;
+
+    var html = "<span class='scene-game-root-label'>Game project:</span> ";
+    html += "<span class='scene-game-root-path'>" + escapeHtml(gameProject.root) + "</span>";
+    if (!gameProject.configured) {
+        html += " <span class='scene-game-root-auto'>(auto-detected)</span>";
+    }
+    html += " <a href='#' class='scene-choose-game-root'>Change…</a>";
+    el.innerHTML = html;
+    el.querySelector(".scene-game-root-path").title = gameProject.root;
+
+    el.querySelector(".scene-choose-game-root").addEventListener("click", function (e) {
+        e.preventDefault();
+        events.chooseGameRoot();
+    });
+}
+
+/**
+ * Highlight the button for the current mode, "cursor" or "player".
+ */
+function showMode(mode) {
+    var buttons = document.querySelectorAll("#scene-view .scene-mode-button");
+    for (var i = 0; i < buttons.length; i++) {
+        buttons[i].classList.toggle("active", buttons[i].getAttribute("data-mode") === mode);
+    }
+}
+
+/**
+ * Show which turn of the play session the scene is from.
+ * @param {Object} turnInfo - { shown, latest } turn indices, or null to hide
+ */
+function showTurn(turnInfo) {
+    var el = getTurnEl();
+    if (!el) return;
+
+    if (!turnInfo) {
+        el.innerHTML = "";
+        el.classList.add("hidden");
+        return;
+    }
+
+    // Turn 0 is the start of the story, before any choices
+    var html = turnInfo.shown === 0 ? "Start" : "Turn " + turnInfo.shown;
+    if (turnInfo.shown !== turnInfo.latest) {
+        html += " of " + turnInfo.latest + " <a href='#' class='scene-show-latest'>Latest</a>";
+    }
+    el.innerHTML = html;
+    el.classList.remove("hidden");
+}
+
+/**
+ * Show the choices the scene at the cursor was reached by, one dropdown per
+ * choice point, so the writer can pin a different one.
+ * @param {Object[]} path - { choices: [text], chosen, pinned } per choice point, or null to hide
+ */
+function showPath(path) {
+    var el = getPathEl();
+    if (!el) return;
+
+    shownPath = path;
+    if (!path || path.length === 0) {
+        el.innerHTML = "";
+        el.classList.add("hidden");
+        return;
+    }
+
+    var html = "";
+    var anyPinned = false;
+    for (var depth = 0; depth < path.length; depth++) {
+        var point = path[depth];
+        if (depth > 0) html += "<span class='scene-path-separator'>›</span>";
+
+        html += "<span class='scene-path-step" + (point.pinned ? " pinned" : "") + "'>";
+        html += "<select class='scene-path-choice' data-depth='" + depth + "'>";
+        for (var i = 0; i < point.choices.length; i++) {
+            html += "<option value='" + i + "'" + (i === point.chosen ? " selected" : "") + ">" + escapeHtml(point.choices[i]) + "</option>";
+        }
+        html += "</select>";
+        if (point.pinned) {
+            html += "<a href='#' class='scene-path-unpin' data-depth='" + depth + "' title='Unpin this choice'>✕</a>";
+            anyPinned = true;
+        }
+        html += "</span>";
+    }
+    if (anyPinned) {
+        html += "<a href='#' class='scene-path-clear' title='Unpin every choice in this knot'>Clear pins</a>";
+    }
+
+    el.innerHTML = html;
+    el.classList.remove("hidden");
+
+    var selects = el.querySelectorAll(".scene-path-choice");
+    for (var j = 0; j < selects.length; j++) {
+        var chosen = path[j].choices[path[j].chosen];
+        selects[j].title = (path[j].pinned ? "Pinned: " : "Guessed from the cursor: ") + chosen;
+    }
+}
+
 /**
  * Reload the asset registry (e.g. after the writer edits asset_registry.gd).
  */
@@ -176,6 +363,12 @@ function reloadAssets() {
 }
 
 exports.SceneView = {
+    setEvents: function (e) { events = e; },
+    showGameRoot: showGameRoot,
+    setLayers: setLayers,
+    showMode: showMode,
+    showTurn: showTurn,
+    showPath: showPath,
     updateScene: updateScene,
     showError: showError,
     clear: clear,
@@ -0,0 +1,242 @@
+const $ = window.jQuery = require('./jquery-2.2.3.min.js');
+const _ = require("lodash");
+
+const InkProject = require("./inkProject.js").InkProject;
+const PlaythroughSimulator = require("./playthroughSimulator.js").PlaythroughSimulator;
+const i18n = require("./i18n.js");
+
+const unreachedGutterClass = "ace-unreached";
+
+var $panel = null;
+var $results = null;
+var $status = null;
+var $runButton = null;
+
+var cancelSimulation = null;
+var report = null;
+
+// Locations that can be clicked in the results, by index
+var locations = [];
+
+// Files that currently show unreached lines in their gutter
+var decoratedFiles = [];
+
+var events = {
+    gotoLocation: () => {},
+    close: () => {}
+};
+
+$(document).ready(() => {
+    $panel = $("#simulation-wrapper");
+    $results = $panel.find(".simulation-results");
+    $status = $panel.find(".simulation-status");
+    $runButton = $panel.find(".run-simulation");
+
+    $runButton.on("click", (e) => {
+        e.preventDefault();
+        if( cancelSimulation )
+            stop();
+        else
+            run();
+    });
+
+    $panel.on("click", ".close-simulation", (e) => {
+        e.preventDefault();
+        events.close();
+    });
+
+    $panel.find("input.simulation-show-unreached").on("change", showUnreachedLines);
+
+    $results.on("click", ".simulation-location", function(event) {
+        event.preventDefault();
+        var $location = $(event.currentTarget);
+        $results.find(".simulation-location.active").removeClass("active");
+        $location.addClass("active");
+
+        var location = locations[parseInt($location.attr("data-location-idx"))];
+        if( location.inkFile )
+            events.gotoLocation(location.inkFile, location.row);
+    });
+});
+
+function readOptions() {
+    var seedText = $panel.find("input.simulation-seed").val().trim();
+    var seed = parseInt(seedText);
+    if( isNaN(seed) )
+        seed = Math.floor(Math.random() * 1000000);
+
+    return {
+        runs: Math.max(1, parseInt($panel.find("input.simulation-runs").val()) || 100),
+        seed: seed,
+        mode: $panel.find("select.simulation-mode").val(),
+        maxTurns: Math.max(1, parseInt($panel.find("input.simulation-max-turns").val()) || 200)
+    };
+}
+
+function run() {
+    var project = InkProject.currentProject;
+    if( !project ) return;
+
+    var options = readOptions();
+    var runsLabel = i18n._("runs");
+
+    clearUnreachedLines();
+    report = null;
+    $results.empty();
+    $runButton.text(i18n._("Stop"));
+    $status.text(`0 / ${options.runs} ${runsLabel}`);
+
+    cancelSimulation = PlaythroughSimulator.simulate(project, options, runsDone => {
+        $status.text(`${runsDone} / ${options.runs} ${runsLabel}`);
+    }, (err, newReport) => {
+        cancelSimulation = null;
+        $runButton.text(i18n._("Run"));
+
+        if( err ) {
+            $status.text(`${i18n._("Could not simulate:")} ${err}`);
+            return;
+        }
+
+        report = newReport;
+        $status.text(`${report.runs} ${runsLabel}, ${i18n._("seed")} ${report.seed}`);
+        render();
+        showUnreachedLines();
+    });
+}
+
+function stop() {
+    cancelSimulation();
+    cancelSimulation = null;
+    $runButton.text(i18n._("Run"));
+    $status.text(i18n._("Stopped."));
+}
+
+function percent(count) {
+    return Math.round(100 * count / report.runs) + "%";
+}
+
+function statsText(stats) {
+    return `${stats.average.toFixed(1)} (${stats.min}–${stats.max})`;
+}
+
+function locationItemHtml(inkFile, row, text, meta, extraClass) {
+    var idx = locations.length;
+    locations.push({ inkFile: inkFile, row: row });
+    return `<span class="nav-group-item simulation-location ${extraClass || ""}" data-location-idx="${idx}">
+              <span class="simulation-text">${_.escape(text)}</span>
+              <span class="simulation-meta">${_.escape(meta)}</span>
+            </span>`;
+}
+
+function groupHtml(title, itemsHtml) {
+    return `<nav class="nav-group">
+              <h5 class="nav-group-title">${_.escape(title)}</h5>
+              ${itemsHtml}
+            </nav>`;
+}
+
+function render() {
+    locations = [];
+    $results.empty();
+    if( !report ) return;
+
+    var lineLabel = i18n._("line");
+    var runsLabel = i18n._("runs");
+
+    // Summary
+    $results.append(groupHtml(i18n._("Playthroughs"), `
+        <span class="nav-group-item simulation-stat"><span class="simulation-text">${i18n._("Turns")}</span><span class="simulation-meta">${statsText(report.turns)}</span></span>
+        <span class="nav-group-item simulation-stat"><span class="simulation-text">${i18n._("Words")}</span><span class="simulation-meta">${statsText(report.words)}</span></span>`));
+
+    // Endings
+    var kindNames = {
+        "end": "END",
+        "done": "DONE",
+        "end-of-content": i18n._("Ran out of content"),
+        "stopped": i18n._("Stopped at max turns"),
+        "error": i18n._("Error")
+    };
+    var endingsHtml = report.endings.map(ending => {
+        var where = ending.inkFile ? `${ending.inkFile.relativePath()} ${lineLabel} ${ending.row+1}` : "";
+        return locationItemHtml(ending.inkFile, ending.row, kindNames[ending.kind], `${where} · ${ending.count} ${runsLabel} (${percent(ending.count)})`);
+    }).join("");
+    $results.append(groupHtml(i18n._("Endings reached"), endingsHtml));
+
+    if( report.errors.length > 0 ) {
+        var errorsHtml = report.errors.map(error =>
+            `<span class="nav-group-item simulation-stat error"><span class="simulation-text">${_.escape(error.message)}</span><span class="simulation-meta">${error.count} ${runsLabel}</span></span>`
+        ).join("");
+        $results.append(groupHtml(i18n._("Runtime errors"), errorsHtml));
+    }
+
+    // Never visited knots and stitches
+    var neverVisited = report.visits.filter(v => v.runs == 0);
+    if( neverVisited.length > 0 ) {
+        var neverHtml = neverVisited.map(v => locationItemHtml(v.node.inkFile, v.node.symbol.row, v.node.id, v.node.inkFile.relativePath())).join("");
+        $results.append(groupHtml(`${i18n._("Never visited")} (${neverVisited.length})`, neverHtml));
+    }
+
+    // Unreached lines, by file
+    if( report.unreachedLines.length > 0 ) {
+        var linesLabel = i18n._("lines never reached");
+        var unreachedHtml = report.unreachedLines.map(u => locationItemHtml(u.inkFile, u.rows[0], u.inkFile.relativePath(), `${u.rows.length} ${linesLabel}`)).join("");
+        $results.append(groupHtml(i18n._("Unreached lines"), unreachedHtml));
+    }
+
+    // Visit counts for everything, in source order
+    var visitsLabel = i18n._("visits");
+    var visitsHtml = report.visits.map(v => {
+        var isStitch = v.node.type == "stitch";
+        return locationItemHtml(v.node.inkFile, v.node.symbol.row, isStitch ? v.node.name : v.node.id,
+            `${v.visits} ${visitsLabel} · ${percent(v.runs)}`, isStitch ? "stitch" : "");
+    }).join("");
+    $results.append(groupHtml(i18n._("Visit counts"), visitsHtml));
+}
+
+function clearUnreachedLines() {
+    decoratedFiles.forEach(decorated => {
+        var session = decorated.inkFile.getAceSession();
+        decorated.rows.forEach(row => session.removeGutterDecoration(row, unreachedGutterClass));
+        decorated.inkFile.aceDocument.removeListener("change", decorated.onChange);
+    });
+    decoratedFiles = [];
+}
+
+function showUnreachedLines() {
+    clearUnreachedLines();
+    if( !report || !$panel.find("input.simulation-show-unreached").prop("checked") )
+        return;
+
+    report.unreachedLines.forEach(u => {
+        var session = u.inkFile.getAceSession();
+        u.rows.forEach(row => session.addGutterDecoration(row, unreachedGutterClass));
+
+        // Once the file is edited the rows no longer line up, so remove its markers
+        var decorated = { inkFile: u.inkFile, rows: u.rows };
+        decorated.onChange = () => {
+            u.rows.forEach(row => session.removeGutterDecoration(row, unreachedGutterClass));
+            u.inkFile.aceDocument.removeListener("change", decorated.onChange);
+            decoratedFiles = decoratedFiles.filter(d => d !== decorated);
+        };
+        u.inkFile.aceDocument.on("change", decorated.onChange);
+        decoratedFiles.push(decorated);
+    });
+}
+
+function reset() {
+    if( cancelSimulation ) stop();
+    clearUnreachedLines();
+    report = null;
+    $status.text("");
+    render();
+}
+
+function focus() {
+    $panel.find("input.simulation-runs").focus().select();
+}
+
+exports.SimulationView = {
+    setEvents: e => events = e,
+    focus: focus,
+    reset: reset
+}
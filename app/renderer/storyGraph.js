@@ -0,0 +1,213 @@
+const _ = require("lodash");
+
+const SymbolReferences = require("./symbolReferences.js").SymbolReferences;
+
+// Builds the shape of the story from each file's symbols and divert references.
+//
+// Nodes are knots and stitches, plus a start node for the top of the story:
+//   { id, name, type: "start"|"knot"|"stitch"|"function", symbol, inkFile, parentId, stitchIds, orphan }
+// Edges are { from, to, kind, count, label }, where the kind is "divert", "tunnel", "thread",
+// "call", or "enter" for a knot with no content of its own that runs straight into its first stitch.
+//
+// Options:
+//   includeFunctions - functions aren't part of the flow, so are only included when asked,
+//                      along with "call" edges to them
+//   choiceLabels     - label edges with the choice text, where a divert comes straight from a choice
+
+const startNodeId = "__start";
+const edgeKinds = ["divert", "tunnel", "thread"];
+
+function isFlowSymbol(symbol, typeName) {
+    return symbol.flowType && symbol.flowType.name == typeName && !symbol.isfunc;
+}
+
+function isFunctionSymbol(symbol) {
+    return symbol.flowType && symbol.flowType.name == "Knot" && symbol.isfunc;
+}
+
+// The knot or stitch a symbol belongs to, e.g. for a divert to a label
+function nodeSymbolFor(symbol, includeFunctions) {
+    while( symbol && symbol.flowType ) {
+        if( isFlowSymbol(symbol, "Knot") || isFlowSymbol(symbol, "Stitch") )
+            return symbol;
+        if( includeFunctions && isFunctionSymbol(symbol) )
+            return symbol;
+        symbol = symbol.parent;
+    }
+    return null;
+}
+
+function nodeIdFor(symbol) {
+    if( isFlowSymbol(symbol, "Stitch") )
+        return symbol.parent.name + "." + symbol.name;
+    return symbol.name;
+}
+
+const choiceLineRegex = /^\s*((?:[*+]\s*)+)(.*)$/;
+
+// What the player sees for the choice on a line, or null if it isn't a choice
+function choiceTextOnLine(line) {
+    var match = line.match(choiceLineRegex);
+    if( !match ) return null;
+
+    var text = match[2]
+        .replace(/^\(\s*\w+\s*\)\s*/, "")          // label
+        .replace(/^(\{[^}]*\}\s*)*/, "")              // conditions
+        .replace(/\s*(->|<-|\/\/|#).*$/, "");          // diverts, comments and tags
+
+    // Text in square brackets is only shown in the choice, and text after them only in the output
+    var bracket = text.match(/^([^\[]*)\[([^\]]*)\]/);
+    if( bracket ) text = bracket[1] + bracket[2];
+
+    return text.replace(/\s+/g, " ").trim();
+}
+
+// The choice text for a divert that's either on the same line as its choice, or is the
+// first thing inside it on the line after. Only the first divert from a choice gets labelled.
+function choiceTextForReference(inkFile, reference) {
+    var line = inkFile.aceDocument.getLine(reference.row);
+    var before = line.substring(0, reference.column).replace(/(->->|->|<-)\s*$/, "");
+    if( before.includes("->") || before.includes("<-") )
+        return null;
+
+    if( choiceLineRegex.test(before) )
+        return choiceTextOnLine(line) || null;
+
+    if( before.trim().length > 0 )
+        return null;
+
+    for(var row=reference.row-1; row>=0; row--) {
+        var previousLine = inkFile.aceDocument.getLine(row);
+        if( previousLine.trim().length == 0 ) continue;
+        if( previousLine.includes("->") || previousLine.includes("<-") ) return null;
+        return choiceTextOnLine(previousLine) || null;
+    }
+    return null;
+}
+
+// Whether there's nothing but blank lines and comments between the rows
+function onlyBlankLinesBetween(inkFile, firstRow, lastRow) {
+    for(var row=firstRow; row<=lastRow; row++) {
+        var line = inkFile.aceDocument.getLine(row).trim();
+        if( line.length > 0 && !line.startsWith("//") )
+            return false;
+    }
+    return true;
+}
+
+function build(project, options) {
+    options = options || {};
+
+    var nodes = {};
+    var nodeList = [];
+    var edges = {};
+
+    var addNode = node => {
+        nodes[node.id] = node;
+        nodeList.push(node);
+        return node;
+    };
+
+    addNode({ id: startNodeId, name: project.mainInk.filename(), type: "start", inkFile: project.mainInk, symbol: null, stitchIds: [] });
+
+    var addEdge = (from, to, kind, label) => {
+        var key = from + "|" + to + "|" + kind + "|" + (label || "");
+        if( edges[key] )
+            edges[key].count++;
+        else
+            edges[key] = { from: from, to: to, kind: kind, count: 1, label: label || null };
+    };
+
+    var filesInOrder = _.sortBy(project.files, [f => f.isMain() ? 0 : 1, f => f.relativePath()]);
+
+    // Nodes, in source order within each file
+    filesInOrder.forEach(inkFile => {
+        inkFile.symbols.getSymbols();
+        (inkFile.symbols.rangeIndex || []).forEach(range => {
+            var knot = range.symbol;
+            if( options.includeFunctions && isFunctionSymbol(knot) ) {
+                addNode({ id: nodeIdFor(knot), name: knot.name, type: "function", symbol: knot, inkFile: inkFile, stitchIds: [] });
+                return;
+            }
+            if( !isFlowSymbol(knot, "Knot") ) return;
+
+            var knotNode = addNode({ id: nodeIdFor(knot), name: knot.name, type: "knot", symbol: knot, inkFile: inkFile, stitchIds: [] });
+
+            var stitches = (knot.rangeIndex || []).map(r => r.symbol).filter(s => isFlowSymbol(s, "Stitch"));
+            stitches.forEach(stitch => {
+                var stitchNode = addNode({ id: nodeIdFor(stitch), name: stitch.name, type: "stitch", symbol: stitch, inkFile: inkFile, parentId: knotNode.id });
+                knotNode.stitchIds.push(stitchNode.id);
+            });
+
+            if( stitches.length > 0 && onlyBlankLinesBetween(inkFile, knot.row+1, stitches[0].row-1) )
+                addEdge(knotNode.id, nodeIdFor(stitches[0]), "enter");
+        });
+    });
+
+    // Edges from every divert, tunnel and thread, and function call if they're included
+    var declarations = SymbolReferences.variableDeclarations(project);
+    filesInOrder.forEach(inkFile => {
+        inkFile.symbols.getReferences().forEach(reference => {
+            var isCall = reference.kind == "call" && options.includeFunctions;
+            if( !edgeKinds.includes(reference.kind) && !isCall ) return;
+
+            var targetSymbol = nodeSymbolFor(SymbolReferences.divertTargetSymbol(project, inkFile, reference, declarations), options.includeFunctions);
+            if( !targetSymbol ) return;
+
+            var flows = inkFile.symbols.flowAtPos({row: reference.row, column: 0});
+            var sourceSymbol = flows ? (flows.Stitch || flows.Knot) : null;
+            if( sourceSymbol && sourceSymbol.isfunc && !options.includeFunctions ) return;
+
+            var from = sourceSymbol ? nodeIdFor(sourceSymbol) : startNodeId;
+            var to = nodeIdFor(targetSymbol);
+            if( !nodes[from] || !nodes[to] ) return;
+
+            var label = options.choiceLabels && !isCall ? choiceTextForReference(inkFile, reference) : null;
+            addEdge(from, to, reference.kind, label);
+        });
+    });
+
+    var edgeList = _.values(edges);
+
+    // Orphans are never diverted into from anywhere else. A knot counts as reached
+    // if any of its stitches are, since it's common to divert straight to a stitch.
+    // Running from a knot into its own first stitch doesn't count.
+    var reached = new Set(edgeList.filter(e => e.from != e.to && e.kind != "enter").map(e => e.to));
+    nodeList.forEach(node => {
+        if( node.type == "start" || node.type == "function" )
+            node.orphan = false;
+        else if( node.type == "knot" )
+            node.orphan = !reached.has(node.id) && !node.stitchIds.some(id => reached.has(id));
+        else
+            node.orphan = !reached.has(node.id);
+    });
+
+    return { nodes: nodeList, edges: edgeList, startNodeId: startNodeId };
+}
+
+// Merges stitches into their knots, for a higher level overview. Edges between
+// stitches of the same knot are dropped, and parallel edges are combined.
+function collapseStitches(graph) {
+    var nodeIds = {};
+    graph.nodes.forEach(n => nodeIds[n.id] = n.parentId || n.id);
+
+    var edges = {};
+    graph.edges.forEach(edge => {
+        var from = nodeIds[edge.from], to = nodeIds[edge.to];
+        if( from == to ) return;
+
+        var key = from + "|" + to + "|" + edge.kind + "|" + (edge.label || "");
+        if( edges[key] )
+            edges[key].count += edge.count;
+        else
+            edges[key] = _.assign({}, edge, { from: from, to: to });
+    });
+
+    var nodes = graph.nodes.filter(n => !n.parentId).map(n => _.assign({}, n, { stitchIds: [] }));
+    return { nodes: nodes, edges: _.values(edges), startNodeId: graph.startNodeId };
+}
+
+exports.StoryGraph = {
+    build: build,
+    collapseStitches: collapseStitches
+};
@@ -0,0 +1,322 @@
+const $ = window.jQuery = require('./jquery-2.2.3.min.js');
+const _ = require("lodash");
+
+const InkProject = require("./inkProject.js").InkProject;
+const StoryGraph = require("./storyGraph.js").StoryGraph;
+const i18n = require("./i18n.js");
+
+// Layout, in unscaled SVG units
+const boxWidth = 160;
+const headerHeight = 22;
+const rowHeight = 18;
+const boxPadding = 4;
+const columnGap = 70;
+const boxGap = 16;
+const bandGap = 30;
+const bandLabelHeight = 24;
+const maxNameLength = 22;
+
+const minScale = 0.1;
+const maxScale = 3;
+
+var $panel = null;
+var $canvas = null;
+var viewport = null;
+
+var visible = false;
+var groupByFile = true;
+var hasBeenFitted = false;
+var refreshTimeout = null;
+
+var view = { x: 20, y: 20, scale: 1 };
+var contentSize = { width: 0, height: 0 };
+
+// Nodes by id from the last layout, so clicks can be looked up
+var nodesById = {};
+
+var events = {
+    gotoNode: () => {},
+    close: () => {}
+};
+
+$(document).ready(() => {
+    $panel = $("#story-graph");
+    $canvas = $panel.find("svg.story-graph-canvas");
+    viewport = $canvas.find("g.viewport").get(0);
+
+    $panel.on("click", ".close-story-graph", (e) => { e.preventDefault(); events.close(); });
+    $panel.on("click", ".zoom-in", (e) => { e.preventDefault(); zoomBy(1.25); });
+    $panel.on("click", ".zoom-out", (e) => { e.preventDefault(); zoomBy(0.8); });
+    $panel.on("click", ".zoom-fit", (e) => { e.preventDefault(); fit(); });
+
+    $panel.on("change", "input.group-by-file", function(event) {
+        groupByFile = event.currentTarget.checked;
+        render();
+    });
+
+    $canvas.on("click", ".graph-node", function(event) {
+        event.preventDefault();
+        var node = nodesById[$(event.currentTarget).attr("data-node-id")];
+        if( node )
+            events.gotoNode(node.inkFile, node.symbol ? node.symbol.row : 0);
+    });
+
+    // Zoom around the mouse pointer
+    $canvas.on("wheel", function(event) {
+        event.preventDefault();
+        var delta = event.originalEvent.deltaY;
+        var offset = $canvas.offset();
+        zoomBy(Math.exp(-delta * 0.002), event.pageX - offset.left, event.pageY - offset.top);
+    });
+
+    // Drag anywhere to pan
+    $canvas.on("mousedown", function(event) {
+        if( event.which != 1 ) return;
+        var lastX = event.pageX;
+        var lastY = event.pageY;
+        var moved = false;
+
+        $(window).on("mousemove.storyGraph", (e) => {
+            view.x += e.pageX - lastX;
+            view.y += e.pageY - lastY;
+            lastX = e.pageX;
+            lastY = e.pageY;
+            moved = true;
+            applyView();
+        });
+
+        $(window).on("mouseup.storyGraph", () => {
+            $(window).off(".storyGraph");
+
+            // Don't treat the end of a drag as a click on a node
+            if( moved )
+                $canvas.one("click", ".graph-node", e => e.stopImmediatePropagation());
+        });
+    });
+});
+
+function applyView() {
+    viewport.setAttribute("transform", `translate(${view.x},${view.y}) scale(${view.scale})`);
+}
+
+// Zooms around a point in the canvas, defaulting to the middle
+function zoomBy(factor, aroundX, aroundY) {
+    if( aroundX === undefined ) {
+        aroundX = $canvas.width() / 2;
+        aroundY = $canvas.height() / 2;
+    }
+
+    var newScale = Math.max(minScale, Math.min(maxScale, view.scale * factor));
+    factor = newScale / view.scale;
+
+    view.x = aroundX - (aroundX - view.x) * factor;
+    view.y = aroundY - (aroundY - view.y) * factor;
+    view.scale = newScale;
+    applyView();
+}
+
+function fit() {
+    var margin = 20;
+    var width = $canvas.width() - 2*margin;
+    var height = $canvas.height() - 2*margin;
+    if( contentSize.width == 0 || width <= 0 || height <= 0 )
+        return;
+
+    view.scale = Math.max(minScale, Math.min(1, width / contentSize.width, height / contentSize.height));
+    view.x = margin;
+    view.y = margin;
+    applyView();
+}
+
+function shortName(name) {
+    return name.length > maxNameLength ? name.substring(0, maxNameLength-1) + "…" : name;
+}
+
+// Columns are the shortest number of diverts from the start, worked out for whole knots.
+// Anything that can't be reached goes in an extra column at the end.
+function knotColumns(graph) {
+    var knotIdFor = {};
+    graph.nodes.forEach(n => knotIdFor[n.id] = n.parentId || n.id);
+
+    var outgoing = {};
+    graph.edges.forEach(e => {
+        var from = knotIdFor[e.from], to = knotIdFor[e.to];
+        if( from == to ) return;
+        outgoing[from] = outgoing[from] || [];
+        outgoing[from].push(to);
+    });
+
+    var columns = {};
+    columns[graph.startNodeId] = 0;
+    var queue = [graph.startNodeId];
+    while( queue.length > 0 ) {
+        var id = queue.shift();
+        (outgoing[id] || []).forEach(to => {
+            if( columns[to] === undefined ) {
+                columns[to] = columns[id] + 1;
+                queue.push(to);
+            }
+        });
+    }
+
+    var unreachedColumn = _.max(_.values(columns)) + 1;
+    graph.nodes.forEach(n => {
+        if( !n.parentId && columns[n.id] === undefined )
+            columns[n.id] = unreachedColumn;
+    });
+    return columns;
+}
+
+// Positions each knot's box, with its stitches as rows within it.
+// Returns the file bands with their labels.
+function layout(graph) {
+    var columns = knotColumns(graph);
+    var knots = graph.nodes.filter(n => !n.parentId);
+
+    var bands = groupByFile ? _.uniq(knots.map(n => n.inkFile)).map(f => ({ inkFile: f, knots: knots.filter(n => n.inkFile == f) }))
+                            : [{ inkFile: null, knots: knots }];
+
+    var top = 0;
+    bands.forEach(band => {
+        band.top = top;
+        var contentTop = top + (groupByFile ? bandLabelHeight : 0);
+
+        var columnBottoms = {};
+        band.knots.forEach(knot => {
+            var column = columns[knot.id];
+            var y = columnBottoms[column] !== undefined ? columnBottoms[column] + boxGap : contentTop;
+
+            knot.x = column * (boxWidth + columnGap);
+            knot.y = y;
+            knot.height = headerHeight + knot.stitchIds.length * rowHeight + (knot.stitchIds.length > 0 ? boxPadding : 0);
+            knot.anchorY = y + headerHeight/2;
+
+            knot.stitchIds.forEach((stitchId, idx) => {
+                var stitch = nodesById[stitchId];
+                stitch.x = knot.x;
+                stitch.y = y + headerHeight + idx * rowHeight;
+                stitch.anchorY = stitch.y + rowHeight/2;
+            });
+
+            columnBottoms[column] = y + knot.height;
+        });
+
+        band.bottom = Math.max(contentTop, _.max(_.values(columnBottoms)) || contentTop);
+        top = band.bottom + bandGap;
+    });
+
+    contentSize.width = (_.max(_.values(columns)) + 1) * (boxWidth + columnGap) - columnGap;
+    contentSize.height = Math.max(0, top - bandGap);
+
+    return bands;
+}
+
+function edgePath(from, to) {
+    var x1 = from.x + boxWidth, y1 = from.anchorY;
+    var y2 = to.anchorY;
+
+    // Within the same column, loop around the right hand side rather than through the boxes
+    if( from.x == to.x ) {
+        var loop = 30 + Math.abs(y2 - y1) / 4;
+        return `M${x1},${y1} C${x1 + loop},${y1} ${x1 + loop},${y2} ${x1},${y2}`;
+    }
+
+    var x2 = to.x;
+    var bend = Math.max(40, Math.abs(x2 - x1) / 2);
+    return `M${x1},${y1} C${x1 + bend},${y1} ${x2 - bend},${y2} ${x2},${y2}`;
+}
+
+function render() {
+    if( !visible || !InkProject.currentProject )
+        return;
+
+    var graph = StoryGraph.build(InkProject.currentProject);
+    nodesById = _.keyBy(graph.nodes, "id");
+    var bands = layout(graph);
+
+    var orphanLabel = i18n._("Nothing diverts here");
+    var svg = "";
+
+    if( groupByFile ) {
+        bands.forEach(band => {
+            svg += `<g class="graph-band">
+                      <rect x="-10" y="${band.top}" width="${contentSize.width + 20}" height="${band.bottom - band.top + 10}"></rect>
+                      <text x="0" y="${band.top + 16}">${_.escape(band.inkFile.relativePath())}</text>
+                    </g>`;
+        });
+    }
+
+    // Edges go underneath the boxes
+    graph.edges.forEach(edge => {
+        if( edge.from == edge.to ) return;
+        var from = nodesById[edge.from], to = nodesById[edge.to];
+        var title = `${from.id} → ${to.id} (${edge.kind}${edge.count > 1 ? " ×" + edge.count : ""})`;
+        svg += `<path class="graph-edge ${edge.kind}" d="${edgePath(from, to)}" marker-end="url(#story-graph-arrow-${edge.kind})"><title>${_.escape(title)}</title></path>`;
+    });
+
+    graph.nodes.filter(n => !n.parentId).forEach(knot => {
+        var knotClass = `${knot.type}${knot.orphan ? " orphan" : ""}`;
+        var title = knot.orphan ? `${knot.id} - ${orphanLabel}` : knot.id;
+        svg += `<g class="graph-knot ${knotClass}">
+                  <rect class="graph-box" x="${knot.x}" y="${knot.y}" width="${boxWidth}" height="${knot.height}" rx="4"></rect>
+                  <g class="graph-node ${knotClass}" data-node-id="${_.escape(knot.id)}">
+                    <rect x="${knot.x}" y="${knot.y}" width="${boxWidth}" height="${headerHeight}" rx="4"></rect>
+                    <text x="${knot.x + 8}" y="${knot.y + 15}">${_.escape(shortName(knot.name))}</text>
+                    <title>${_.escape(title)}</title>
+                  </g>`;
+
+        knot.stitchIds.forEach(stitchId => {
+            var stitch = nodesById[stitchId];
+            var stitchClass = `stitch${stitch.orphan ? " orphan" : ""}`;
+            var stitchTitle = stitch.orphan ? `${stitch.id} - ${orphanLabel}` : stitch.id;
+            svg += `<g class="graph-node ${stitchClass}" data-node-id="${_.escape(stitch.id)}">
+                      <rect x="${stitch.x + 2}" y="${stitch.y}" width="${boxWidth - 4}" height="${rowHeight}"></rect>
+                      <text x="${stitch.x + 16}" y="${stitch.y + 13}">${_.escape(shortName(stitch.name))}</text>
+                      <title>${_.escape(stitchTitle)}</title>
+                    </g>`;
+        });
+
+        svg += `</g>`;
+    });
+
+    viewport.innerHTML = svg;
+    applyView();
+
+    if( !hasBeenFitted ) {
+        hasBeenFitted = true;
+        fit();
+    }
+}
+
+// Called whenever a file's symbols are reparsed, which can be on every keystroke
+function scheduleRefresh() {
+    if( !visible ) return;
+
+    if( refreshTimeout )
+        clearTimeout(refreshTimeout);
+
+    refreshTimeout = setTimeout(() => {
+        refreshTimeout = null;
+        render();
+    }, 500);
+}
+
+function show() {
+    visible = true;
+    $panel.removeClass("hidden");
+    render();
+}
+
+function hide() {
+    visible = false;
+    $panel.addClass("hidden");
+}
+
+exports.StoryGraphView = {
+    setEvents: e => events = e,
+    show: show,
+    hide: hide,
+    toggle: () => visible ? hide() : show(),
+    scheduleRefresh: scheduleRefresh,
+    reset: () => { hasBeenFitted = false; scheduleRefresh(); }
+}
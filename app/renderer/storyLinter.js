@@ -0,0 +1,396 @@
+const _ = require("lodash");
+
+const SymbolReferences = require("./symbolReferences.js").SymbolReferences;
+const StoryGraph = require("./storyGraph.js").StoryGraph;
+
+// Static checks for common mistakes in ink that still compiles. Each rule can be
+// switched off or given a different severity with the "lint" project setting, e.g.
+//   "lint": { "write-only-variable": "off", "missing-end": "error" }
+// or "lint": false to turn off all of them.
+//
+// Issues are in the same form as the compiler's, so that they can be shown alongside them:
+//   { type: "ERROR"|"WARNING"|"TODO", filename, lineNumber, message, rule }
+
+const rules = {
+    "unused-variable":          "warning",
+    "write-only-variable":      "warning",
+    "unreferenced-knot":        "warning",
+    "loop-without-fallback":    "warning",
+    "missing-end":              "warning",
+    "inconsistent-indentation": "warning",
+    "duplicate-label":          "warning"
+};
+
+const issueTypes = {
+    error: "ERROR",
+    warning: "WARNING",
+    todo: "TODO"
+};
+
+// The issue type to use for each rule, or null for rules that are off
+function ruleIssueTypes(settings) {
+    var types = {};
+    _.forEach(rules, (defaultSeverity, rule) => {
+        var severity = settings === false ? "off" : defaultSeverity;
+        if( settings && settings[rule] !== undefined )
+            severity = settings[rule] === false ? "off" : String(settings[rule]).toLowerCase();
+        types[rule] = issueTypes[severity] || null;
+    });
+    return types;
+}
+
+// --------------------------------------------------------
+// Lines
+// --------------------------------------------------------
+
+// Splits a file into logical lines, with multi-line {...} blocks and block comments
+// folded into the line they start on, so that e.g. the "- condition:" lines inside
+// a conditional aren't mistaken for gathers. Each is { row, lastRow, text }.
+function logicalLines(inkFile) {
+    var doc = inkFile.aceDocument;
+    var lines = [];
+    var current = null;
+    var braceDepth = 0;
+    var inBlockComment = false;
+
+    for(var row=0; row<doc.getLength(); row++) {
+        var line = doc.getLine(row);
+        var code = "";
+
+        for(var i=0; i<line.length; i++) {
+            if( inBlockComment ) {
+                if( line[i] == "*" && line[i+1] == "/" ) { inBlockComment = false; i++; }
+                continue;
+            }
+            if( line[i] == "/" && line[i+1] == "*" ) { inBlockComment = true; i++; continue; }
+            if( line[i] == "/" && line[i+1] == "/" ) break;
+            if( line[i] == "\\" ) { code += line.substr(i, 2); i++; continue; }
+            if( line[i] == "{" ) braceDepth++;
+            else if( line[i] == "}" ) braceDepth = Math.max(0, braceDepth-1);
+            code += line[i];
+        }
+
+        if( current ) {
+            current.text += "\n" + code;
+            current.lastRow = row;
+        } else if( code.trim().length > 0 ) {
+            current = { row: row, lastRow: row, text: code };
+        }
+
+        if( current && braceDepth == 0 && !inBlockComment ) {
+            lines.push(current);
+            current = null;
+        }
+    }
+
+    if( current )
+        lines.push(current);
+
+    return lines;
+}
+
+// Choice and gather bullets at the start of a line, e.g. "  * * " is a choice of depth 2
+function weaveBullets(text) {
+    var choice = text.match(/^(\s*)((?:[*+]\s*)+)/);
+    if( choice ) {
+        var choiceBullets = choice[2].replace(/\s/g, "");
+        return { type: "choice", indent: choice[1], depth: choiceBullets.length, sticky: choiceBullets.includes("+"), rest: text.substring(choice[0].length) };
+    }
+
+    var gather = text.match(/^(\s*)((?:-(?!>)\s*)+)/);
+    if( gather )
+        return { type: "gather", indent: gather[1], depth: gather[2].replace(/\s/g, "").length, rest: text.substring(gather[0].length) };
+
+    return null;
+}
+
+function isFlowHeader(text) {
+    return /^\s*=/.test(text);
+}
+
+function isDeclaration(text) {
+    return /^\s*(VAR|CONST|LIST|EXTERNAL|INCLUDE)\b/.test(text);
+}
+
+function hasDivert(text) {
+    return /->/.test(text);
+}
+
+// A fallback choice has no text, e.g. "* -> somewhere"
+function isFallbackChoice(bullets) {
+    var rest = bullets.rest
+        .replace(/^\(\s*\w+\s*\)\s*/, "")   // label
+        .replace(/^(\{[^}]*\}\s*)*/, "");     // conditions
+    return rest.trim().length == 0 || rest.trim().startsWith("->");
+}
+
+// --------------------------------------------------------
+// Flows
+// --------------------------------------------------------
+
+function isKnot(symbol) {
+    return symbol.flowType && symbol.flowType.name == "Knot";
+}
+
+function isStitch(symbol) {
+    return symbol.flowType && symbol.flowType.name == "Stitch";
+}
+
+// The content of each knot and stitch in a file, as the logical lines between its
+// header and the next one. A knot with stitches only owns the content before its
+// first stitch. Each is { symbol, knot, lines }.
+function flowBodies(inkFile, lines) {
+    var headers = [];
+    (inkFile.symbols.rangeIndex || []).forEach(range => {
+        if( !isKnot(range.symbol) ) return;
+        headers.push(range.symbol);
+        (range.symbol.rangeIndex || []).forEach(r => {
+            if( isStitch(r.symbol) ) headers.push(r.symbol);
+        });
+    });
+
+    return headers.map((symbol, idx) => {
+        var nextRow = idx < headers.length-1 ? headers[idx+1].row : Infinity;
+        return {
+            symbol: symbol,
+            knot: isKnot(symbol) ? symbol : symbol.parent,
+            lines: lines.filter(l => l.row > symbol.row && l.row < nextRow && !isFlowHeader(l.text))
+        };
+    });
+}
+
+function flowName(symbol) {
+    return isStitch(symbol) ? symbol.parent.name + "." + symbol.name : symbol.name;
+}
+
+// --------------------------------------------------------
+// Rules
+// --------------------------------------------------------
+
+function variableRules(project, report) {
+    var usage = SymbolReferences.variableUsage(project);
+    _.forEach(usage, (use, name) => {
+        var decl = use.declaration;
+        if( use.reads == 0 && use.assignments == 0 )
+            report("unused-variable", decl.inkFile, decl.row, `${decl.varType} '${name}' is never used`);
+        else if( use.reads == 0 )
+            report("write-only-variable", decl.inkFile, decl.row, `${decl.varType} '${name}' is assigned but never read`);
+    });
+}
+
+function unreferencedKnotRule(project, report) {
+    StoryGraph.build(project).nodes.forEach(node => {
+        if( node.type == "knot" && node.orphan )
+            report("unreferenced-knot", node.inkFile, node.symbol.row, `Nothing diverts to knot '${node.name}'`);
+    });
+}
+
+// The top level choices after the last top level gather, each with the lines of its branch
+function finalChoiceBranches(lines) {
+    var branches = [];
+    lines.forEach(line => {
+        var bullets = weaveBullets(line.text);
+        if( bullets && bullets.depth == 1 ) {
+            if( bullets.type == "gather" )
+                branches = [];
+            else
+                branches.push({ choice: line, lines: [line] });
+            return;
+        }
+        if( branches.length > 0 )
+            _.last(branches).lines.push(line);
+    });
+    return branches;
+}
+
+// Knots and stitches where the flow can run out without a divert, -> DONE or -> END
+function missingEndRule(body, report) {
+    if( body.knot.isfunc ) return;
+
+    var lines = body.lines.filter(l => !isDeclaration(l.text));
+    if( lines.length == 0 ) return;
+
+    var message = `'${flowName(body.symbol)}' can run out of content here without a divert, -> DONE or -> END`;
+
+    var branches = finalChoiceBranches(lines);
+    if( branches.length == 0 ) {
+        var lastLine = _.last(lines);
+        if( !hasDivert(lastLine.text) )
+            report("missing-end", body.symbol.inkFile, lastLine.row, message);
+        return;
+    }
+
+    branches.forEach(branch => {
+        var lastLine = _.last(branch.lines);
+        if( !hasDivert(lastLine.text) )
+            report("missing-end", body.symbol.inkFile, lastLine.row, message);
+    });
+}
+
+// Groups of top level choices, split by top level gathers
+function choiceGroups(lines) {
+    var groups = [];
+    var current = null;
+    lines.forEach(line => {
+        var bullets = weaveBullets(line.text);
+        if( !bullets || bullets.depth != 1 ) return;
+        if( bullets.type == "gather" ) {
+            current = null;
+            return;
+        }
+        if( !current ) {
+            current = { row: line.row, choices: [] };
+            groups.push(current);
+        }
+        current.choices.push(bullets);
+    });
+    return groups;
+}
+
+// Once-only choices that can be looped back to will eventually all be used up,
+// so they need a sticky or fallback choice for when that happens
+function loopWithoutFallbackRule(project, declarations, body, report) {
+    if( body.knot.isfunc ) return;
+    var inkFile = body.symbol.inkFile;
+
+    var firstRow = body.symbol.row;
+    var lastRow = body.lines.length > 0 ? _.last(body.lines).lastRow : firstRow;
+
+    // Rows that diverts within this flow loop back to
+    var loopTargetRows = [];
+    inkFile.symbols.getReferences().forEach(reference => {
+        if( reference.kind != "divert" || reference.row < firstRow || reference.row > lastRow ) return;
+
+        var target = SymbolReferences.divertTargetSymbol(project, inkFile, reference, declarations);
+        if( !target || target.inkFile != inkFile ) return;
+        if( target === body.symbol || (target.row > firstRow && target.row <= lastRow && target.row < reference.row) )
+            loopTargetRows.push({ targetRow: target.row, divertRow: reference.row });
+    });
+    if( loopTargetRows.length == 0 ) return;
+
+    choiceGroups(body.lines).forEach(group => {
+        var loopedBackTo = loopTargetRows.some(l => l.targetRow < group.row && l.divertRow > group.row);
+        if( !loopedBackTo ) return;
+
+        if( group.choices.some(c => c.sticky || isFallbackChoice(c)) ) return;
+
+        report("loop-without-fallback", inkFile, group.row,
+            `These choices are looped back to, but they're all once-only and there's no fallback choice for when they run out`);
+    });
+}
+
+// Choices and gathers of the same depth should line up with each other within a flow
+function inconsistentIndentationRule(inkFile, lines, bodies, report) {
+    var bodyStarts = bodies.map(b => b.symbol.row);
+
+    var indentsByDepth = {};
+    lines.forEach(line => {
+        if( isFlowHeader(line.text) && bodyStarts.includes(line.row) ) {
+            indentsByDepth = {};
+            return;
+        }
+
+        var bullets = weaveBullets(line.text);
+        if( !bullets ) return;
+
+        var expected = indentsByDepth[bullets.depth];
+        if( expected === undefined ) {
+            indentsByDepth[bullets.depth] = bullets.indent;
+            return;
+        }
+
+        if( bullets.indent != expected ) {
+            var what = bullets.type == "choice" ? "Choice" : "Gather";
+            report("inconsistent-indentation", inkFile, line.row,
+                `${what} is indented differently to the earlier weave bullets at depth ${bullets.depth}`);
+        }
+    });
+}
+
+// The compiler catches duplicate labels within a single knot or stitch, but not
+// across different stitches of the same knot, where they make "knot.label" ambiguous
+function duplicateLabelRule(inkFile, report) {
+    (inkFile.symbols.rangeIndex || []).forEach(range => {
+        var knot = range.symbol;
+        if( !isKnot(knot) ) return;
+
+        var labels = [];
+        var collectLabels = symbol => {
+            (symbol.rangeIndex || []).forEach(r => {
+                if( isStitch(r.symbol) )
+                    collectLabels(r.symbol);
+                else {
+                    labels.push(r.symbol);
+                    collectLabels(r.symbol);
+                }
+            });
+        };
+        collectLabels(knot);
+
+        var stitchFor = label => {
+            while( label && !isStitch(label) && !isKnot(label) ) label = label.parent;
+            return label;
+        };
+
+        _.forEach(_.groupBy(labels, "name"), sameName => {
+            for(var i=1; i<sameName.length; i++) {
+                var first = sameName[0];
+                if( stitchFor(first) === stitchFor(sameName[i]) ) continue;
+                report("duplicate-label", inkFile, sameName[i].row,
+                    `Label '${sameName[i].name}' is also used on line ${first.row+1} in knot '${knot.name}'`);
+            }
+        });
+    });
+}
+
+// --------------------------------------------------------
+
+// Runs every rule that's switched on in the settings over the whole project
+function lint(project, settings) {
+    var types = ruleIssueTypes(settings);
+    if( !_.some(types) ) return [];
+
+    var issues = [];
+    var report = (rule, inkFile, row, message) => {
+        if( !types[rule] ) return;
+        issues.push({
+            type: types[rule],
+            filename: inkFile.relativePath(),
+            lineNumber: row+1,
+            message: `${message} [${rule}]`,
+            rule: rule
+        });
+    };
+
+    project.files.forEach(inkFile => inkFile.symbols.getSymbols());
+
+    if( types["unused-variable"] || types["write-only-variable"] )
+        variableRules(project, report);
+
+    if( types["unreferenced-knot"] )
+        unreferencedKnotRule(project, report);
+
+    var declarations = SymbolReferences.variableDeclarations(project);
+    project.files.forEach(inkFile => {
+        var lines = logicalLines(inkFile);
+        var bodies = flowBodies(inkFile, lines);
+
+        bodies.forEach(body => {
+            if( types["missing-end"] ) missingEndRule(body, report);
+            if( types["loop-without-fallback"] ) loopWithoutFallbackRule(project, declarations, body, report);
+        });
+
+        if( types["inconsistent-indentation"] )
+            inconsistentIndentationRule(inkFile, lines, bodies, report);
+
+        if( types["duplicate-label"] )
+            duplicateLabelRule(inkFile, report);
+    });
+
+    return _.sortBy(issues, [i => i.filename, i => i.lineNumber]);
+}
+
+exports.StoryLinter = {
+    rules: Object.keys(rules),
+    lint: lint
+};
@@ -0,0 +1,164 @@
+const _ = require("lodash");
+
+// Text versions of a StoryGraph, for reviewing the structure of a story outside Inky
+
+const formats = {
+    dot:     { name: "Graphviz DOT",      extensions: ["dot", "gv"] },
+    mermaid: { name: "Mermaid flowchart", extensions: ["mmd"] }
+};
+
+function nodeLabel(node) {
+    return node.type == "stitch" ? node.id : node.name;
+}
+
+function edgeLabel(edge) {
+    if( edge.label ) return edge.label;
+    if( edge.kind == "tunnel" || edge.kind == "thread" || edge.kind == "call" ) return edge.kind;
+    return "";
+}
+
+// Stitches, grouped under their knots, with knots that have no stitches by themselves
+function nodeGroups(graph) {
+    var byId = _.keyBy(graph.nodes, "id");
+    return graph.nodes.filter(n => !n.parentId).map(node => ({
+        node: node,
+        stitches: (node.stitchIds || []).map(id => byId[id]).filter(s => s)
+    }));
+}
+
+function dotString(str) {
+    return `"${str.replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n")}"`;
+}
+
+const dotShapes = {
+    start:    "shape=oval, style=filled, fillcolor=\"#D8E6D0\"",
+    knot:     "shape=box, style=\"rounded,filled\", fillcolor=\"#E8E8E8\"",
+    stitch:   "shape=box, style=rounded",
+    function: "shape=hexagon"
+};
+
+const dotEdgeStyles = {
+    divert: "",
+    enter:  "color=\"#AAAAAA\"",
+    tunnel: "style=dashed, color=\"#5B8DB8\"",
+    thread: "style=dotted, color=\"#8E6FB5\"",
+    call:   "style=dotted, arrowhead=empty"
+};
+
+function toDot(graph, title) {
+    var lines = [];
+    lines.push(`digraph ${dotString(title)} {`);
+    lines.push(`    rankdir=LR;`);
+    lines.push(`    node [fontname="Helvetica", fontsize=11];`);
+    lines.push(`    edge [fontname="Helvetica", fontsize=9];`);
+    lines.push("");
+
+    var nodeLine = (node, indent) => {
+        var attributes = [`label=${dotString(nodeLabel(node))}`, dotShapes[node.type]];
+        if( node.orphan ) attributes.push("color=\"#D0021B\"");
+        lines.push(`${indent}${dotString(node.id)} [${attributes.join(", ")}];`);
+    };
+
+    nodeGroups(graph).forEach(group => {
+        if( group.stitches.length == 0 ) {
+            nodeLine(group.node, "    ");
+            return;
+        }
+
+        lines.push(`    subgraph ${dotString("cluster_" + group.node.id)} {`);
+        lines.push(`        label=${dotString(group.node.name)};`);
+        lines.push(`        style=rounded;`);
+        nodeLine(group.node, "        ");
+        group.stitches.forEach(stitch => nodeLine(stitch, "        "));
+        lines.push(`    }`);
+    });
+
+    lines.push("");
+
+    graph.edges.forEach(edge => {
+        var attributes = [];
+        var label = edgeLabel(edge);
+        if( label ) attributes.push(`label=${dotString(label)}`);
+        if( dotEdgeStyles[edge.kind] ) attributes.push(dotEdgeStyles[edge.kind]);
+        if( edge.count > 1 ) attributes.push(`penwidth=${Math.min(1 + edge.count/2, 4)}`);
+
+        var attributesStr = attributes.length > 0 ? ` [${attributes.join(", ")}]` : "";
+        lines.push(`    ${dotString(edge.from)} -> ${dotString(edge.to)}${attributesStr};`);
+    });
+
+    lines.push("}");
+    return lines.join("\n") + "\n";
+}
+
+// Mermaid ids can't contain dots and labels can't contain quotes, so nodes get
+// generated ids and labels use Mermaid's entity codes
+function mermaidString(str) {
+    return `"${str.replace(/"/g, "#quot;").replace(/\n/g, " ")}"`;
+}
+
+const mermaidShapes = {
+    start:    label => `([${label}])`,
+    knot:     label => `[${label}]`,
+    stitch:   label => `(${label})`,
+    function: label => `{{${label}}}`
+};
+
+const mermaidArrows = {
+    divert: "-->",
+    enter:  "-->",
+    tunnel: "==>",
+    thread: "-.->",
+    call:   "-.->"
+};
+
+function toMermaid(graph, title) {
+    var ids = {};
+    graph.nodes.forEach((node, idx) => ids[node.id] = "n" + idx);
+
+    var lines = [];
+    lines.push(`---`);
+    lines.push(`title: ${mermaidString(title)}`);
+    lines.push(`---`);
+    lines.push(`flowchart LR`);
+
+    var nodeLine = (node, indent) => {
+        lines.push(`${indent}${ids[node.id]}${mermaidShapes[node.type](mermaidString(nodeLabel(node)))}`);
+    };
+
+    nodeGroups(graph).forEach((group, groupIdx) => {
+        if( group.stitches.length == 0 ) {
+            nodeLine(group.node, "    ");
+            return;
+        }
+
+        lines.push(`    subgraph g${groupIdx}[${mermaidString(group.node.name)}]`);
+        nodeLine(group.node, "        ");
+        group.stitches.forEach(stitch => nodeLine(stitch, "        "));
+        lines.push(`    end`);
+    });
+
+    graph.edges.forEach(edge => {
+        var label = edgeLabel(edge);
+        var labelStr = label ? `|${mermaidString(label)}|` : "";
+        lines.push(`    ${ids[edge.from]} ${mermaidArrows[edge.kind]}${labelStr} ${ids[edge.to]}`);
+    });
+
+    var orphans = graph.nodes.filter(n => n.orphan);
+    if( orphans.length > 0 ) {
+        lines.push(`    classDef orphan stroke:#D0021B,color:#D0021B`);
+        lines.push(`    class ${orphans.map(n => ids[n.id]).join(",")} orphan`);
+    }
+
+    return lines.join("\n") + "\n";
+}
+
+function exportString(graph, format, title) {
+    return format == "mermaid" ? toMermaid(graph, title) : toDot(graph, title);
+}
+
+exports.StructureExport = {
+    formats: formats,
+    toDot: toDot,
+    toMermaid: toMermaid,
+    exportString: exportString
+};
@@ -0,0 +1,98 @@
+const $ = window.jQuery = require('./jquery-2.2.3.min.js');
+
+const EditorView = require("./editorView.js").EditorView;
+
+// Options for File → Export Structure, remembered between exports
+
+const optionsStorageKey = "structureExportOptions";
+
+const defaultOptions = {
+    format: "dot",
+    collapseStitches: false,
+    includeFunctions: false,
+    choiceLabels: true
+};
+
+var $container = null;
+var $dialog = null;
+
+var confirmed = null;
+
+$(document).ready(() => {
+    $container = $("#export-structure-container");
+    $dialog = $("#export-structure");
+
+    $dialog.find(".confirm").on("click", (e) => { e.preventDefault(); accept(); });
+    $dialog.find(".cancel").on("click", (e) => { e.preventDefault(); hide(); });
+
+    $dialog.on("keydown", (e) => {
+        // return
+        if( e.keyCode == 13 ) {
+            e.preventDefault();
+            accept();
+        }
+        // escape
+        else if( e.keyCode == 27 ) {
+            e.preventDefault();
+            hide();
+        }
+    });
+
+    // Click outside the dialog to cancel
+    $container.on("click", (e) => {
+        if( e.target == $container.get(0) )
+            hide();
+    });
+});
+
+function loadOptions() {
+    try {
+        return Object.assign({}, defaultOptions, JSON.parse(window.localStorage.getItem(optionsStorageKey)));
+    } catch(e) {
+        return Object.assign({}, defaultOptions);
+    }
+}
+
+// confirmed(options) gets { format: "dot"|"mermaid", collapseStitches, includeFunctions, choiceLabels }
+function show(onConfirmed) {
+    confirmed = onConfirmed;
+
+    EditorView.saveCursorPos();
+
+    var options = loadOptions();
+    $dialog.find(`input[name='export-structure-format'][value='${options.format}']`).prop("checked", true);
+    $dialog.find("input.collapse-stitches").prop("checked", options.collapseStitches);
+    $dialog.find("input.include-functions").prop("checked", options.includeFunctions);
+    $dialog.find("input.choice-labels").prop("checked", options.choiceLabels);
+
+    $container.removeClass("hidden");
+    $dialog.find(".confirm").focus();
+}
+
+function hide() {
+    $container.addClass("hidden");
+    confirmed = null;
+
+    EditorView.focus();
+    EditorView.restoreCursorPos();
+}
+
+function accept() {
+    if( !confirmed ) return;
+
+    var options = {
+        format: $dialog.find("input[name='export-structure-format']:checked").val() || defaultOptions.format,
+        collapseStitches: $dialog.find("input.collapse-stitches").prop("checked"),
+        includeFunctions: $dialog.find("input.include-functions").prop("checked"),
+        choiceLabels: $dialog.find("input.choice-labels").prop("checked")
+    };
+    window.localStorage.setItem(optionsStorageKey, JSON.stringify(options));
+
+    var onConfirmed = confirmed;
+    hide();
+    onConfirmed(options);
+}
+
+exports.StructureExportView = {
+    show: show
+}
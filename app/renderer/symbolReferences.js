@@ -0,0 +1,244 @@
+const _ = require("lodash");
+
+// Resolves the names recorded by InkFileSymbols (see getReferences) to what they
+// refer to, so that we can find every use of a knot, stitch, label or variable.
+//
+// A target is either:
+//   { type: "flow", name, symbol }            - knot, stitch, function or label
+//   { type: "variable", name, declaration }   - VAR, CONST, LIST or list item
+
+const divertKinds = ["divert", "tunnel", "thread"];
+
+// All VAR/CONST/LIST declarations across the project
+function variableDeclarations(project) {
+    var declarations = {};
+    project.files.forEach(inkFile => {
+        _.defaults(declarations, inkFile.symbols.getVariableDeclarations());
+    });
+    return declarations;
+}
+
+// Splits a reference like "knot.stitch" into components, each with its own column
+function pathComponents(reference) {
+    var column = reference.column;
+    return reference.name.split(".").map(name => {
+        var comp = { name: name, column: column };
+        column += name.length + 1;
+        return comp;
+    });
+}
+
+// Innermost knot/stitch containing the position
+function enclosingFlow(inkFile, row) {
+    var flows = inkFile.symbols.flowAtPos({row: row, column: 0});
+    if( !flows ) return null;
+    return flows.Stitch || flows.Knot || null;
+}
+
+// Parameters and temps shadow globals of the same name
+function isLocalName(inkFile, row, name) {
+    var flow = enclosingFlow(inkFile, row);
+    if( !flow ) return false;
+
+    var flows = inkFile.symbols.flowAtPos({row: row, column: 0});
+    for(var flowType in flows) {
+        var params = flows[flowType].parameters;
+        if( params && params.includes(name) )
+            return true;
+    }
+
+    var temps = inkFile.symbols.getTempNamesByFlow().get(flow);
+    return !!temps && temps.has(name);
+}
+
+// e.g. "knot.stitch", or "" for content at the top of a file
+function flowPathAtRow(inkFile, row) {
+    var flows = inkFile.symbols.flowAtPos({row: row, column: 0});
+    if( !flows || !flows.Knot ) return "";
+    return flows.Stitch ? flows.Knot.name + "." + flows.Stitch.name : flows.Knot.name;
+}
+
+function findFlow(project, path, inkFile, pos) {
+    var symbol = project.findSymbol(path, pos, inkFile);
+
+    // findSymbol gives back the deepest symbol it managed to resolve,
+    // so check it found the whole path
+    var lastName = path.split(".").pop();
+    if( symbol && symbol.name == lastName )
+        return symbol;
+    return null;
+}
+
+// What the compIdx'th component of the given reference refers to, or null
+function targetForComponent(project, inkFile, reference, compIdx, declarations) {
+    declarations = declarations || variableDeclarations(project);
+
+    var comps = pathComponents(reference);
+    var names = comps.map(c => c.name);
+    var name = names[compIdx];
+    var pos = { row: reference.row, column: comps[compIdx].column };
+
+    if( reference.kind == "temp" )
+        return null;
+
+    if( reference.kind == "declaration" ) {
+        var declKey = reference.listName ? reference.listName + "." + name : name;
+        var declaration = declarations[declKey];
+        return declaration ? { type: "variable", name: name, declaration: declaration } : null;
+    }
+
+    if( reference.kind == "external" ) {
+        var func = findFlow(project, name, inkFile, pos);
+        return func ? { type: "flow", name: name, symbol: func } : null;
+    }
+
+    var isDivert = divertKinds.includes(reference.kind);
+
+    // Diverts are usually to knots, but can be to a variable holding a divert target
+    if( isDivert ) {
+        var flow = findFlow(project, names.slice(0, compIdx+1).join("."), inkFile, pos);
+        if( flow )
+            return { type: "flow", name: name, symbol: flow };
+    }
+
+    // Variables, lists, and list items qualified with their list name
+    if( compIdx <= 1 && !isLocalName(inkFile, reference.row, names[0]) ) {
+        var varDecl = declarations[names.slice(0, compIdx+1).join(".")];
+        if( varDecl && (compIdx == 0 || varDecl.listName == names[0]) )
+            return { type: "variable", name: name, declaration: varDecl };
+    }
+
+    // Read counts and function calls
+    if( !isDivert ) {
+        var readFlow = findFlow(project, names.slice(0, compIdx+1).join("."), inkFile, pos);
+        if( readFlow )
+            return { type: "flow", name: name, symbol: readFlow };
+    }
+
+    return null;
+}
+
+function flowSymbolAtPos(symbols, pos) {
+    for(var name in symbols) {
+        var symbol = symbols[name];
+        if( symbol.row == pos.row && pos.column >= symbol.column && pos.column <= symbol.column + symbol.name.length )
+            return symbol;
+        var inner = flowSymbolAtPos(symbol.innerSymbols, pos);
+        if( inner ) return inner;
+    }
+    return null;
+}
+
+// The knot, stitch, label or variable whose name is under the cursor
+function targetAtPos(project, inkFile, pos) {
+
+    // Declarations of knots, stitches and labels
+    var flowSymbol = flowSymbolAtPos(inkFile.symbols.getSymbols(), pos);
+    if( flowSymbol )
+        return { type: "flow", name: flowSymbol.name, symbol: flowSymbol };
+
+    var references = inkFile.symbols.getReferences();
+    for(var i=0; i<references.length; i++) {
+        var reference = references[i];
+        if( reference.row != pos.row ) continue;
+
+        var comps = pathComponents(reference);
+        for(var c=0; c<comps.length; c++) {
+            var comp = comps[c];
+            if( pos.column >= comp.column && pos.column <= comp.column + comp.name.length )
+                return targetForComponent(project, inkFile, reference, c);
+        }
+    }
+
+    return null;
+}
+
+// The knot, stitch or label that a divert, tunnel or thread goes to, or null
+// for things like DONE, END, or a variable holding a divert target
+function divertTargetSymbol(project, inkFile, reference, declarations) {
+    var lastCompIdx = reference.name.split(".").length - 1;
+    var target = targetForComponent(project, inkFile, reference, lastCompIdx, declarations);
+    return target && target.type == "flow" ? target.symbol : null;
+}
+
+function isSameTarget(a, b) {
+    if( !a || !b || a.type != b.type ) return false;
+    if( a.type == "flow" ) return a.symbol === b.symbol;
+    return a.declaration === b.declaration;
+}
+
+// Every use of the target across the project, including its declaration.
+// Each is { inkFile, row, column, length, kind }, sorted by file then position.
+function findReferences(project, target) {
+    var declarations = variableDeclarations(project);
+    var found = [];
+
+    if( target.type == "flow" ) {
+        var symbol = target.symbol;
+        found.push({ inkFile: symbol.inkFile, row: symbol.row, column: symbol.column, length: symbol.name.length, kind: "declaration" });
+    }
+
+    project.files.forEach(inkFile => {
+        inkFile.symbols.getReferences().forEach(reference => {
+            var comps = pathComponents(reference);
+            for(var c=0; c<comps.length; c++) {
+                if( comps[c].name != target.name ) continue;
+
+                var refTarget = targetForComponent(project, inkFile, reference, c, declarations);
+                if( isSameTarget(refTarget, target) ) {
+                    found.push({
+                        inkFile: inkFile,
+                        row: reference.row,
+                        column: comps[c].column,
+                        length: target.name.length,
+                        kind: reference.kind
+                    });
+                }
+            }
+        });
+    });
+
+    return _.sortBy(found, [r => r.inkFile.isMain() ? 0 : 1, r => r.inkFile.relativePath(), "row", "column"]);
+}
+
+// How each VAR, CONST and LIST is used across the project, keyed by name:
+//   { declaration, reads, assignments }
+// Diverts to a variable holding a divert target count as reads.
+function variableUsage(project) {
+    var declarations = variableDeclarations(project);
+    var usage = {};
+    _.forEach(declarations, (declaration, key) => {
+        if( declaration.varType != "LIST item" && key == declaration.name )
+            usage[key] = { declaration: declaration, reads: 0, assignments: 0 };
+    });
+
+    project.files.forEach(inkFile => {
+        inkFile.symbols.getReferences().forEach(reference => {
+            if( reference.kind == "declaration" ) return;
+
+            // Only resolve names that could be one of the variables, since it's slow
+            var firstName = reference.name.split(".")[0];
+            if( !usage[firstName] ) return;
+
+            var target = targetForComponent(project, inkFile, reference, 0, declarations);
+            if( !target || target.type != "variable" || target.declaration !== usage[firstName].declaration )
+                return;
+
+            if( reference.kind == "assignment" )
+                usage[firstName].assignments++;
+            else
+                usage[firstName].reads++;
+        });
+    });
+
+    return usage;
+}
+
+exports.SymbolReferences = {
+    targetAtPos: targetAtPos,
+    findReferences: findReferences,
+    divertTargetSymbol: divertTargetSymbol,
+    flowPathAtRow: flowPathAtRow,
+    variableDeclarations: variableDeclarations,
+    variableUsage: variableUsage
+};
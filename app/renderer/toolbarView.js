@@ -117,6 +117,16 @@ $(document).ready(function() {
         event.preventDefault();
     });
 
+    $("#toolbar .find-toggle.button").on("click", function(event) {
+        events.toggleSidebar("#find-in-project-wrapper", ".find-toggle.button");
+        event.preventDefault();
+    });
+
+    $("#toolbar .issuesSummary").on("click", function(event) {
+        events.toggleSidebar("#problems-wrapper", ".issuesSummary");
+        event.preventDefault();
+    });
+
     $("#toolbar .nav-back.button").on("click", function(event) {
         events.navigateBack();
         event.preventDefault();
@@ -134,6 +144,16 @@ $(document).ready(function() {
         event.preventDefault();
     });
 
+    $("#toolbar .visit-counts-toggle.button").on("click", function(event) {
+        events.toggleSidebar("#visit-counts-wrapper", ".visit-counts-toggle.button");
+        event.preventDefault();
+    });
+
+    $("#toolbar .turn-history-toggle.button").on("click", function(event) {
+        events.toggleSidebar("#turn-history-wrapper", ".turn-history-toggle.button");
+        event.preventDefault();
+    });
+
     $("#toolbar .step-back.button").on("click", function(event) {
         events.stepBack();
         event.preventDefault();
@@ -0,0 +1,84 @@
+const $ = window.jQuery = require('./jquery-2.2.3.min.js');
+const _ = require("lodash");
+
+const i18n = require("./i18n.js");
+
+// Sidebar list of the choice made at each turn of the playthrough, any of
+// which can be clicked to rewind back to that turn
+
+var $panel = null;
+var $results = null;
+var $undoButton = null;
+
+var events = {
+    rewindToTurn: () => {},
+    showScene: () => {},
+    undoRewind: () => {},
+    close: () => {}
+};
+
+$(document).ready(() => {
+    $panel = $("#turn-history-wrapper");
+    $results = $panel.find(".turn-history-results");
+    $undoButton = $panel.find(".undo-rewind");
+
+    $panel.on("click", ".close-turn-history", (e) => {
+        e.preventDefault();
+        events.close();
+    });
+
+    $undoButton.on("click", (e) => {
+        e.preventDefault();
+        events.undoRewind();
+    });
+
+    // Looks at the scene from that turn without rewinding
+    $results.on("click", ".turn-history-scene", function(event) {
+        event.preventDefault();
+        event.stopPropagation();
+        events.showScene(parseInt($(event.currentTarget).closest(".turn-history-item").attr("data-turn-idx")));
+    });
+
+    $results.on("click", ".turn-history-item", function(event) {
+        event.preventDefault();
+        events.rewindToTurn(parseInt($(event.currentTarget).attr("data-turn-idx")));
+    });
+});
+
+// turns is [{ turnIdx, text }], as from LiveCompiler.getTurnHistory()
+function refresh(turns, canUndoRewind) {
+    if( !$panel ) return;
+
+    $undoButton.prop("disabled", !canUndoRewind);
+
+    var scrollTop = $results.scrollTop();
+    $results.empty();
+
+    if( turns.length == 0 ) {
+        $results.append(`<p class="turn-history-empty">${i18n._("No choices made yet.")}</p>`);
+        return;
+    }
+
+    var rewindLabel = i18n._("Rewind to this turn");
+    var sceneLabel = i18n._("Show the scene at this turn");
+    var itemsHtml = turns.map(turn => {
+        var text = turn.text !== null ? turn.text : "…";
+        return `<span class="nav-group-item turn-history-item" data-turn-idx="${turn.turnIdx}" title="${rewindLabel}">
+                  <span class="turn-history-number">${turn.turnIdx + 1}</span>
+                  <span class="turn-history-text">${_.escape(text)}</span>
+                  <span class="icon icon-picture turn-history-scene" title="${sceneLabel}"></span>
+                </span>`;
+    }).join("");
+
+    $results.append(`<nav class="nav-group">
+                       <h5 class="nav-group-title">${i18n._("Choices")}</h5>
+                       ${itemsHtml}
+                     </nav>`);
+
+    $results.scrollTop(scrollTop);
+}
+
+exports.TurnHistoryView = {
+    setEvents: e => events = e,
+    refresh: refresh
+}
@@ -0,0 +1,375 @@
+const $ = window.jQuery = require('./jquery-2.2.3.min.js');
+const _ = require("lodash");
+
+const InkProject = require("./inkProject.js").InkProject;
+const LiveCompiler = require("./liveCompiler.js").LiveCompiler;
+const SymbolReferences = require("./symbolReferences.js").SymbolReferences;
+const i18n = require("./i18n.js");
+
+// All of the values are fetched with a single expression each turn, so they need
+// splitting up again with something that won't turn up in the values themselves
+const valueSeparator = "¦¦";
+
+var $panel = null;
+var $filter = null;
+var $results = null;
+var $status = null;
+
+// Declarations of every global VAR, CONST and LIST, by name
+var declarations = {};
+
+// Values after the latest turn, and the turn before, by name
+var values = {};
+var previousValues = null;
+
+var pinned = new Set();
+
+var events = {
+    gotoDeclaration: () => {},
+    close: () => {}
+};
+
+$(document).ready(() => {
+    $panel = $("#variables-wrapper");
+    $filter = $panel.find("input.variables-filter");
+    $results = $panel.find(".variables-results");
+    $status = $panel.find(".variables-status");
+
+    $filter.on("input", render);
+
+    $panel.on("click", ".close-variables", (e) => {
+        e.preventDefault();
+        events.close();
+    });
+
+    $results.on("click", ".variable-pin", function(event) {
+        event.preventDefault();
+        event.stopPropagation();
+        var name = $(event.currentTarget).closest(".variable").attr("data-variable-name");
+        if( pinned.has(name) )
+            pinned.delete(name);
+        else
+            pinned.add(name);
+        render();
+    });
+
+    $results.on("click", ".variable-edit", function(event) {
+        event.preventDefault();
+        event.stopPropagation();
+        startEditing($(event.currentTarget).closest(".variable").attr("data-variable-name"));
+    });
+
+    $results.on("click", ".variable-value-input", e => e.stopPropagation());
+
+    $results.on("keydown", ".variable-value-input", function(event) {
+        var name = $(event.currentTarget).closest(".variable").attr("data-variable-name");
+        // return
+        if( event.keyCode == 13 ) {
+            event.preventDefault();
+            commitEdit(name, $(event.currentTarget).val());
+        }
+        // escape
+        else if( event.keyCode == 27 ) {
+            event.preventDefault();
+            render();
+        }
+    });
+
+    $results.on("click", ".variable", function(event) {
+        event.preventDefault();
+        var declaration = declarations[$(event.currentTarget).attr("data-variable-name")];
+        if( declaration )
+            events.gotoDeclaration(declaration.inkFile, declaration.row);
+    });
+});
+
+// What kind of value a variable was declared with, e.g. "VAR gold = 0" holds a number.
+// Returns null if it's an expression we can't tell the type of.
+function declaredKind(declaration) {
+    if( declaration.varType == "LIST" ) return "list";
+
+    var line = declaration.inkFile.aceDocument.getLine(declaration.row);
+    var match = line.match(/=\s*(.*?)\s*$/);
+    var initialValue = match ? match[1].replace(/\s*\/\/.*$/, "") : "";
+
+    if( /^-?[\d.]+$/.test(initialValue) ) return "number";
+    if( /^(true|false)$/.test(initialValue) ) return "bool";
+    if( initialValue.startsWith('"') ) return "string";
+    if( initialValue.startsWith("->") ) return "divert";
+    return null;
+}
+
+function kindOfText(text) {
+    if( /^-?\d+(\.\d+)?$/.test(text) ) return "number";
+    if( /^(true|false)$/i.test(text) ) return "bool";
+    if( text.startsWith("->") ) return "divert";
+    if( text.startsWith("(") ) return "list";
+    return "string";
+}
+
+// Turns what was typed into an ink constant for the new value, checking that it's the
+// right kind of value for the variable. Returns { valueText } or { error }.
+function valueTextForEdit(project, name, text) {
+    text = text.trim();
+    var kind = declaredKind(declarations[name]) || kindOfText(text);
+
+    if( kind == "number" ) {
+        if( !/^-?\d+(\.\d+)?$/.test(text) )
+            return { error: `${name} ${i18n._("holds a number, e.g. 5 or 2.5")}` };
+        return { valueText: text };
+    }
+
+    if( kind == "bool" ) {
+        if( !/^(true|false)$/i.test(text) )
+            return { error: `${name} ${i18n._("holds true or false")}` };
+        return { valueText: text.toLowerCase() };
+    }
+
+    if( kind == "string" ) {
+        var str = text.replace(/^"(.*)"$/, "$1");
+        if( /["{}]/.test(str) )
+            return { error: i18n._("Strings can't contain quotes or braces") };
+        return { valueText: `"${str}"` };
+    }
+
+    if( kind == "divert" ) {
+        var target = text.replace(/^->\s*/, "");
+        var symbol = /^\w+(\.\w+)*$/.test(target) ? project.findSymbol(target, {row: 0, column: 0}, project.mainInk) : null;
+        if( !symbol || !symbol.flowType )
+            return { error: `${name} ${i18n._("holds a divert target, but there's no knot or stitch called")} '${target}'` };
+        return { valueText: `-> ${target}` };
+    }
+
+    // Lists, which can hold items from any LIST, e.g. "happy, sad" or "mood.happy"
+    var allDeclarations = SymbolReferences.variableDeclarations(project);
+    var items = text.replace(/^\(|\)$/g, "").split(",").map(item => item.trim()).filter(item => item.length > 0);
+    var unknownItem = items.find(item => !allDeclarations[item] || allDeclarations[item].varType != "LIST item");
+    if( unknownItem )
+        return { error: `'${unknownItem}' ${i18n._("isn't an item in any LIST")}` };
+    return { valueText: `(${items.join(", ")})` };
+}
+
+function startEditing(name) {
+    var $variable = $results.find(".variable").filter((idx, el) => $(el).attr("data-variable-name") == name);
+    var $input = $(`<input type="text" class="form-control variable-value-input">`);
+    $input.val(values[name] || "");
+    $variable.find(".variable-value").replaceWith($input);
+    $input.focus().select();
+}
+
+function commitEdit(name, text) {
+    var project = InkProject.currentProject;
+    if( !project ) return;
+
+    var edit = valueTextForEdit(project, name, text);
+    if( edit.error ) {
+        $status.text(edit.error);
+        return;
+    }
+
+    $status.text("");
+    LiveCompiler.setVariable(name, edit.valueText, (error) => {
+        if( error ) {
+            $status.text(`${i18n._("Couldn't change")} ${name}: ${error}`);
+            render();
+            return;
+        }
+        refreshValues(() => {});
+    });
+}
+
+function globalDeclarations(project) {
+    var all = SymbolReferences.variableDeclarations(project);
+    var globals = {};
+    _.forEach(all, (declaration, key) => {
+        if( declaration.varType != "LIST item" && key == declaration.name )
+            globals[key] = declaration;
+    });
+    return globals;
+}
+
+// Called at the start of every play session, so that nothing is shown as having
+// changed on its first turn
+function sessionStarted() {
+    previousValues = null;
+}
+
+// Fetches the value of every global after a turn, then calls done
+function refreshValues(done) {
+    var project = InkProject.currentProject;
+    if( !project ) {
+        done();
+        return;
+    }
+
+    declarations = globalDeclarations(project);
+    var names = _.sortBy(Object.keys(declarations), n => n.toLowerCase());
+    if( names.length == 0 ) {
+        values = {};
+        render();
+        done();
+        return;
+    }
+
+    var expression = names.map(name => `{${name}}`).join(valueSeparator);
+    LiveCompiler.evaluateExpression(expression, (result, error) => {
+        var finish = (newValues, failedNames) => {
+            previousValues = values;
+            values = newValues;
+
+            if( failedNames.length > 0 )
+                $status.text(`${i18n._("Couldn't read variables:")} ${failedNames.join(", ")}`);
+            else
+                $status.text("");
+
+            render();
+            done();
+        };
+
+        if( !error ) {
+            var results = (result || "").replace(/\n$/, "").split(valueSeparator);
+            var newValues = {};
+            names.forEach((name, idx) => newValues[name] = results[idx] !== undefined ? displayValue(results[idx]) : "");
+            finish(newValues, []);
+            return;
+        }
+
+        // One bad name (e.g. declared in a file that isn't INCLUDEd) fails the whole
+        // expression, so find out which by reading them one at a time instead
+        refreshValuesSeparately(names, finish);
+    });
+}
+
+// Slower fallback for refreshValues, with an evaluation per variable,
+// calling done(values, namesThatFailed)
+function refreshValuesSeparately(names, done) {
+    var newValues = {};
+    var failedNames = [];
+    var remaining = names.slice();
+
+    var evaluateNext = () => {
+        var name = remaining.shift();
+        if( name === undefined ) {
+            done(newValues, failedNames);
+            return;
+        }
+
+        LiveCompiler.evaluateExpression(`{${name}}`, (result, error) => {
+            if( error ) {
+                failedNames.push(name);
+                newValues[name] = "";
+            } else {
+                newValues[name] = displayValue((result || "").replace(/\n$/, ""));
+            }
+            evaluateNext();
+        });
+    };
+
+    evaluateNext();
+}
+
+// When a turn ends without refreshValues (the panel is hidden, or it's being replayed),
+// forget the old values, so that they aren't shown as current or compared against
+function valuesOutOfDate() {
+    values = {};
+    previousValues = null;
+    render();
+}
+
+function isShown() {
+    return !!$panel && !$panel.hasClass("hidden");
+}
+
+// inkjs writes out divert targets as "DivertTargetValue(knot)"
+function displayValue(text) {
+    return text.trim().replace(/^DivertTargetValue\((.*)\)$/, "-> $1");
+}
+
+function hasChanged(name) {
+    return previousValues !== null && previousValues[name] !== undefined && previousValues[name] !== values[name];
+}
+
+function variableHtml(name, changedLabel, editLabel) {
+    var declaration = declarations[name];
+    var value = values[name];
+    var isPinned = pinned.has(name);
+    var changed = hasChanged(name);
+    var title = changed ? `${changedLabel} ${previousValues[name]}` : "";
+
+    // Constants can't be changed, even from the debugger
+    var editButton = declaration.varType == "CONST" ? "" : `<span class="icon icon-pencil variable-edit" title="${editLabel}"></span>`;
+
+    return `<span class="nav-group-item variable ${changed ? "changed" : ""}" data-variable-name="${_.escape(name)}" title="${_.escape(title)}">
+              ${editButton}
+              <span class="icon ${isPinned ? "icon-star" : "icon-star-empty"} variable-pin"></span>
+              <span class="variable-name">${_.escape(name)}</span>
+              <span class="variable-type">${declaration.varType}</span>
+              <span class="variable-value">${value === undefined ? "–" : _.escape(value)}</span>
+            </span>`;
+}
+
+function render() {
+    if( !$panel ) return;
+
+    var filterText = $filter.val().trim().toLowerCase();
+    var names = _.sortBy(Object.keys(declarations), n => n.toLowerCase()).filter(name => {
+        if( !filterText ) return true;
+        return name.toLowerCase().includes(filterText) || (values[name] || "").toLowerCase().includes(filterText);
+    });
+
+    var scrollTop = $results.scrollTop();
+    $results.empty();
+
+    if( names.length == 0 ) {
+        var message = _.isEmpty(declarations) ? i18n._("No global variables.") : i18n._("No variables match the filter.");
+        $results.append(`<p class="variables-empty">${message}</p>`);
+        return;
+    }
+
+    var changedLabel = i18n._("Changed this turn, was:");
+    var editLabel = i18n._("Change value");
+    var pinnedNames = names.filter(name => pinned.has(name));
+    var otherNames = names.filter(name => !pinned.has(name));
+
+    if( pinnedNames.length > 0 ) {
+        $results.append(`<nav class="nav-group">
+                           <h5 class="nav-group-title">${i18n._("Pinned")}</h5>
+                           ${pinnedNames.map(name => variableHtml(name, changedLabel, editLabel)).join("")}
+                         </nav>`);
+    }
+
+    if( otherNames.length > 0 ) {
+        $results.append(`<nav class="nav-group">
+                           <h5 class="nav-group-title">${i18n._("Globals")}</h5>
+                           ${otherNames.map(name => variableHtml(name, changedLabel, editLabel)).join("")}
+                         </nav>`);
+    }
+
+    $results.scrollTop(scrollTop);
+}
+
+function reset() {
+    declarations = {};
+    values = {};
+    previousValues = null;
+    pinned = new Set();
+    if( $status ) $status.text("");
+    render();
+}
+
+function focus() {
+    render();
+    $filter.focus();
+    $filter.select();
+}
+
+exports.VariablesView = {
+    setEvents: e => events = e,
+    sessionStarted: sessionStarted,
+    refreshValues: refreshValues,
+    valuesOutOfDate: valuesOutOfDate,
+    isShown: isShown,
+    getValues: () => values,
+    reset: reset,
+    focus: focus
+}
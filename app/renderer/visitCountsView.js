@@ -0,0 +1,159 @@
+const $ = window.jQuery = require('./jquery-2.2.3.min.js');
+const _ = require("lodash");
+
+const InkProject = require("./inkProject.js").InkProject;
+const StoryGraph = require("./storyGraph.js").StoryGraph;
+const i18n = require("./i18n.js");
+
+// Sidebar panel next to the knot list, showing how often each knot and stitch has been
+// visited in the current play session and how many turns ago, i.e. {knot} and TURNS_SINCE(-> knot)
+
+var $panel = null;
+var $status = null;
+var $results = null;
+
+// Latest counts sent by LiveCompiler, as { "knot.stitch": { visits, turnsSince } }
+var counts = null;
+var receivedThisSession = false;
+
+// "source", "name", "visits" or "turnsSince"
+var sortKey = "source";
+var sortDescending = false;
+
+// Knots and stitches that can be clicked in the list, by index
+var nodes = [];
+
+var events = {
+    gotoNode: () => {},
+    close: () => {}
+};
+
+$(document).ready(() => {
+    $panel = $("#visit-counts-wrapper");
+    $status = $panel.find(".visit-counts-status");
+    $results = $panel.find(".visit-counts-results");
+
+    $panel.on("click", ".close-visit-counts", (e) => {
+        e.preventDefault();
+        events.close();
+    });
+
+    // Clicking a column sorts by it, and clicking it again reverses the order
+    $panel.on("click", ".visit-counts-sort", function(event) {
+        event.preventDefault();
+        var key = $(event.currentTarget).attr("data-sort");
+        if( key == sortKey ) {
+            sortDescending = !sortDescending;
+        } else {
+            sortKey = key;
+            sortDescending = key == "visits";
+        }
+        render();
+    });
+
+    $results.on("click", ".visit-count", function(event) {
+        event.preventDefault();
+        var node = nodes[parseInt($(event.currentTarget).attr("data-node-idx"))];
+        events.gotoNode(node.inkFile, node.symbol.row);
+    });
+});
+
+function countsFor(node) {
+    return (counts && counts[node.id]) || { visits: 0, turnsSince: -1 };
+}
+
+function sortedNodes(flowNodes) {
+    if( sortKey == "source" ) {
+        return sortDescending ? flowNodes.slice().reverse() : flowNodes;
+    }
+
+    var sorted = _.sortBy(flowNodes, node => {
+        if( sortKey == "name" ) return node.id.toLowerCase();
+        var nodeCounts = countsFor(node);
+        if( sortKey == "visits" ) return nodeCounts.visits;
+
+        // Never visited goes after everything that has been
+        return nodeCounts.turnsSince < 0 ? Number.MAX_VALUE : nodeCounts.turnsSince;
+    });
+    return sortDescending ? sorted.reverse() : sorted;
+}
+
+function headerHtml(key, label) {
+    var arrow = key == sortKey ? (sortDescending ? " ▾" : " ▴") : "";
+    return `<span class="visit-counts-sort visit-counts-${key} ${key == sortKey ? "active" : ""}" data-sort="${key}">${label}${arrow}</span>`;
+}
+
+function render() {
+    if( !$panel || $panel.hasClass("hidden") ) return;
+
+    var project = InkProject.currentProject;
+    $results.empty();
+    nodes = [];
+    if( !project ) return;
+
+    // Functions are visit counted too, but aren't something you read
+    var flowNodes = StoryGraph.build(project).nodes.filter(n => n.type == "knot" || n.type == "stitch");
+    if( flowNodes.length == 0 ) {
+        $results.append(`<p class="visit-counts-empty">${i18n._("No knots or stitches.")}</p>`);
+        return;
+    }
+
+    // Sorting by position keeps stitches under their knot, so indent them
+    var indentStitches = sortKey == "source";
+    var neverLabel = i18n._("never");
+    var itemsHtml = sortedNodes(flowNodes).map(node => {
+        var idx = nodes.length;
+        nodes.push(node);
+
+        var nodeCounts = countsFor(node);
+        var isStitch = node.type == "stitch";
+        var name = isStitch && indentStitches ? node.name : node.id;
+        var turnsSince = nodeCounts.turnsSince < 0 ? neverLabel : nodeCounts.turnsSince;
+        var extraClass = (isStitch && indentStitches ? "stitch " : "") + (nodeCounts.visits == 0 ? "unvisited" : "");
+
+        return `<span class="nav-group-item visit-count ${extraClass}" data-node-idx="${idx}">
+                  <span class="visit-counts-name">${_.escape(name)}</span>
+                  <span class="visit-counts-visits">${nodeCounts.visits}</span>
+                  <span class="visit-counts-turnsSince">${turnsSince}</span>
+                </span>`;
+    }).join("");
+
+    $results.append(`<div class="visit-counts-columns">
+                       ${headerHtml("name", i18n._("Knot"))}
+                       ${headerHtml("visits", i18n._("Visits"))}
+                       ${headerHtml("turnsSince", i18n._("Turns since"))}
+                     </div>
+                     <nav class="nav-group">${itemsHtml}</nav>`);
+
+    // The source order column has no header of its own, so offer a way back to it
+    if( sortKey != "source" )
+        $results.find(".visit-counts-columns").append(`<span class="visit-counts-sort visit-counts-source" data-sort="source">${i18n._("Source order")}</span>`);
+}
+
+// Called at the start of every play session
+function sessionStarted() {
+    counts = null;
+    receivedThisSession = false;
+    if( $status ) $status.text("");
+    render();
+}
+
+function setCounts(newCounts) {
+    counts = newCounts;
+    receivedThisSession = true;
+    render();
+}
+
+// Only inkjs sends the counts, so if a turn ends without them, the story is running in inklecate
+function turnEnded() {
+    if( !receivedThisSession && $status )
+        $status.text(i18n._("Visit counts are only available when the story is played with inkjs. Set \"compiler\" to \"inkjs\" in the project settings, or turn on Story > Hot-reload playthrough."));
+}
+
+exports.VisitCountsView = {
+    setEvents: e => events = e,
+    sessionStarted: sessionStarted,
+    setCounts: setCounts,
+    turnEnded: turnEnded,
+    refresh: render
+}
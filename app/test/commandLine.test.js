@@ -0,0 +1,103 @@
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const CommandLine = require('../main-process/commandLine.js').CommandLine
+
+describe('command line', function () {
+
+  describe('isRequested', function () {
+    it('is true for any mode flag or --help', function () {
+      assert.ok(CommandLine.isRequested(['--compile', 'main.ink']))
+      assert.ok(CommandLine.isRequested(['main.ink', '--check']))
+      assert.ok(CommandLine.isRequested(['--help']))
+    })
+
+    it('is false for a normal launch', function () {
+      assert.ok(!CommandLine.isRequested([]))
+      assert.ok(!CommandLine.isRequested(['main.ink']))
+    })
+  })
+
+  describe('parseArgs', function () {
+    it('reads the mode, main ink and output path', function () {
+      assert.deepStrictEqual(CommandLine.parseArgs(['--compile', 'main.ink', '--out', 'story.json']),
+        { mode: 'compile', mainInkPath: 'main.ink', outPath: 'story.json' })
+    })
+
+    it('takes the target directory for --export-web', function () {
+      assert.deepStrictEqual(CommandLine.parseArgs(['--export-web', 'build/web', 'main.ink']),
+        { mode: 'export-web', mainInkPath: 'main.ink', outPath: 'build/web' })
+    })
+
+    it('leaves the output path out when it is not given', function () {
+      assert.deepStrictEqual(CommandLine.parseArgs(['main.ink', '--check']),
+        { mode: 'check', mainInkPath: 'main.ink', outPath: null })
+    })
+
+    it('rejects a missing mode or main ink', function () {
+      assert.strictEqual(CommandLine.parseArgs(['main.ink']).error, 'No mode given')
+      assert.strictEqual(CommandLine.parseArgs(['--compile']).error, 'No main ink file given')
+    })
+
+    it('rejects more than one mode', function () {
+      assert.ok(CommandLine.parseArgs(['--compile', '--check', 'main.ink']).error)
+    })
+
+    it('rejects options missing their value', function () {
+      assert.strictEqual(CommandLine.parseArgs(['--compile', 'main.ink', '--out']).error, '--out requires a path')
+      assert.strictEqual(CommandLine.parseArgs(['--export-web']).error, '--export-web requires a target directory')
+    })
+
+    it('ignores switches meant for Chromium and Electron', function () {
+      assert.deepStrictEqual(CommandLine.parseArgs(['--no-sandbox', '--compile', 'main.ink', '--enable-logging=stderr']),
+        { mode: 'compile', mainInkPath: 'main.ink', outPath: null })
+    })
+
+    it('rejects extra arguments', function () {
+      assert.strictEqual(CommandLine.parseArgs(['--compile', 'main.ink', 'other.ink']).error, 'Unexpected argument: other.ink')
+    })
+
+    it('rejects an output path for --check', function () {
+      assert.ok(CommandLine.parseArgs(['--check', 'main.ink', '--out', 'story.json']).error)
+    })
+  })
+
+  describe('formatIssue', function () {
+    it('matches inklecate\'s own issue lines', function () {
+      assert.strictEqual(CommandLine.formatIssue({ type: 'ERROR', filename: 'main.ink', lineNumber: 3, message: 'Unexpected token' }),
+        "ERROR: 'main.ink' line 3: Unexpected token")
+    })
+
+    it('leaves out the parts of the location it does not have', function () {
+      assert.strictEqual(CommandLine.formatIssue({ type: 'WARNING', filename: '', lineNumber: 0, message: 'Something' }),
+        'WARNING: Something')
+      assert.strictEqual(CommandLine.formatIssue({ type: 'TODO', filename: 'main.ink', lineNumber: 0, message: 'Write more' }),
+        "TODO: 'main.ink' Write more")
+    })
+  })
+
+  describe('gatherProjectFiles', function () {
+    var projectDir = null
+
+    beforeEach(function () {
+      projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'inky-cli-test-'))
+      fs.mkdirSync(path.join(projectDir, 'chapters'))
+      fs.writeFileSync(path.join(projectDir, 'main.ink'), 'INCLUDE chapters/one.ink\nINCLUDE missing.ink\nHello\n')
+      fs.writeFileSync(path.join(projectDir, 'chapters', 'one.ink'), 'INCLUDE chapters/two.ink\n== one ==\n-> END\n')
+      fs.writeFileSync(path.join(projectDir, 'chapters', 'two.ink'), 'INCLUDE main.ink\n== two ==\n-> END\n')
+    })
+
+    afterEach(function () {
+      fs.rmSync(projectDir, { recursive: true, force: true })
+    })
+
+    it('follows includes from the main ink, relative to its folder', function () {
+      var files = CommandLine.gatherProjectFiles(projectDir, 'main.ink')
+      assert.deepStrictEqual(Object.keys(files).sort(),
+        ['main.ink', path.join('chapters', 'one.ink'), path.join('chapters', 'two.ink')].sort())
+      assert.strictEqual(files[path.join('chapters', 'two.ink')], 'INCLUDE main.ink\n== two ==\n-> END\n')
+    })
+  })
+})
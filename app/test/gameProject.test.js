@@ -0,0 +1,93 @@
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const GameProject = require('../renderer/gameProject.js').GameProject
+
+describe('game project', function () {
+
+  describe('resolve', function () {
+    var tempDir = null
+    var settingsDir = null
+    var gameDir = null
+
+    beforeEach(function () {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'inky-game-test-'))
+      settingsDir = path.join(tempDir, 'story')
+      gameDir = path.join(tempDir, 'game')
+      fs.mkdirSync(settingsDir)
+      fs.mkdirSync(gameDir)
+    })
+
+    afterEach(function () {
+      fs.rmSync(tempDir, { recursive: true, force: true })
+    })
+
+    it('resolves a configured root against the settings folder, with the default registry and assets', function () {
+      var gameProject = GameProject.resolve({ gameRoot: '../game' }, settingsDir)
+      assert.deepStrictEqual(gameProject, {
+        root: gameDir,
+        configured: true,
+        registryPaths: [path.join(gameDir, 'scripts', 'asset_registry.gd')],
+        assetDirs: [path.join(gameDir, 'assets')],
+        error: null
+      })
+    })
+
+    it('takes a single registry path or a list of them', function () {
+      var single = GameProject.resolve({ gameRoot: gameDir, assetRegistry: 'data/registry.gd' }, settingsDir)
+      assert.deepStrictEqual(single.registryPaths, [path.join(gameDir, 'data', 'registry.gd')])
+
+      var list = GameProject.resolve({ gameRoot: gameDir, assetRegistry: ['one.gd', 'two.gd'] }, settingsDir)
+      assert.deepStrictEqual(list.registryPaths, [path.join(gameDir, 'one.gd'), path.join(gameDir, 'two.gd')])
+    })
+
+    it('takes the asset folders relative to the root', function () {
+      var gameProject = GameProject.resolve({ gameRoot: gameDir, assetDirs: ['art', 'ui/icons'] }, settingsDir)
+      assert.deepStrictEqual(gameProject.assetDirs, [path.join(gameDir, 'art'), path.join(gameDir, 'ui', 'icons')])
+    })
+
+    it('reports a configured root that does not exist', function () {
+      var gameProject = GameProject.resolve({ gameRoot: 'missing' }, settingsDir)
+      assert.strictEqual(gameProject.configured, true)
+      assert.strictEqual(gameProject.error, 'Game project not found at: ' + path.join(settingsDir, 'missing'))
+    })
+
+    it('searches for a root when none is configured', function () {
+      var gameProject = GameProject.resolve(null, null)
+      assert.strictEqual(gameProject.configured, false)
+      assert.ok(path.isAbsolute(gameProject.root))
+      assert.strictEqual(path.basename(gameProject.root), 'tgg')
+      if( gameProject.error )
+        assert.ok(gameProject.error.includes('"gameRoot"'))
+    })
+  })
+
+  describe('parseRegistry', function () {
+    it('maps asset ids to paths within the game project', function () {
+      var content = [
+        'const ASSETS = {',
+        '\t"bg_bridge": "res://assets/backgrounds/bridge.png",',
+        '\t"char_ada" : "res://assets/characters/ada.png",',
+        '\t"not_a_resource": "assets/other.png",',
+        '}'
+      ].join('\n')
+      assert.deepStrictEqual(GameProject.parseRegistry(content), {
+        bg_bridge: 'assets/backgrounds/bridge.png',
+        char_ada: 'assets/characters/ada.png'
+      })
+    })
+
+    it('is empty for a file without any assets', function () {
+      assert.deepStrictEqual(GameProject.parseRegistry('extends Node\n'), {})
+    })
+  })
+
+  describe('resPathToAbsolute', function () {
+    it('resolves res:// paths from the game project root', function () {
+      var root = path.join(os.tmpdir(), 'game')
+      assert.strictEqual(GameProject.resPathToAbsolute({ root: root }, 'assets/bg.png'), path.join(root, 'assets', 'bg.png'))
+    })
+  })
+})
@@ -0,0 +1,65 @@
+// Builds just enough of an InkProject for the renderer's symbol-based modules
+// (symbolReferences.js, storyGraph.js, storyLinter.js) to be tested outside Electron.
+// The files are parsed for real, by Ace's tokenizer with the ink mode, as in the editor.
+
+const fs = require('fs')
+const path = require('path')
+const vm = require('vm')
+const { JSDOM } = require('jsdom')
+
+const rendererDir = path.join(__dirname, '..', '..', 'renderer')
+
+// Ace expects to be loaded into a browser window, so give it one. It needs to be in
+// this context (rather than the jsdom one) for the ink mode's regexes to work in it.
+if( !global.ace ) {
+  const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>')
+  global.window = global
+  global.document = dom.window.document
+  global.navigator = dom.window.navigator
+  vm.runInThisContext(fs.readFileSync(path.join(rendererDir, 'acesrc', 'ace.js'), 'utf8'))
+}
+
+const Document = ace.require('ace/document').Document
+const EditSession = ace.require('ace/edit_session').EditSession
+const InkMode = require('../../renderer/ace-ink-mode/ace-ink.js').InkMode
+const InkFileSymbols = require('../../renderer/inkFileSymbols.js').InkFileSymbols
+
+const inkMode = new InkMode()
+
+function TestInkFile(relativePath, content, isMain) {
+  this.path = relativePath
+  this.main = isMain
+  this.aceDocument = new Document(content)
+  this.aceSession = null
+  this.symbols = new InkFileSymbols(this, {
+    includesChanged: () => {},
+    parsed: () => {}
+  })
+}
+
+TestInkFile.prototype.getAceSession = function () {
+  if( !this.aceSession )
+    this.aceSession = new EditSession(this.aceDocument, inkMode)
+  return this.aceSession
+}
+
+TestInkFile.prototype.relativePath = function () { return this.path }
+TestInkFile.prototype.filename = function () { return path.basename(this.path) }
+TestInkFile.prototype.isMain = function () { return this.main }
+TestInkFile.prototype.getValue = function () { return this.aceDocument.getValue() }
+
+// files is { relativePath: content }, where the first one is the main ink
+function inkTestProject(files) {
+  const inkFiles = Object.keys(files).map((relPath, idx) => new TestInkFile(relPath, files[relPath], idx == 0))
+  return {
+    files: inkFiles,
+    mainInk: inkFiles[0],
+    activeInkFile: inkFiles[0],
+    file: relPath => inkFiles.find(f => f.relativePath() == relPath),
+    findSymbol: function (name, posContext, contextInkFile) {
+      return InkFileSymbols.findSymbol(this.files, name, posContext, contextInkFile || this.activeInkFile)
+    }
+  }
+}
+
+exports.inkTestProject = inkTestProject
@@ -0,0 +1,303 @@
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const InkjsSession = require('../main-process/inkjsSession.js').InkjsSession
+
+// Plays main.ink in a fresh session, collecting its responses. Like a child process,
+// the session only responds once it's been given the chance to.
+async function startSession (rootDir, ink, instruction) {
+  fs.writeFileSync(path.join(rootDir, 'main.ink'), ink)
+
+  var responses = []
+  var exitCodes = []
+  var session = new InkjsSession(Object.assign({ rootDir: rootDir, mainName: 'main.ink', play: true }, instruction), {
+    response: response => responses.push(response),
+    exit: code => exitCodes.push(code)
+  })
+  session.start()
+  await new Promise(setImmediate)
+
+  return { session: session, responses: responses, exitCodes: exitCodes }
+}
+
+// Just the story's text and where it paused, in the order they came
+function textAndPauses (responses) {
+  return responses.filter(response => response.text || response.paused)
+    .map(response => response.text || `paused at ${response.paused.lineNumber}`)
+}
+
+describe('inkjs session', function () {
+  var rootDir
+
+  beforeEach(function () {
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'inky-session-test-'))
+  })
+
+  afterEach(function () {
+    fs.rmSync(rootDir, { recursive: true, force: true })
+  })
+
+  // The same JSON lines as inklecate -j prints, so that inklecate.js can treat both alike
+  describe('responses', function () {
+    const ink = [
+      'VAR gold = 5',
+      'Hello # greeting',
+      'You have {gold}.',
+      '* Buy',
+      '  Bought.',
+      '  -> END',
+      '* Leave # bye',
+      '  -> END',
+      ''
+    ].join('\n')
+
+    // Leaves out the callstack and visit counts, which inklecate doesn't send
+    const inklecateResponses = responses => responses.filter(response => !response.callstack && !response.visitCounts)
+
+    it('sends the text, tags and choices, then waits for input', async function () {
+      var { responses } = await startSession(rootDir, ink)
+      assert.deepStrictEqual(inklecateResponses(responses), [
+        { 'compile-success': true },
+        { text: 'Hello\n' },
+        { tags: ['greeting'] },
+        { text: 'You have 5.\n' },
+        { choices: [{ text: 'Buy', tags: [] }, { text: 'Leave', tags: ['bye'] }] },
+        { needInput: true }
+      ])
+    })
+
+    it('continues with a choice number until the end', async function () {
+      var { session, responses } = await startSession(rootDir, ink)
+      responses.length = 0
+
+      session.write('1')
+      assert.deepStrictEqual(inklecateResponses(responses), [{ text: 'Buy\n' }, { text: 'Bought.\n' }, { end: true }])
+    })
+
+    it('reports a choice that is out of range', async function () {
+      var { session, responses } = await startSession(rootDir, ink)
+      responses.length = 0
+
+      session.write('7')
+      assert.deepStrictEqual(responses, [{ issues: ['RUNTIME ERROR: Choice out of range: 7'] }])
+    })
+
+    it('evaluates an expression', async function () {
+      var { session, responses } = await startSession(rootDir, ink)
+      responses.length = 0
+
+      session.write('"gold is {gold}"')
+      assert.deepStrictEqual(responses, [{ cmdOutput: 'gold is 5' }, { needInput: true }])
+    })
+
+    it('looks up the source of the text', async function () {
+      var { session, responses } = await startSession(rootDir, ink)
+      responses.length = 0
+
+      session.write('DebugSource(0)')
+      assert.deepStrictEqual(responses, [{ cmdOutput: 'DebugSource: line 2 of main.ink' }])
+    })
+
+    it('sets a variable, unless the value is the wrong type', async function () {
+      var { session, responses } = await startSession(rootDir, ink)
+      responses.length = 0
+
+      session.write('~ gold = "lots"')
+      session.write('~ gold = 9')
+      session.write('"{gold}"')
+      assert.deepStrictEqual(responses, [
+        { issues: ['RUNTIME ERROR: gold holds a number, not a string'] },
+        { needInput: true },
+        { needInput: true },
+        { cmdOutput: '9' },
+        { needInput: true }
+      ])
+    })
+
+    it('reports compile errors with their file and line, then exits', async function () {
+      var { responses, exitCodes } = await startSession(rootDir, 'Hello\n-> nowhere\n')
+      await new Promise(setImmediate)
+
+      assert.deepStrictEqual(responses, [
+        { issues: ["ERROR: 'main.ink' line 2: Divert target not found: '-> nowhere'"] },
+        { 'compile-success': false }
+      ])
+      assert.deepStrictEqual(exitCodes, [1])
+    })
+
+    it('reports TODOs', async function () {
+      var { responses } = await startSession(rootDir, 'Hello\n-> END\nTODO: more\n')
+      assert.deepStrictEqual(responses[0], { issues: ["TODO: 'main.ink' line 3: more"] })
+      assert.deepStrictEqual(responses[1], { 'compile-success': true })
+    })
+
+    it('writes the compiled story when exporting', async function () {
+      var jsonExportPath = path.join(rootDir, 'export.json')
+      var { exitCodes } = await startSession(rootDir, ink, { play: false, jsonExportPath: jsonExportPath })
+      await new Promise(setImmediate)
+
+      assert.deepStrictEqual(exitCodes, [0])
+      var story = new (require('inkjs').Story)(fs.readFileSync(jsonExportPath, 'utf8'))
+      assert.strictEqual(story.Continue(), 'Hello\n')
+    })
+
+    it('counts the stats', async function () {
+      var { responses } = await startSession(rootDir, ink, { play: false, stats: true })
+      var stats = responses.find(response => response.stats).stats
+      assert.strictEqual(stats.knots, 0)
+      assert.strictEqual(stats.choices, 2)
+    })
+  })
+
+  describe('hot-reload', function () {
+    const ink = [
+      '-> start',
+      '== start ==',
+      'Start.',
+      '* Go to a',
+      '  -> a',
+      '== a ==',
+      'In a.',
+      '* Go to b',
+      '  -> b',
+      '== b ==',
+      'In b.',
+      '* Go to c',
+      '  -> c',
+      '== c ==',
+      'In c.',
+      '-> END',
+      ''
+    ].join('\n')
+
+    // Plays two turns into the story, then recompiles it with an edit and plays it back to the
+    // same point, the way the renderer does: sending the same choices again, one per turn.
+    async function reloadAfterEdit (editedInk) {
+      var previous = await startSession(rootDir, ink, { hotReload: true })
+      previous.session.write('1')
+      previous.session.write('1')
+
+      var reloaded = await startSession(rootDir, editedInk, {
+        hotReload: true,
+        choiceSequence: [1, 1],
+        previousTurns: previous.session.turns
+      })
+      reloaded.session.write('1')
+      reloaded.session.write('1')
+
+      return reloaded
+    }
+
+    const storyText = responses => responses.filter(response => response.text).map(response => response.text)
+
+    it('resumes from the current turn when the edit is further on', async function () {
+      var { session, responses } = await reloadAfterEdit(ink.replace('In c.', 'Now in c.'))
+      assert.strictEqual(session.resumeTurnIdx, 2)
+      assert.deepStrictEqual(storyText(responses), ['Start.\n', 'Go to a\n', 'In a.\n', 'Go to b\n', 'In b.\n'])
+    })
+
+    it('resumes from the turn that first went into the edited knot', async function () {
+      var { session, responses } = await reloadAfterEdit(ink.replace('In a.', 'Now in a.'))
+      assert.strictEqual(session.resumeTurnIdx, 1)
+      assert.deepStrictEqual(storyText(responses), ['Start.\n', 'Go to a\n', 'Now in a.\n', 'Go to b\n', 'In b.\n'])
+    })
+
+    it('plays from the start again when the edit was in the first turn', async function () {
+      var { session, responses } = await reloadAfterEdit(ink.replace('Start.', 'Begin.'))
+      assert.strictEqual(session.resumeTurnIdx, 0)
+      assert.deepStrictEqual(storyText(responses), ['Begin.\n', 'Go to a\n', 'In a.\n', 'Go to b\n', 'In b.\n'])
+    })
+
+    it('never restores a turn that starts in a knot that has changed', async function () {
+      var previous = await startSession(rootDir, ink, { hotReload: true })
+      previous.session.write('1')
+      previous.session.write('1')
+      var turns = previous.session.turns
+
+      // Started just after choosing to go to b, i.e. in a
+      assert.deepStrictEqual(Object.keys(turns[2].startKnotHashes), ['a'])
+      assert.ok(previous.session.canRestoreTurn(turns[2]))
+
+      var { session } = await startSession(rootDir, ink.replace('In a.', 'Now in a.'), { hotReload: true })
+      assert.ok(!session.canRestoreTurn(turns[2]))
+      assert.ok(session.canRestoreTurn(turns[1]))
+    })
+
+    it('only sees a knot as changed when its content has changed', async function () {
+      var previous = await startSession(rootDir, ink, { hotReload: true })
+      var { session } = await startSession(rootDir, '// Moved down a line\n' + ink.replace('In b.', 'Now in b.'), { hotReload: true })
+
+      assert.strictEqual(session.knotHash('a'), previous.session.knotHash('a'))
+      assert.notStrictEqual(session.knotHash('b'), previous.session.knotHash('b'))
+      assert.strictEqual(session.knotHash('missing'), null)
+    })
+  })
+
+  describe('breakpoints', function () {
+    const ink = [
+      'Line one.',
+      'Line two.',
+      '~ temp x = double(2)',
+      'Line {x}.',
+      '-> END',
+      '== function double(n) ==',
+      '~ temp r = n * 2',
+      '~ return r',
+      ''
+    ].join('\n')
+
+    const breakpointsAt = (...lineNumbers) => lineNumbers.map(lineNumber => ({ filename: 'main.ink', lineNumber: lineNumber }))
+
+    it('pauses on a line only once the line before it has been output', async function () {
+      var { session, responses } = await startSession(rootDir, ink, { breakpoints: breakpointsAt(2) })
+      assert.deepStrictEqual(textAndPauses(responses), ['Line one.\n', 'paused at 2'])
+
+      session.resume('continue')
+      assert.deepStrictEqual(textAndPauses(responses), ['Line one.\n', 'paused at 2', 'Line two.\n', 'Line 4.\n'])
+      assert.deepStrictEqual(responses[responses.length - 1], { end: true })
+    })
+
+    it('pauses inside a function once, with the call on the callstack', async function () {
+      var { session, responses } = await startSession(rootDir, ink, { breakpoints: breakpointsAt(7) })
+      assert.deepStrictEqual(textAndPauses(responses), ['Line one.\n', 'Line two.\n', 'paused at 7'])
+
+      var paused = responses.find(response => response.paused).paused
+      assert.strictEqual(paused.fileName, 'main.ink')
+      assert.deepStrictEqual(paused.callstack.map(frame => [frame.type, frame.name, frame.lineNumber]),
+        [['function', 'double', 7], ['root', '', 3]])
+
+      session.resume('continue')
+      assert.deepStrictEqual(textAndPauses(responses), ['Line one.\n', 'Line two.\n', 'paused at 7', 'Line 4.\n'])
+    })
+
+    it('steps out of a function back to the line that called it', async function () {
+      var { session, responses } = await startSession(rootDir, ink, { breakpoints: breakpointsAt(7) })
+
+      session.resume('step-out')
+      var pauses = responses.filter(response => response.paused).map(response => response.paused)
+      assert.deepStrictEqual(pauses.map(paused => paused.lineNumber), [7, 3])
+      assert.deepStrictEqual(pauses[1].callstack.map(frame => frame.type), ['root'])
+
+      session.resume('continue')
+      assert.deepStrictEqual(textAndPauses(responses), ['Line one.\n', 'Line two.\n', 'paused at 7', 'paused at 3', 'Line 4.\n'])
+    })
+
+    it('steps through each line in turn', async function () {
+      var { session, responses } = await startSession(rootDir, ink, { breakpoints: breakpointsAt(1) })
+      for (var i = 0; i < 3; i++) session.resume('step')
+      assert.deepStrictEqual(textAndPauses(responses),
+        ['paused at 1', 'Line one.\n', 'paused at 2', 'Line two.\n', 'paused at 3', 'paused at 6'])
+    })
+
+    it('stops part way through a line that is glued onto the next', async function () {
+      var glued = 'Line one\n<> glued.\nAfter.\n'
+      var { session, responses } = await startSession(rootDir, glued, { breakpoints: breakpointsAt(2) })
+      assert.deepStrictEqual(textAndPauses(responses), ['paused at 2'])
+
+      session.resume('continue')
+      assert.deepStrictEqual(textAndPauses(responses), ['paused at 2', 'Line one glued.\n', 'After.\n'])
+    })
+  })
+})
@@ -0,0 +1,99 @@
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+// inklecate.js listens for the windows' IPC messages as soon as it's loaded,
+// which needs Electron's main process, but compile() itself doesn't
+require.cache[require.resolve('electron')] = {
+  id: 'electron',
+  loaded: true,
+  exports: { ipcMain: { on: () => {} } }
+}
+
+const Inklecate = require('../main-process/inklecate.js').Inklecate
+
+// Compiles and plays main.ink with the default "auto" compiler, collecting what
+// a window would be sent until the story needs input or ends
+function compileAndPlay (ink, namespace) {
+  return new Promise(resolve => {
+    var messages = []
+    var requester = {
+      isDestroyed: () => false,
+      send: (channel, ...args) => {
+        messages.push([channel, ...args])
+        if (channel == 'play-requires-input' || channel == 'inklecate-complete' || channel == 'play-exit-due-to-error') {
+          resolve(messages)
+        }
+      }
+    }
+
+    Inklecate.compile({
+      mainName: 'main.ink',
+      updatedFiles: { 'main.ink': ink },
+      sessionId: `${namespace}_1`,
+      namespace: namespace,
+      play: true
+    }, requester)
+  })
+}
+
+describe('inklecate', function () {
+  const ink = 'Hello\nTODO: more\n* Go\n-> END\n'
+
+  var namespace
+
+  before(function () {
+    Inklecate.setLogging(false)
+  })
+
+  beforeEach(function () {
+    namespace = `inklecate_test_${process.pid}_${Date.now()}`
+  })
+
+  afterEach(function () {
+    Inklecate.killSessions()
+    fs.rmSync(path.join(os.tmpdir(), 'inky_compile', namespace), { recursive: true, force: true })
+  })
+
+  const assertPlayedWithInkjs = function (messages) {
+    var channels = messages.map(message => message[0])
+    assert.deepStrictEqual(channels, [
+      'play-generated-errors',
+      'compile-complete',
+      'play-generated-text',
+      'play-callstack',
+      'play-visit-counts',
+      'play-generated-choice',
+      'play-requires-input'
+    ])
+
+    assert.deepStrictEqual(messages[0][1], [{ type: 'TODO', filename: 'main.ink', lineNumber: 2, message: 'more' }])
+    assert.strictEqual(messages[2][1], 'Hello\n')
+    assert.deepStrictEqual(messages[5][1], { number: 1, choice: { text: 'Go', tags: [] } })
+  }
+
+  it('falls back to inkjs when there is no inklecate to run', async function () {
+    assertPlayedWithInkjs(await compileAndPlay(ink, namespace))
+  })
+
+  describe('when inklecate can\'t be launched', function () {
+    var accessSync = fs.accessSync
+
+    // Make inklecate look executable, so that it's spawned and fails to start
+    beforeEach(function () {
+      fs.accessSync = (filePath, mode) => {
+        if (/inklecate/.test(path.basename(filePath))) return
+        return accessSync(filePath, mode)
+      }
+    })
+
+    afterEach(function () {
+      fs.accessSync = accessSync
+    })
+
+    it('falls back to inkjs', async function () {
+      assertPlayedWithInkjs(await compileAndPlay(ink, namespace))
+    })
+  })
+})
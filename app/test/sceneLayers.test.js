@@ -0,0 +1,107 @@
+const assert = require('assert')
+
+const SceneLayers = require('../renderer/sceneLayers.js').SceneLayers
+
+function percent(value) {
+  assert.ok(value.endsWith('%'), value + ' should be a percentage')
+  return parseFloat(value)
+}
+
+function assertClose(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, actual + ' should be ' + expected)
+}
+
+describe('scene layers', function () {
+
+  describe('fromSettings', function () {
+    var warnings = null
+    var originalWarn = console.warn
+
+    beforeEach(function () {
+      warnings = []
+      console.warn = message => warnings.push(message)
+    })
+
+    afterEach(function () {
+      console.warn = originalWarn
+    })
+
+    it('uses the default layers without any settings', function () {
+      var layers = SceneLayers.fromSettings(null)
+      assert.strictEqual(layers.length, 12)
+      assert.deepStrictEqual(layers[0], {
+        variable: 'bg', name: 'background', z: 0, anchor: 'fill',
+        offset: [0, 0], size: [2560, 1440], visible: true
+      })
+      assert.strictEqual(layers[11].variable, 'ui_menu')
+      assert.strictEqual(layers[11].visible, false)
+      assert.deepStrictEqual(SceneLayers.fromSettings({}), layers)
+    })
+
+    it('fills in the defaults for each custom layer', function () {
+      var layers = SceneLayers.fromSettings({ sceneLayers: [
+        { variable: 'sky' },
+        { variable: 'hero', name: 'pc', anchor: 'bottom', offset: [10, -20], size: [400, 800], visible: false }
+      ] })
+      assert.deepStrictEqual(layers, [
+        { variable: 'sky', name: 'sky', z: 0, anchor: 'fill', offset: [0, 0], size: [2560, 1440], visible: true },
+        { variable: 'hero', name: 'pc', z: 1, anchor: 'bottom', offset: [10, -20], size: [400, 800], visible: false }
+      ])
+      assert.deepStrictEqual(warnings, [])
+    })
+
+    it('skips layers without a variable', function () {
+      var layers = SceneLayers.fromSettings({ sceneLayers: [{ name: 'nameless' }, null, { variable: 'bg' }] })
+      assert.deepStrictEqual(layers.map(l => l.variable), ['bg'])
+      assert.strictEqual(layers[0].z, 2)
+      assert.strictEqual(warnings.length, 2)
+    })
+
+    it('falls back to fill for an unknown anchor, and ignores malformed offsets and sizes', function () {
+      var layers = SceneLayers.fromSettings({ sceneLayers: [{ variable: 'bg', anchor: 'middle', offset: [5], size: '100x100' }] })
+      assert.strictEqual(layers[0].anchor, 'fill')
+      assert.deepStrictEqual(layers[0].offset, [0, 0])
+      assert.deepStrictEqual(layers[0].size, [2560, 1440])
+      assert.strictEqual(warnings.length, 1)
+    })
+
+    it('sorts by z, keeping the list order for equal z', function () {
+      var layers = SceneLayers.fromSettings({ sceneLayers: [
+        { variable: 'front', z: 10 },
+        { variable: 'first', z: 5 },
+        { variable: 'back', z: -1 },
+        { variable: 'second', z: 5 }
+      ] })
+      assert.deepStrictEqual(layers.map(l => l.variable), ['back', 'first', 'second', 'front'])
+    })
+  })
+
+  describe('placement', function () {
+    function layer(anchor, size, offset) {
+      return SceneLayers.fromSettings({ sceneLayers: [{ variable: 'test', anchor: anchor, size: size, offset: offset }] })[0]
+    }
+
+    it('covers the whole scene for a fill layer', function () {
+      assert.deepStrictEqual(SceneLayers.placement(layer('fill')),
+        { left: '0%', top: '0%', width: '100%', height: '100%', objectPosition: '50% 50%' })
+    })
+
+    it('puts an anchored layer against its corner', function () {
+      var place = SceneLayers.placement(layer('bottom-right', [260, 260]))
+      assertClose(percent(place.width), 260 / 2560 * 100)
+      assertClose(percent(place.height), 260 / 1440 * 100)
+      assertClose(percent(place.left) + percent(place.width), 100)
+      assertClose(percent(place.top) + percent(place.height), 100)
+      assert.strictEqual(place.objectPosition, '100% 100%')
+    })
+
+    it('moves a layer by its offset in game pixels', function () {
+      var place = SceneLayers.placement(layer('top-left', [256, 144], [128, 72]))
+      assertClose(percent(place.left), 5)
+      assertClose(percent(place.top), 5)
+      assertClose(percent(place.width), 10)
+      assertClose(percent(place.height), 10)
+      assert.strictEqual(place.objectPosition, '0% 0%')
+    })
+  })
+})
@@ -0,0 +1,100 @@
+const assert = require('assert')
+
+const ScenePins = require('../renderer/scenePins.js').ScenePins
+
+const storageKey = 'scenePinnedPaths'
+
+function MemoryStorage() {
+  this.items = {}
+}
+MemoryStorage.prototype.getItem = function (key) {
+  return key in this.items ? this.items[key] : null
+}
+MemoryStorage.prototype.setItem = function (key, value) {
+  this.items[key] = String(value)
+}
+
+describe('scene pins', function () {
+  var hadWindow = 'window' in global
+  var originalWindow = global.window
+  var originalLocalStorage = null
+  var storage = null
+
+  before(function () {
+    if( !hadWindow ) global.window = {}
+    originalLocalStorage = global.window.localStorage
+  })
+
+  beforeEach(function () {
+    storage = new MemoryStorage()
+    global.window.localStorage = storage
+  })
+
+  after(function () {
+    global.window.localStorage = originalLocalStorage
+    if( !hadWindow ) delete global.window
+    else global.window = originalWindow
+  })
+
+  const pinA = { index: 0, text: 'Go left' }
+  const pinB = { index: 2, text: 'Open the door' }
+
+  it('has no pins for a knot that has not been pinned', function () {
+    assert.deepStrictEqual(ScenePins.get('/story/main.ink', 'shop'), [])
+  })
+
+  it('keeps pins per project and knot', function () {
+    ScenePins.set('/story/main.ink', 'shop', [pinA, null, pinB])
+    ScenePins.set('/story/main.ink', '', [pinB])
+    ScenePins.set('/other/main.ink', 'shop', [pinB])
+
+    assert.deepStrictEqual(ScenePins.get('/story/main.ink', 'shop'), [pinA, null, pinB])
+    assert.deepStrictEqual(ScenePins.get('/story/main.ink', ''), [pinB])
+    assert.deepStrictEqual(ScenePins.get('/other/main.ink', 'shop'), [pinB])
+    assert.deepStrictEqual(ScenePins.get('/other/main.ink', ''), [])
+  })
+
+  it('saves pins to local storage', function () {
+    ScenePins.set('/story/main.ink', 'shop', [pinA])
+    assert.deepStrictEqual(JSON.parse(storage.getItem(storageKey)), { '/story/main.ink': { shop: [pinA] } })
+  })
+
+  it('drops trailing unpinned entries', function () {
+    ScenePins.set('/story/main.ink', 'shop', [null, pinA, null, null])
+    assert.deepStrictEqual(ScenePins.get('/story/main.ink', 'shop'), [null, pinA])
+  })
+
+  it('forgets a knot, and then the project, once nothing is pinned', function () {
+    ScenePins.set('/story/main.ink', 'shop', [pinA])
+    ScenePins.set('/story/main.ink', 'hub', [pinB])
+
+    ScenePins.set('/story/main.ink', 'shop', [null])
+    assert.deepStrictEqual(JSON.parse(storage.getItem(storageKey)), { '/story/main.ink': { hub: [pinB] } })
+
+    ScenePins.set('/story/main.ink', 'hub', [])
+    assert.deepStrictEqual(JSON.parse(storage.getItem(storageKey)), {})
+  })
+
+  it('returns a copy, so that changing it does not change the pins', function () {
+    ScenePins.set('/story/main.ink', 'shop', [pinA])
+    ScenePins.get('/story/main.ink', 'shop').push(pinB)
+    assert.deepStrictEqual(ScenePins.get('/story/main.ink', 'shop'), [pinA])
+  })
+
+  it('keeps an unsaved project\'s pins in memory only', function () {
+    ScenePins.set(null, 'shop', [pinA, null])
+    assert.deepStrictEqual(ScenePins.get(null, 'shop'), [pinA])
+    assert.strictEqual(storage.getItem(storageKey), null)
+
+    ScenePins.set(null, 'shop', [])
+    assert.deepStrictEqual(ScenePins.get(null, 'shop'), [])
+  })
+
+  it('starts afresh when the saved pins are unreadable', function () {
+    storage.setItem(storageKey, '{not json')
+    assert.deepStrictEqual(ScenePins.get('/story/main.ink', 'shop'), [])
+
+    ScenePins.set('/story/main.ink', 'shop', [pinA])
+    assert.deepStrictEqual(ScenePins.get('/story/main.ink', 'shop'), [pinA])
+  })
+})
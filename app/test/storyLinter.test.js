@@ -0,0 +1,102 @@
+const assert = require('assert')
+
+const { inkTestProject } = require('./helpers/inkTestProject.js')
+const StoryLinter = require('../renderer/storyLinter.js').StoryLinter
+
+function lint(files, settings) {
+  if( typeof files == 'string' ) files = { 'main.ink': files }
+  return StoryLinter.lint(inkTestProject(files), settings)
+}
+
+// [rule, lineNumber] for each issue, to keep the expectations short
+function found(issues) {
+  return issues.map(i => [i.rule, i.lineNumber])
+}
+
+describe('story linter', function () {
+
+  it('finds nothing wrong with a tidy story', function () {
+    assert.deepStrictEqual(lint('VAR gold = 0\n-> start\n== start ==\n~ gold = 1\nYou have {gold}.\n* [Go] -> END\n'), [])
+  })
+
+  it('reports unused and write-only variables at their declarations', function () {
+    var issues = lint('VAR unused = 0\nVAR written = 0\n-> start\n== start ==\n~ written = 1\n-> END\n')
+    assert.deepStrictEqual(found(issues), [['unused-variable', 1], ['write-only-variable', 2]])
+    assert.strictEqual(issues[0].message, "VAR 'unused' is never used [unused-variable]")
+    assert.strictEqual(issues[0].type, 'WARNING')
+    assert.strictEqual(issues[0].filename, 'main.ink')
+  })
+
+  it('reports knots nothing diverts to', function () {
+    assert.deepStrictEqual(found(lint('-> start\n== start ==\n-> END\n== lonely ==\n-> END\n')),
+      [['unreferenced-knot', 4]])
+  })
+
+  it('reports flows that can run out without a divert', function () {
+    assert.deepStrictEqual(found(lint('-> start\n== start ==\nHello\n-> finish\n== finish ==\nGoodbye\n')),
+      [['missing-end', 6]])
+  })
+
+  it('checks each final choice branch for a divert', function () {
+    assert.deepStrictEqual(found(lint('-> start\n== start ==\n* [Stay]\n  Fine.\n* [Go]\n  -> END\n')),
+      [['missing-end', 4]])
+  })
+
+  it('does not mistake the branches of a multi-line conditional for gathers', function () {
+    assert.deepStrictEqual(lint('-> start\n== start ==\n{ true:\n- yes\n- no\n}\n-> END\n'), [])
+  })
+
+  it('does not expect functions to divert', function () {
+    assert.deepStrictEqual(lint('~ double(1)\n-> END\n== function double(x) ==\n~ return x * 2\n'), [])
+  })
+
+  it('reports looped-back once-only choices without a fallback', function () {
+    var story = '-> hub\n== hub ==\n* [A] -> hub\n* [B] -> hub\n'
+    assert.deepStrictEqual(found(lint(story)), [['loop-without-fallback', 3]])
+    assert.deepStrictEqual(lint(story + '* -> END\n'), [])
+    assert.deepStrictEqual(lint(story.replace('* [B]', '+ [B]')), [])
+  })
+
+  it('reports weave bullets of the same depth that do not line up', function () {
+    assert.deepStrictEqual(found(lint('-> a\n== a ==\n* [One]\n  -> END\n  * [Two]\n  -> END\n')),
+      [['inconsistent-indentation', 5]])
+  })
+
+  it('reports labels repeated in different stitches of a knot', function () {
+    var issues = lint('-> k\n== k ==\n-> k.one\n= one\n- (top) One\n-> k.two\n= two\n- (top) Two\n-> END\n')
+    assert.deepStrictEqual(found(issues), [['duplicate-label', 8]])
+    assert.strictEqual(issues[0].message, "Label 'top' is also used on line 5 in knot 'k' [duplicate-label]")
+  })
+
+  it('reports issues from every file, sorted by file and line', function () {
+    var issues = lint({
+      'main.ink': 'INCLUDE extra.ink\nVAR unused = 0\n-> END\n',
+      'extra.ink': '== lonely ==\n-> END\n'
+    })
+    assert.deepStrictEqual(issues.map(i => [i.filename, i.lineNumber, i.rule]),
+      [['extra.ink', 1, 'unreferenced-knot'], ['main.ink', 2, 'unused-variable']])
+  })
+
+  describe('settings', function () {
+    var story = 'VAR unused = 0\n-> END\n== lonely ==\n-> END\n'
+
+    it('can change the severity of a rule', function () {
+      var issues = lint(story, { 'unused-variable': 'Error', 'unreferenced-knot': 'todo' })
+      assert.deepStrictEqual(issues.map(i => [i.rule, i.type]), [['unused-variable', 'ERROR'], ['unreferenced-knot', 'TODO']])
+    })
+
+    it('can switch a rule off', function () {
+      assert.deepStrictEqual(found(lint(story, { 'unused-variable': 'off' })), [['unreferenced-knot', 3]])
+      assert.deepStrictEqual(found(lint(story, { 'unreferenced-knot': false })), [['unused-variable', 1]])
+    })
+
+    it('can switch every rule off', function () {
+      assert.deepStrictEqual(lint(story, false), [])
+    })
+
+    it('lists every rule', function () {
+      assert.deepStrictEqual(StoryLinter.rules, ['unused-variable', 'write-only-variable', 'unreferenced-knot',
+        'loop-without-fallback', 'missing-end', 'inconsistent-indentation', 'duplicate-label'])
+    })
+  })
+})
@@ -0,0 +1,108 @@
+const assert = require('assert')
+
+const StructureExport = require('../renderer/structureExport.js').StructureExport
+
+function testGraph() {
+  return {
+    nodes: [
+      { id: '__start', name: 'main.ink', type: 'start', stitchIds: [] },
+      { id: 'shop', name: 'shop', type: 'knot', stitchIds: ['shop.counter'] },
+      { id: 'shop.counter', name: 'counter', type: 'stitch', parentId: 'shop' },
+      { id: 'lonely', name: 'lonely', type: 'knot', stitchIds: [], orphan: true },
+      { id: 'double', name: 'double', type: 'function', stitchIds: [] }
+    ],
+    edges: [
+      { from: '__start', to: 'shop', kind: 'divert', count: 1, label: null },
+      { from: 'shop', to: 'shop.counter', kind: 'enter', count: 1, label: null },
+      { from: 'shop.counter', to: 'shop', kind: 'divert', count: 3, label: 'Say "hi"' },
+      { from: 'shop', to: 'double', kind: 'call', count: 1, label: null }
+    ]
+  }
+}
+
+describe('structure export', function () {
+
+  describe('toDot', function () {
+    var dot = null
+
+    before(function () {
+      dot = StructureExport.toDot(testGraph(), 'My "story"').split('\n')
+    })
+
+    it('names the digraph after the story, escaping quotes', function () {
+      assert.strictEqual(dot[0], 'digraph "My \\"story\\"" {')
+      assert.strictEqual(dot[dot.length - 2], '}')
+    })
+
+    it('groups stitches into a cluster with their knot', function () {
+      var start = dot.indexOf('    subgraph "cluster_shop" {')
+      assert.ok(start >= 0)
+      assert.strictEqual(dot[start + 1], '        label="shop";')
+      assert.ok(dot[start + 3].startsWith('        "shop" [label="shop"'))
+      assert.ok(dot[start + 4].startsWith('        "shop.counter" [label="shop.counter"'))
+      assert.strictEqual(dot[start + 5], '    }')
+    })
+
+    it('gives each kind of node its shape, and marks orphans', function () {
+      assert.ok(dot.includes('    "__start" [label="main.ink", shape=oval, style=filled, fillcolor="#D8E6D0"];'))
+      assert.ok(dot.includes('    "double" [label="double", shape=hexagon];'))
+      assert.ok(dot.includes('    "lonely" [label="lonely", shape=box, style="rounded,filled", fillcolor="#E8E8E8", color="#D0021B"];'))
+    })
+
+    it('labels and styles edges, thickening repeated ones', function () {
+      assert.ok(dot.includes('    "__start" -> "shop";'))
+      assert.ok(dot.includes('    "shop" -> "shop.counter" [color="#AAAAAA"];'))
+      assert.ok(dot.includes('    "shop.counter" -> "shop" [label="Say \\"hi\\"", penwidth=2.5];'))
+      assert.ok(dot.includes('    "shop" -> "double" [label="call", style=dotted, arrowhead=empty];'))
+    })
+  })
+
+  describe('toMermaid', function () {
+    var mermaid = null
+
+    before(function () {
+      mermaid = StructureExport.toMermaid(testGraph(), 'My "story"').split('\n')
+    })
+
+    it('puts the title in front matter', function () {
+      assert.deepStrictEqual(mermaid.slice(0, 4), ['---', 'title: "My #quot;story#quot;"', '---', 'flowchart LR'])
+    })
+
+    it('uses generated ids, since node ids can contain dots', function () {
+      assert.deepStrictEqual(mermaid.slice(4, 11), [
+        '    n0(["main.ink"])',
+        '    subgraph g1["shop"]',
+        '        n1["shop"]',
+        '        n2("shop.counter")',
+        '    end',
+        '    n3["lonely"]',
+        '    n4{{"double"}}'
+      ])
+    })
+
+    it('draws edges with their arrows and labels', function () {
+      assert.ok(mermaid.includes('    n0 --> n1'))
+      assert.ok(mermaid.includes('    n2 -->|"Say #quot;hi#quot;"| n1'))
+      assert.ok(mermaid.includes('    n1 -.->|"call"| n4'))
+    })
+
+    it('styles orphans with a class', function () {
+      assert.ok(mermaid.includes('    class n3 orphan'))
+    })
+
+    it('leaves out the orphan class when there are none', function () {
+      var graph = testGraph()
+      graph.nodes.forEach(n => delete n.orphan)
+      assert.ok(!StructureExport.toMermaid(graph, 'Story').includes('classDef'))
+    })
+  })
+
+  describe('exportString', function () {
+    it('picks the format, defaulting to DOT', function () {
+      var graph = testGraph()
+      assert.strictEqual(StructureExport.exportString(graph, 'mermaid', 'Story'), StructureExport.toMermaid(graph, 'Story'))
+      assert.strictEqual(StructureExport.exportString(graph, 'dot', 'Story'), StructureExport.toDot(graph, 'Story'))
+      assert.strictEqual(StructureExport.exportString(graph, 'svg', 'Story'), StructureExport.toDot(graph, 'Story'))
+    })
+  })
+})
@@ -0,0 +1,131 @@
+const assert = require('assert')
+
+const { inkTestProject } = require('./helpers/inkTestProject.js')
+const SymbolReferences = require('../renderer/symbolReferences.js').SymbolReferences
+
+function locations(references) {
+  return references.map(r => [r.inkFile.relativePath(), r.row, r.column, r.kind])
+}
+
+describe('symbol references', function () {
+
+  describe('in a single file', function () {
+    var project = null
+
+    before(function () {
+      project = inkTestProject({
+        'main.ink': 'VAR gold = 0\n-> shop\n== shop ==\n~ gold = gold + 1\nYou have {gold}.\n-> shop.counter\n= counter\n-> END\n'
+      })
+    })
+
+    it('finds the knot, stitch or variable at the cursor', function () {
+      var main = project.mainInk
+      var knot = SymbolReferences.targetAtPos(project, main, { row: 2, column: 4 })
+      assert.strictEqual(knot.type, 'flow')
+      assert.strictEqual(knot.name, 'shop')
+
+      var stitch = SymbolReferences.targetAtPos(project, main, { row: 5, column: 10 })
+      assert.strictEqual(stitch.type, 'flow')
+      assert.strictEqual(stitch.name, 'counter')
+
+      var variable = SymbolReferences.targetAtPos(project, main, { row: 4, column: 11 })
+      assert.strictEqual(variable.type, 'variable')
+      assert.strictEqual(variable.name, 'gold')
+    })
+
+    it('finds nothing on plain text', function () {
+      assert.strictEqual(SymbolReferences.targetAtPos(project, project.mainInk, { row: 4, column: 1 }), null)
+    })
+
+    it('finds a knot\'s declaration and diverts, including into its stitches', function () {
+      var knot = SymbolReferences.targetAtPos(project, project.mainInk, { row: 2, column: 4 })
+      assert.deepStrictEqual(locations(SymbolReferences.findReferences(project, knot)), [
+        ['main.ink', 1, 3, 'divert'],
+        ['main.ink', 2, 3, 'declaration'],
+        ['main.ink', 5, 3, 'divert']
+      ])
+    })
+
+    it('finds a stitch through its dotted path', function () {
+      var stitch = SymbolReferences.targetAtPos(project, project.mainInk, { row: 6, column: 3 })
+      assert.deepStrictEqual(locations(SymbolReferences.findReferences(project, stitch)), [
+        ['main.ink', 5, 8, 'divert'],
+        ['main.ink', 6, 2, 'declaration']
+      ])
+    })
+
+    it('finds a variable\'s declaration, assignments and reads', function () {
+      var variable = SymbolReferences.targetAtPos(project, project.mainInk, { row: 0, column: 5 })
+      assert.deepStrictEqual(locations(SymbolReferences.findReferences(project, variable)).map(l => l[3]),
+        ['declaration', 'assignment', 'read', 'read'])
+    })
+
+    it('counts reads and assignments of each global variable', function () {
+      var usage = SymbolReferences.variableUsage(project)
+      assert.deepStrictEqual(Object.keys(usage), ['gold'])
+      assert.strictEqual(usage.gold.reads, 2)
+      assert.strictEqual(usage.gold.assignments, 1)
+      assert.strictEqual(usage.gold.declaration.row, 0)
+    })
+
+    it('gives the knot and stitch path of a line', function () {
+      assert.strictEqual(SymbolReferences.flowPathAtRow(project.mainInk, 7), 'shop.counter')
+      assert.strictEqual(SymbolReferences.flowPathAtRow(project.mainInk, 1), '')
+    })
+  })
+
+  describe('with a label inside a stitch', function () {
+    var project = null
+
+    before(function () {
+      project = inkTestProject({
+        'main.ink': '-> shop\n== shop ==\n-> counter\n= counter\n* (haggle) [Haggle] -> END\n== later ==\n{shop.haggle: Haggled.}\n-> shop.haggle\n'
+      })
+    })
+
+    it('finds the label from its knot, looking through the knot\'s stitches', function () {
+      var label = project.findSymbol('shop.haggle', { row: 7, column: 4 })
+      assert.strictEqual(label.name, 'haggle')
+      assert.strictEqual(label.row, 4)
+    })
+
+    it('finds every reference to the label', function () {
+      var label = SymbolReferences.targetAtPos(project, project.mainInk, { row: 4, column: 4 })
+      assert.strictEqual(label.name, 'haggle')
+      assert.deepStrictEqual(locations(SymbolReferences.findReferences(project, label)).map(l => [l[1], l[3]]),
+        [[4, 'declaration'], [6, 'read'], [7, 'divert']])
+    })
+  })
+
+  describe('across included files', function () {
+    var project = null
+    var market = null
+
+    before(function () {
+      project = inkTestProject({
+        'main.ink': 'INCLUDE chapters/market.ink\nVAR gold = 0\n-> market\n',
+        'chapters/market.ink': '== market ==\n~ temp gold = 5\nYou have {gold}.\n-> stall\n= stall\n{market.stall} visits\n* [Buy] -> market\n- -> END\n'
+      })
+      market = project.file('chapters/market.ink')
+    })
+
+    it('finds references in every file of the project', function () {
+      var knot = SymbolReferences.targetAtPos(project, market, { row: 0, column: 4 })
+      assert.deepStrictEqual(locations(SymbolReferences.findReferences(project, knot)), [
+        ['main.ink', 2, 3, 'divert'],
+        ['chapters/market.ink', 0, 3, 'declaration'],
+        ['chapters/market.ink', 5, 1, 'read'],
+        ['chapters/market.ink', 6, 11, 'divert']
+      ])
+    })
+
+    it('leaves out uses of a temp that shadows a global', function () {
+      var variable = SymbolReferences.targetAtPos(project, project.mainInk, { row: 1, column: 5 })
+      assert.deepStrictEqual(locations(SymbolReferences.findReferences(project, variable)), [
+        ['main.ink', 1, 4, 'declaration']
+      ])
+      assert.strictEqual(SymbolReferences.targetAtPos(project, market, { row: 2, column: 11 }), null)
+      assert.strictEqual(SymbolReferences.variableUsage(project).gold.reads, 0)
+    })
+  })
+})